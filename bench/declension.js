@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Замер скорости склонения на корпусах из test/data.
+ *
+ *   npm run build && npm run bench
+ *   node bench/declension.js --rounds 5
+ *
+ * Каждое ФИО склоняется во все падежи через q() с выключенным кешем, сначала на NCLStr
+ * со строковыми функциями locutus (как было раньше), потом на нативном NCLStr,
+ * и в конце еще раз с включенным кешем. Выводится количество ФИО в секунду.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var lib = require('../build/index.js');
+var NCLStr = require('../build/NCL/NCLStr.js').default;
+
+var NCL = lib.NCL;
+var php = {
+    substr: require('locutus/php/strings/substr'),
+    strpos: require('locutus/php/strings/strpos'),
+    strlen: require('locutus/php/strings/strlen'),
+    strtolower: require('locutus/php/strings/strtolower'),
+    strtoupper: require('locutus/php/strings/strtoupper'),
+    strrpos: require('locutus/php/strings/strrpos'),
+    split: require('locutus/php/strings/split'),
+    implode: require('locutus/php/strings/implode'),
+};
+var DATA = path.join(__dirname, '..', 'test', 'data');
+
+var roundsArg = process.argv.indexOf('--rounds');
+var ROUNDS = roundsArg >= 0 ? parseInt(process.argv[roundsArg + 1], 10) : 3;
+
+/**
+ * Читает корпус: первое поле каждой строки - именительный падеж, пол - по имени файла
+ */
+function readCorpus(lang, dir, separator) {
+    var items = [];
+    fs.readdirSync(path.join(DATA, dir)).forEach(function (file) {
+        var gender = /girl/i.test(file) ? NCL.WOMAN : NCL.MAN;
+        fs.readFileSync(path.join(DATA, dir, file), 'utf8').split('\n').forEach(function (line) {
+            var name = line.split(separator)[0].trim();
+            if (name) {
+                items.push({lang: lang, name: name, gender: gender});
+            }
+        });
+    });
+    return items;
+}
+
+var corpus = [].concat(
+    readCorpus('ru', 'Names', '#'),
+    readCorpus('ru', 'NamesAll', ','),
+    readCorpus('ua', 'uacrazy', ','),
+    readCorpus('ua', 'uagenerator', ','),
+    readCorpus('by', 'by', ',')
+);
+
+/**
+ * NCLStr на функциях locutus, как до перехода на нативные строки
+ */
+var locutusStr = {
+    substr: function (str, start, length) {
+        var s = php.substr(str, start, length === undefined ? null : length);
+        return s === false ? '' : s;
+    },
+    strpos: function (haystack, needle, offset) {
+        return php.strpos(haystack, needle, offset || 0);
+    },
+    strlen: php.strlen,
+    strtolower: php.strtolower,
+    strtoupper: php.strtoupper,
+    strrpos: function (haystack, needle, offset) {
+        return php.strrpos(haystack, needle, offset === undefined ? null : offset);
+    },
+    connectLetters: function (letters) {
+        return php.implode('', letters);
+    },
+    explode: php.split,
+};
+
+var nativeStr = {};
+Object.keys(locutusStr).forEach(function (name) {
+    nativeStr[name] = NCLStr[name];
+});
+
+function useStr(functions) {
+    Object.keys(functions).forEach(function (name) {
+        Object.defineProperty(NCLStr, name, {value: functions[name], writable: true, configurable: true});
+    });
+}
+
+/**
+ * Склоняет весь корпус <var>ROUNDS</var> раз и возвращает количество ФИО в секунду
+ */
+function run(cacheLimit) {
+    var instances = {};
+    lib.NCLNameCaseRu.setCacheLimit(cacheLimit);
+    lib.NCLNameCaseRu.clearCache(true);
+    var started = process.hrtime();
+    for (var round = 0; round < ROUNDS; round++) {
+        corpus.forEach(function (item) {
+            var instance = instances[item.lang] || (instances[item.lang] = new (NCL.getConcreteClass(item.lang))());
+            instance.q(item.name, null, item.gender);
+        });
+    }
+    var elapsed = process.hrtime(started);
+    return corpus.length * ROUNDS / (elapsed[0] + elapsed[1] / 1e9);
+}
+
+console.log(corpus.length + ' names, ' + ROUNDS + ' rounds');
+
+useStr(locutusStr);
+run(0);
+var locutusRate = run(0);
+
+useStr(nativeStr);
+run(0);
+var nativeRate = run(0);
+var cachedRate = run(10000);
+
+function report(title, rate) {
+    console.log((title + ':                    ').substr(0, 24) + Math.round(rate) + ' names/s');
+}
+
+report('locutus, no cache', locutusRate);
+report('native, no cache', nativeRate);
+report('native, cache', cachedRate);
+console.log('native / locutus: x' + (nativeRate / locutusRate).toFixed(2));
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+'use strict';
+
+var NCLCli = require('../build/NCLCli.js').default;
+
+NCLCli.run(process.argv.slice(2), process.stdin, process.stdout, process.stderr, function (code) {
+    process.exitCode = code;
+});
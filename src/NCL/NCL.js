@@ -129,5 +129,153 @@ export default class NCL
         NCL._concreteClasses = concreteClasses;
     }
 
+    /**
+     * Возвращает класс языка <var>$lang</var> или бросает исключение, если язык не зарегистрирован
+     * @param string $lang код языка (ru, ua, by)
+     * @return NCLNameCaseCore класс языка
+     */
+    static languageClass (lang) {
+        var cls = NCL.getConcreteClass(lang);
+        if (!cls)
+            throw new Error('Unknown language "' + lang + '"');
+        return cls;
+    }
+
+    /**
+     * Определяет, на каком языке записано ФИО <var>$fullname</var> по признакам языков (см. NCLNameCaseCore::languageMarkers()).
+     * Слово дает 3 очка языку, если в нем есть буквы этого языка, и 1 очко языкам, которые его узнают:
+     * у которых оно есть среди имен, а если его нет ни у одного языка - у которых есть самое длинное
+     * из подходящих окончаний. Слово, которое узнают все языки, очка не дает.
+     * <b>Результат:</b>
+     * - lang - язык с наибольшим количеством очков или 'unknown', если признаков нет или у двух языков их поровну
+     * - confidence - уверенность [0..1]: перевес победителя над вторым языком в очках, деленный на 6
+     *   (буквы языка в двух словах), с точностью до сотых. Одно окончание дает 0.17
+     * - scores - очки каждого языка
+     * @param string $fullname ФИО
+     * @param array $languages языки, из которых выбирать
+     * @return object язык и уверенность
+     */
+    static detectLanguage (fullname, languages = ['ru', 'ua']) {
+        var words = String(fullname).toLowerCase().split(/[^а-яёіїєґўʼ'’`-]+/).filter(word => word.length);
+        var scores = {};
+        var markers = {};
+        for (var lang of languages) {
+            markers[lang] = (new (NCL.languageClass(lang))()).languageMarkers();
+            scores[lang] = 0;
+        }
+        for (var word of words) {
+            for (var lang of languages) {
+                if (word.split('').some(letter => markers[lang].letters.indexOf(letter) >= 0))
+                {
+                    scores[lang] += 3;
+                }
+            }
+            var matched = languages.filter(lang => markers[lang].names.indexOf(word) >= 0);
+            if (!matched.length)
+            {
+                var longest = 0;
+                for (var lang of languages) {
+                    for (var ending of markers[lang].endings) {
+                        if (word.length <= ending.length || word.substr(-ending.length) != ending || ending.length < longest)
+                        {
+                            continue;
+                        }
+                        if (ending.length > longest)
+                        {
+                            longest = ending.length;
+                            matched = [];
+                        }
+                        if (matched.indexOf(lang) < 0)
+                        {
+                            matched.push(lang);
+                        }
+                    }
+                }
+            }
+            if (matched.length < languages.length)
+            {
+                for (var lang of matched) {
+                    scores[lang] += 1;
+                }
+            }
+        }
+
+        var ranked = languages.slice().sort((a, b) => scores[b] - scores[a]);
+        var margin = scores[ranked[0]] - (ranked.length > 1 ? scores[ranked[1]] : 0);
+        return {
+            lang: margin > 0 ? ranked[0] : 'unknown',
+            confidence: Math.round(Math.min(1, margin / 6) * 100) / 100,
+            scores: scores,
+        };
+    }
+
+    /**
+     * Приводит пол к NCL::$MAN или NCL::$WOMAN. Принимает также 'man' и 'woman',
+     * пустое значение означает, что пол нужно определить автоматически (0)
+     * @param mixed $gender пол
+     * @return int номер пола
+     */
+    static genderNumber (gender) {
+        if (!gender)
+            return 0;
+        if (gender == NCL.MAN || gender == 'man')
+            return NCL.MAN;
+        if (gender == NCL.WOMAN || gender == 'woman')
+            return NCL.WOMAN;
+        throw new Error('Unknown gender "' + gender + '". Expected one of: ' + NCL.MAN + ', ' + NCL.WOMAN + ', man, woman');
+    }
+
+    /**
+     * Склоняет ФИО на языке <var>$options.lang</var> без сохранения состояния (см. NCLNameCaseCore::decline())
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @param object $options параметры: lang, case, gender, format, translit
+     * @return mixed строка в нужном падеже или массив со всеми падежами
+     */
+    static decline (input, options = {}) {
+        return NCL.languageClass(options.lang).decline(input, options);
+    }
+
+    /**
+     * Склоняет массив ФИО на языке <var>$options.lang</var> с ошибкой отдельно для каждого элемента
+     * (см. NCLNameCaseCore::declineBatch())
+     * @param array $items ФИО строками или объектами {secondName, firstName, fatherName, gender}
+     * @param object $options параметры: lang, case, gender, format, translit
+     * @return array результаты в порядке <var>$items</var>
+     */
+    static declineBatch (items, options = {}) {
+        return NCL.languageClass(options.lang).declineBatch(items, options);
+    }
+
+    /**
+     * Склоняет ФИО на языке <var>$options.lang</var> и возвращает объект со всеми падежами
+     * (см. NCLNameCaseCore::declineResult())
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @param object $options параметры: lang, gender, format, translit
+     * @return object результат склонения
+     */
+    static declineResult (input, options = {}) {
+        return NCL.languageClass(options.lang).declineResult(input, options);
+    }
+
+    /**
+     * Определяет пол человека по ФИО на языке <var>$options.lang</var>
+     * @param string $fullname ФИО
+     * @param object $options параметры: lang
+     * @return int пол человека
+     */
+    static detectGender (fullname, options = {}) {
+        return NCL.languageClass(options.lang).detectGender(fullname, options);
+    }
+
+    /**
+     * Восстанавливает именительный падеж ФИО на языке <var>$options.lang</var> (см. NCLNameCaseCore::lemmatize())
+     * @param string $input ФИО или слово в косвенном падеже
+     * @param object $options параметры: lang, case, gender
+     * @return array кандидаты в именительном падеже
+     */
+    static lemmatize (input, options = {}) {
+        return NCL.languageClass(options.lang).lemmatize(input, options);
+    }
+
 }
 
@@ -0,0 +1,116 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * Ограниченный кеш, который при переполнении удаляет записи, не использовавшиеся дольше всех (LRU).
+ * Считает попадания и промахи.
+ *
+ * @package NameCaseLib
+ */
+export default class NCLCache
+{
+    /**
+     * @param int $limit максимальное количество записей, 0 - кеш выключен
+     */
+    constructor(limit = 10000) {
+        /**
+         * Максимальное количество записей
+         * @var int
+         */
+        this.limit = limit;
+        /**
+         * Записи в порядке использования: последняя использованная - в конце
+         * @var Map
+         */
+        this.entries = new Map();
+        /**
+         * Количество найденных записей
+         * @var int
+         */
+        this.hits = 0;
+        /**
+         * Количество ненайденных записей
+         * @var int
+         */
+        this.misses = 0;
+    }
+
+    /**
+     * Возвращает запись по ключу <var>$key</var> и отмечает ее как последнюю использованную
+     * @param string $key ключ
+     * @return mixed запись или undefined, если ее нет
+     */
+    get (key)
+    {
+        if (!this.entries.has(key))
+        {
+            this.misses++;
+            return undefined;
+        }
+        var value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.hits++;
+        return value;
+    }
+
+    /**
+     * Сохраняет запись и удаляет самые старые записи сверх <var>$this->limit</var>
+     * @param string $key ключ
+     * @param mixed $value запись
+     */
+    set (key, value)
+    {
+        this.entries.delete(key);
+        if (this.limit <= 0)
+        {
+            return;
+        }
+        this.entries.set(key, value);
+        while (this.entries.size > this.limit)
+        {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Задает максимальное количество записей, лишние старые записи удаляются
+     * @param int $limit количество записей, 0 - выключить кеш
+     */
+    setLimit (limit)
+    {
+        this.limit = limit;
+        while (this.entries.size > Math.max(limit, 0))
+        {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Удаляет все записи, статистика сохраняется
+     */
+    clear ()
+    {
+        this.entries.clear();
+    }
+
+    /**
+     * Обнуляет статистику попаданий и промахов
+     */
+    resetStats ()
+    {
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Возвращает статистику кеша
+     * @return object {size, limit, hits, misses}
+     */
+    stats ()
+    {
+        return {size: this.entries.size, limit: this.limit, hits: this.hits, misses: this.misses};
+    }
+}
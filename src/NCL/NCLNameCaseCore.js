@@ -6,9 +6,9 @@
 import NCL from './NCL.js';
 import NCLStr from './NCLStr.js';
 import NCLNameCaseWord from './NCLNameCaseWord.js';
+import NCLTranslit from './NCLTranslit.js';
+import NCLCache from './NCLCache.js';
 
-var math_min = require('locutus/php/math/min');
-var math_max = require('locutus/php/math/max');
 var mb_strtolower = require('locutus/php/strings/strtolower');
 var explode = require('locutus/php/strings/explode');
 var implode = require('locutus/php/strings/implode');
@@ -17,8 +17,10 @@ var is_null = require('locutus/php/var/is_null');
 var is_array = require('locutus/php/var/is_array');
 var array_fill = require('locutus/php/array/array_fill');
 var in_array = require('locutus/php/array/in_array');
+var range = require('locutus/php/array/range');
 var array_key_exists = require('locutus/php/array/array_key_exists'),
     key_exists = array_key_exists;
+var fs = require('fs');
 
 /**
  * <b>NCL NameCase Core</b>
@@ -96,9 +98,439 @@ export default class NCLNameCaseCore extends NCL
         this.index = {};
 
         this.gender_koef = 0; //вероятность автоопредления пола [0..10]. Достаточно точно при 0.1
+        /**
+         * Названия падежей языка в порядке их номеров. Используются как ключи в результате склонения
+         * @var array
+         */
+        this.CaseNames = [];
+        /**
+         * Дополнительные названия падежей (родные названия, синонимы), которые можно
+         * передавать вместо номера падежа. Формат: {название} => {номер падежа}
+         * @var object
+         */
+        this.CaseAliases = {};
+        /**
+         * Таблицы правил склонения языка, которые выполняет applyRuleTable().
+         * Формат: {'man'|'woman'} => {номер правила} => {when, variants}. Если правила нет в таблице,
+         * RulesChain() вызывает метод {gender}Rule{номер}
+         * @var object
+         */
+        this.Rules = {man: {}, woman: {}};
+        /**
+         * Режим трассировки: если true, то для каждого слова запоминается, какие правила
+         * были опробованы, какое сработало и какие окончания были применены
+         * @var bool
+         */
+        this.tracing = false;
+        /**
+         * Трассировка склонения текущего слова (<var>$this->workingWord</var>)
+         * @var object
+         */
+        this.lastTrace = null;
+        /**
+         * Окончания именительного падежа, которые lemmaCandidates() добавляет к основе слова
+         * при восстановлении начальной формы
+         * @var array
+         */
+        this.NominativeEndings = [''];
+        /**
+         * Чередования в основе (беглые гласные и т.п.), которые lemmaCandidates() пробует
+         * при восстановлении начальной формы. Формат: [[регулярное выражение, замена]]
+         * @var array
+         */
+        this.LemmaAlternations = [];
+        /**
+         * Формы, которых не бывает в именительном падеже (Римскый, Ивановая): кандидаты lemmaCandidates(),
+         * подходящие под одно из регулярных выражений, отбрасываются
+         * @var array
+         */
+        this.LemmaForbidden = [];
+        /**
+         * Правила образования отчества из имени отца (см. makeFatherName()):
+         * - irregular - имена с особыми отчествами [{name, man, woman}]
+         * - endings - [регулярное выражение, замена для мужского отчества, замена для женского], проверяются по порядку
+         * - names - распространенные мужские имена, по ним firstNameByFatherName() выбирает из похожих имен
+         * @var object
+         */
+        this.FatherNameRules = {irregular: [], endings: [], names: []};
+        /**
+         * Пары окончаний мужской и женской формы фамилии для convertSecondName(): [{man, woman, ambiguous}].
+         * ambiguous - 'man' или 'woman', если это окончание встречается и у фамилий, которые не меняются по полу
+         * @var array
+         */
+        this.SecondNameGenderPairs = [];
+        /**
+         * Минимальная длина основы фамилии для convertSecondName(): у более коротких (Цой, Лин)
+         * окончание может быть частью несклоняемой фамилии, поэтому замена только предлагается
+         * @var int
+         */
+        this.SecondNameMinStem = 2;
+        /**
+         * Знак после инициала в форматах n и f (см. initials())
+         * @var string
+         */
+        this.InitialsSeparator = '.';
+        /**
+         * Частицы, которые пишутся отдельно перед фамилией и не склоняются ("ван", "де", "ибн")
+         * @var array
+         */
+        this.Particles = [];
+        /**
+         * Частицы, которые пишутся слитно с фамилией и не склоняются ("аль-", "О'"), апостроф - любой из ' ’ ʼ `
+         * @var array
+         */
+        this.ParticlePrefixes = [];
+        /**
+         * Тюркские маркеры отчества ("оглы", "кызы") и пол, который они задают
+         * @var object
+         */
+        this.PatronymicMarkers = {};
+        /**
+         * Частицы из <var>$this->Particles</var>, которые сами задают пол ("ибн", "бен" - сын)
+         * @var object
+         */
+        this.ParticleGenders = {};
+        /**
+         * Как склоняются первые части фамилии через дефис (см. setCompoundSecondName()):
+         * - auto - часть склоняется, если detectNamePart() текущего языка считает ее фамилией
+         * - both - склоняются все части
+         * - last - склоняется только последняя часть
+         * @var string
+         */
+        this.CompoundSecondName = 'auto';
+        /**
+         * Первые части фамилий через дефис, которые никогда не склоняются ("Тулуз-Лотрек")
+         * @var array
+         */
+        this.CompoundIndeclinableParts = ['тулуз'];
+        /**
+         * Апостроф во всех результатах (см. setApostrophe()), null - как в исходном слове
+         * @var string
+         */
+        this.Apostrophe = null;
+        /**
+         * Буквы, которых нет в других языках, для NCL::detectLanguage() (см. languageMarkers())
+         * @var string
+         */
+        this.LanguageLetters = '';
+        /**
+         * Схемы транслитерации языка (см. src/translit/NCLTranslitRu.js)
+         * @var object
+         */
+        this.TranslitSchemes = {};
+        /**
+         * Схема, по которой читаются и записываются слова латиницей (см. setTranslit()), null - латиница не поддерживается
+         * @var string
+         */
+        this.Translit = null;
+        /**
+         * Официальная схема транслитерации языка для документов (см. transliterate())
+         * @var string
+         */
+        this.OfficialTranslit = null;
     }
          
 
+    /**
+     * Склоняет ФИО без сохранения состояния: для каждого вызова создается новый объект языка,
+     * поэтому один и тот же класс можно одновременно использовать из разных обработчиков.
+     * <b>Параметры:</b>
+     * - case - номер или название падежа, если не указан - возвращаются все падежи
+     * - gender - NCL::$MAN или NCL::$WOMAN ('man', 'woman'), если не указан - определяется автоматически
+     * - format - формат для ФИО, переданного объектом (по умолчанию "S N F")
+     * - translit - схема транслитерации для ФИО латиницей (см. setTranslit())
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @param object $options параметры
+     * @return mixed строка в нужном падеже или массив со всеми падежами
+     */
+    static decline (input, options = {})
+    {
+        var ncl = new this();
+        if (options.translit)
+        {
+            ncl.setTranslit(options.translit);
+        }
+        return ncl.declineInput(input, ncl.caseNumber(options.case), NCL.genderNumber(options.gender), options.format || 'S N F');
+    }
+
+
+    /**
+     * Склоняет массив ФИО одним объектом языка, поэтому словари и кеши языка создаются один раз на весь массив.
+     * Ошибка в одном элементе не прерывает склонение остальных. Элемент - строка или объект
+     * {secondName, firstName, fatherName, gender} (или {surname, name, patronymic, gender}), параметры такие же,
+     * как у decline(), пол из элемента важнее <var>$options.gender</var>.
+     * <b>Результат</b> - массив в порядке <var>$items</var>, для каждого элемента:
+     * - {index, ok: true, result} - результат такой же, как у decline()
+     * - {index, ok: false, error: {name, message}} - ошибка
+     * Ошибка в самих параметрах (неизвестный падеж или пол) бросается сразу, если <var>$items</var> не массив - TypeError.
+     * @param array $items ФИО
+     * @param object $options параметры
+     * @return array результаты
+     */
+    static declineBatch (items, options = {})
+    {
+        if (!Array.isArray(items))
+        {
+            throw new TypeError('Expected an array of full names, got ' + (items === null ? 'null' : typeof items));
+        }
+        var ncl = new this();
+        if (options.translit)
+        {
+            ncl.setTranslit(options.translit);
+        }
+        var caseNum = ncl.caseNumber(options.case);
+        var gender = NCL.genderNumber(options.gender);
+        return items.map((item, index) => {
+            try
+            {
+                return {index: index, ok: true, result: ncl.declineInput(item, caseNum, gender, options.format || 'S N F')};
+            }
+            catch (e)
+            {
+                return {index: index, ok: false, error: {name: e.name, message: e.message}};
+            }
+        });
+    }
+
+
+    /**
+     * Склоняет ФИО без сохранения состояния и возвращает объект со всеми падежами (см. getResult()).
+     * Параметры такие же, как у decline(), если <var>$options.explain</var> - к словам добавляется трассировка
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName, gender} (или {surname, name, patronymic, gender})
+     * @param object $options параметры
+     * @return object результат склонения
+     */
+    static declineResult (input, options = {})
+    {
+        var ncl = new this();
+        if (options.translit)
+        {
+            ncl.setTranslit(options.translit);
+        }
+        return ncl.declineInputResult(input, NCL.genderNumber(options.gender), options.format || 'S N F', !!options.explain);
+    }
+
+
+    /**
+     * Определяет пол человека по ФИО без сохранения состояния
+     * @param string $fullname ФИО
+     * @return int пол человека
+     */
+    static detectGender (fullname)
+    {
+        return (new this()).genderDetect(String(fullname));
+    }
+
+
+    /**
+     * Восстанавливает именительный падеж ФИО без сохранения состояния (см. lemmatize()).
+     * <b>Параметры:</b> case - падеж <var>$input</var>, если известен; gender - пол
+     * @param string $input ФИО или слово в косвенном падеже
+     * @param object $options параметры
+     * @return array кандидаты в именительном падеже
+     */
+    static lemmatize (input, options = {})
+    {
+        var ncl = new this();
+        var caseNum = ncl.caseNumber(options.case);
+        return ncl.lemmatize(String(input), is_null(caseNum) ? null : caseNum, NCL.genderNumber(options.gender));
+    }
+
+
+    /**
+     * Возвращает словарь исключений текущего языка. Словарь хранится отдельно для каждого
+     * класса языка и общий для всех его объектов.
+     * Формат: {слово в нижнем регистре} => [{namePart, gender, cases}]
+     * @return object словарь исключений
+     */
+    static getExceptions ()
+    {
+        if (!Object.prototype.hasOwnProperty.call(this, '_exceptions'))
+        {
+            this._exceptions = {};
+        }
+        return this._exceptions;
+    }
+
+
+    /**
+     * Добавляет в словарь исключений текущего языка слово, которое склоняется не по правилам.
+     * <b>Исключение:</b>
+     * - word - слово в именительном падеже
+     * - cases - массив со всеми падежами слова, начиная с именительного
+     * - indeclinable - true, если слово не склоняется (вместо cases)
+     * - namePart - S, N или F, если исключение только для фамилии, имени или отчества
+     * - gender - NCL::$MAN или NCL::$WOMAN ('man', 'woman'), если исключение только для одного пола
+     * Исключения проверяются до цепочки правил, более позднее исключение для того же слова важнее.
+     * @param object $exception исключение
+     */
+    static addException (exception)
+    {
+        var word = exception && exception.word ? trim(String(exception.word)) : '';
+        if (!word)
+            throw new Error("Exception word is required");
+
+        var cases = null;
+        if (!exception.indeclinable)
+        {
+            var caseCount = (new this()).CaseCount;
+            if (!is_array(exception.cases) || exception.cases.length != caseCount)
+                throw new Error('Exception "' + word + '" should have ' + caseCount + ' cases or be indeclinable');
+            cases = exception.cases.map(form => NCLStr.strtolower(trim(String(form))));
+        }
+
+        var gender = NCL.genderNumber(exception.gender);
+
+        var namePart = exception.namePart || null;
+        if (namePart && !in_array(namePart, ['S', 'N', 'F']))
+            throw new Error('Exception "' + word + '" has unknown name part "' + namePart + '"');
+
+        var exceptions = this.getExceptions();
+        var key = NCLStr.replaceApostrophes(NCLStr.strtolower(word));
+        if (!key_exists(key, exceptions))
+        {
+            exceptions[key] = [];
+        }
+        exceptions[key].unshift({namePart: namePart, gender: gender, cases: cases});
+        NCLNameCaseCore.clearCache();
+    }
+
+
+    /**
+     * Добавляет в словарь исключений текущего языка несколько исключений (см. addException())
+     * @param array $exceptions массив исключений
+     */
+    static addExceptions (exceptions)
+    {
+        for (var exception of exceptions) {
+            this.addException(exception);
+        }
+    }
+
+
+    /**
+     * Загружает исключения текущего языка из JSON файла, который содержит массив исключений
+     * (см. addException())
+     * @param string $file путь к файлу
+     */
+    static loadExceptions (file)
+    {
+        var exceptions = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!is_array(exceptions))
+            throw new Error('File "' + file + '" should contain an array of exceptions');
+        this.addExceptions(exceptions);
+    }
+
+
+    /**
+     * Очищает словарь исключений текущего языка
+     */
+    static clearExceptions ()
+    {
+        this._exceptions = {};
+        NCLNameCaseCore.clearCache();
+    }
+
+
+    /**
+     * Возвращает кеш склонения слов (см. WordCase()). Кеш один на все языки и объекты:
+     * ключ - класс языка, его настройки склонения, тип слова, пол и слово в нижнем регистре
+     * @return NCLCache кеш
+     */
+    static get cache ()
+    {
+        if (!NCLNameCaseCore._cache)
+        {
+            NCLNameCaseCore._cache = new NCLCache(10000);
+        }
+        return NCLNameCaseCore._cache;
+    }
+
+
+    /**
+     * Возвращает статистику кеша склонения слов
+     * @return object {size, limit, hits, misses}
+     */
+    static getCacheStats ()
+    {
+        return NCLNameCaseCore.cache.stats();
+    }
+
+
+    /**
+     * Очищает кеш склонения слов. Вызывается автоматически при изменении словаря исключений;
+     * вызывать вручную нужно, если правила языка меняются после склонения (<var>$this->Rules</var>)
+     * @param bool $resetStats обнулить также статистику
+     */
+    static clearCache (resetStats = false)
+    {
+        NCLNameCaseCore.cache.clear();
+        if (resetStats)
+        {
+            NCLNameCaseCore.cache.resetStats();
+        }
+    }
+
+
+    /**
+     * Задает максимальное количество слов в кеше склонения (по умолчанию 10000)
+     * @param int $limit количество слов, 0 - выключить кеш
+     */
+    static setCacheLimit (limit)
+    {
+        NCLNameCaseCore.cache.setLimit(limit);
+    }
+
+
+    /**
+     * Ищет слово <var>$word</var> в словаре исключений текущего языка
+     * @param string $word слово
+     * @param string $namePart тип слова
+     * @param int $gender пол
+     * @return array все падежи слова или null, если исключения нет
+     */
+    findException (word, namePart, gender)
+    {
+        var exceptions = this.constructor.getExceptions();
+        var key = NCLStr.replaceApostrophes(NCLStr.strtolower(word));
+        if (!key_exists(key, exceptions))
+        {
+            return null;
+        }
+
+        for (var exception of exceptions[key]) {
+            if ((!exception.namePart || exception.namePart == namePart) && (!exception.gender || exception.gender == gender))
+            {
+                return exception.cases ? exception.cases.slice() : array_fill(0, this.CaseCount, word);
+            }
+        }
+        return null;
+    }
+
+
+    /**
+     * Ищет слово <var>$word</var> в словаре исключений текущего языка и возвращает тип слова,
+     * для которого было добавлено исключение
+     * @param string $word слово
+     * @return string тип слова или null, если исключения нет или оно для любого типа
+     */
+    findExceptionNamePart (word)
+    {
+        var exceptions = this.constructor.getExceptions();
+        var key = NCLStr.replaceApostrophes(NCLStr.strtolower(word));
+        if (key_exists(key, exceptions))
+        {
+            for (var exception of exceptions[key]) {
+                if (exception.namePart)
+                {
+                    return exception.namePart;
+                }
+            }
+        }
+        return null;
+    }
+
+
     /**
      * Метод очищает результаты последнего склонения слова. Нужен при склонении нескольких слов.
      */
@@ -106,6 +538,7 @@ export default class NCLNameCaseCore extends NCL
     {
         this.lastRule = 0;
         this.lastResult = [];
+        this.lastTrace = {tried: [], matched: null, description: null, endings: null, replaceLast: 0};
     }
 
 
@@ -144,6 +577,41 @@ export default class NCLNameCaseCore extends NCL
     }
 
 
+    /**
+     * Возвращает номер падежа по его названию. Принимает номер падежа, название из
+     * <var>$this->CaseNames</var> ('genitive') или из <var>$this->CaseAliases</var> ('родительный').
+     * Пустое значение возвращается как есть, номер должен быть от 0 до <var>$this->CaseCount</var> - 1.
+     * @param mixed $caseNum номер или название падежа
+     * @return int номер падежа
+     */
+    caseNumber (caseNum)
+    {
+        if (is_null(caseNum) || caseNum === undefined)
+        {
+            return caseNum;
+        }
+
+        var name = NCLStr.strtolower(trim(String(caseNum)));
+        var number = typeof caseNum == 'number' ? caseNum : (/^\d+$/.test(name) ? parseInt(name, 10) : null);
+        if (number !== null && number % 1 === 0 && number >= 0 && number < this.CaseCount)
+        {
+            return number;
+        }
+
+        var index = this.CaseNames.indexOf(name);
+        if (index >= 0)
+        {
+            return index;
+        }
+        if (key_exists(name, this.CaseAliases))
+        {
+            return this.CaseAliases[name];
+        }
+
+        throw new Error('Unknown case "' + caseNum + '". Expected a number from 0 to ' + (this.CaseCount - 1) + ' or one of: ' + this.CaseNames.concat(Object.keys(this.CaseAliases)).join(', '));
+    }
+
+
     /**
      * Устанавливает слово текущим для работы системы. Очищает кеш слова.
      * @param string $word слово, которое нужно установить
@@ -165,6 +633,8 @@ export default class NCLNameCaseCore extends NCL
     makeResultTheSame ()
     {
         this.lastResult = array_fill(0, this.CaseCount, this.workingWord);
+        this.lastTrace.endings = null;
+        this.lastTrace.replaceLast = 0;
     }
 
 
@@ -210,10 +680,13 @@ export default class NCLNameCaseCore extends NCL
     {
         for (var ruleID of rulesArray) {
             var ruleMethod = gender  + 'Rule' + ruleID;
-            if (typeof this[ruleMethod] != 'function')
-                throw new Exception("Method " + ruleMethod + " not found");
-            if (this[ruleMethod]())
+            var rule = (this.Rules[gender] || {})[ruleID];
+            if (!rule && typeof this[ruleMethod] != 'function')
+                throw new Error("Rule " + ruleMethod + " not found");
+            this.lastTrace.tried.push(ruleMethod);
+            if (rule ? this.applyRuleTable(rule) : this[ruleMethod]())
             {
+                this.lastTrace.matched = ruleMethod;
                 return true;
             }
         }
@@ -223,57 +696,223 @@ export default class NCLNameCaseCore extends NCL
 
 
     /**
-     * Если <var>$string</var> строка, тогда проверяется входит ли буква <var>$letter</var> в строку <var>$string</var>
-     * Если <var>$string</var> массив, тогда проверяется входит ли строка <var>$letter</var> в массив <var>$string</var>
-     * @param string $letter буква или строка, которую нужно искать
-     * @param mixed $string строка или массив, в котором нужно искать
-     * @return bool true если искомое значение найдено
+     * Применяет к текущему слову (<var>$this->workingWord</var>) правило из таблицы <var>$this->Rules</var>.
+     * Если общее условие правила выполнено, срабатывает первый вариант, условие которого тоже выполнено.
+     * @param object $rule правило {when, variants}
+     * @return boolean true если правило было задействовано и false если нет
      */
-    in (letter, string)
+    applyRuleTable (rule)
     {
-        //Если второй параметр массив
-        if (is_array(string))
+        if (rule.when && !this.ruleCondition(rule.when))
         {
-            return in_array(letter, string);
+            return false;
         }
-        else
-        {
-            if (!letter || NCLStr.strpos(string, letter) === false)
+
+        for (var variant of rule.variants) {
+            if (variant.when && !this.ruleCondition(variant.when))
+            {
+                continue;
+            }
+            if (variant.decline === false)
             {
                 return false;
             }
+
+            this.Rule(variant.id);
+            if (variant.same)
+            {
+                this.makeResultTheSame();
+            }
+            else if (variant.forms)
+            {
+                this.lastResult = variant.forms.slice();
+                this.lastTrace.endings = null;
+                this.lastTrace.replaceLast = 0;
+            }
             else
             {
-                return true;
+                var stem = variant.stem ? this[variant.stem](this.workingWord) : this.workingWord;
+                this.wordForms(stem, this.ruleEndings(variant.endings, stem), variant.replaceLast || 0);
             }
+            this.lastTrace.description = variant.description || null;
+            return true;
         }
+        return false;
     }
 
 
 
     /**
-     * Функция проверяет, входит ли имя <var>$nameNeedle</var> в перечень имен <var>$names</var>.
-     * @param string $nameNeedle - имя которое нужно найти
-     * @param array $names - перечень имен в котором нужно найти имя
+     * Проверяет условие правила из таблицы для текущего слова.
+     * Формат условий описан в файлах правил (src/rules)
+     * @param mixed $condition условие или массив условий, которые должны выполняться все
+     * @return boolean true если условие выполнено
      */
-    inNames (nameNeedle, names)
+    ruleCondition (condition)
     {
-        if (!is_array(names))
+        var i;
+        if (Array.isArray(condition) || condition.all)
         {
-            names = [names];
+            var all = Array.isArray(condition) ? condition : condition.all;
+            for (i = 0; i < all.length; i++)
+            {
+                if (!this.ruleCondition(all[i])) return false;
+            }
+            return true;
         }
-
-        for (var name of names) {
-            if (NCLStr.strtolower(nameNeedle) == NCLStr.strtolower(name))
+        if (condition.any)
+        {
+            for (i = 0; i < condition.any.length; i++)
             {
-                return true;
+                if (this.ruleCondition(condition.any[i])) return true;
             }
+            return false;
         }
-        return false;
-    }
-
-
-
+        if (condition.not)
+        {
+            return !this.ruleCondition(condition.not);
+        }
+        if (condition.names)
+        {
+            return this.inNames(this.workingWord, condition.names);
+        }
+        if (key_exists('word', condition))
+        {
+            return this.workingWord == condition.word;
+        }
+
+        var value = this.workingWord;
+        if (key_exists('last', condition))
+        {
+            value = Array.isArray(condition.last) ? this.Last(condition.last[0], condition.last[1]) : this.Last(condition.last);
+        }
+        if (condition.call)
+        {
+            value = this[condition.call](value);
+        }
+
+        if (key_exists('eq', condition))
+        {
+            return value == this.ruleValue(condition.eq);
+        }
+        if (key_exists('notEq', condition))
+        {
+            return value != this.ruleValue(condition.notEq);
+        }
+        if (key_exists('in', condition))
+        {
+            return this.in(value, this.ruleValue(condition.in));
+        }
+        if (key_exists('notIn', condition))
+        {
+            return !this.in(value, this.ruleValue(condition.notIn));
+        }
+        throw new Error('Unknown rule condition ' + JSON.stringify(condition));
+    }
+
+
+
+    /**
+     * Подставляет в значение из таблицы правил свойства языка: '{consonant}ь' - это <var>$this->consonant</var> + 'ь'.
+     * Если значение целиком состоит из подстановки, возвращается само свойство (например, массив)
+     * @param mixed $value значение из таблицы правил
+     * @return mixed значение с подстановками
+     */
+    ruleValue (value)
+    {
+        if (typeof value != 'string')
+        {
+            return value;
+        }
+        var whole = value.match(/^\{(\w+)\}$/);
+        if (whole)
+        {
+            return this[whole[1]];
+        }
+        return value.replace(/\{(\w+)\}/g, (match, name) => this[name]);
+    }
+
+
+
+    /**
+     * Строит окончания из таблицы правил для основы <var>$stem</var>.
+     * - {2} - вторая с конца буква основы
+     * - {2|inverseGKH} - та же буква, обработанная методом
+     * - {doubleOrApostrof} - результат метода, которому передается основа
+     * @param array $endings окончания с подстановками
+     * @param string $stem основа слова
+     * @return array окончания
+     */
+    ruleEndings (endings, stem)
+    {
+        var result = [];
+        for (var ending of endings) {
+            result.push(ending.replace(/\{(\w+)(?:\|(\w+))?\}/g, (match, name, method) => {
+                if (!/^\d+$/.test(name))
+                {
+                    return this[name](stem);
+                }
+                var letter = NCLStr.substr(stem, -name, 1);
+                return method ? this[method](letter) : letter;
+            }));
+        }
+        return result;
+    }
+
+
+
+    /**
+     * Если <var>$string</var> строка, тогда проверяется входит ли буква <var>$letter</var> в строку <var>$string</var>
+     * Если <var>$string</var> массив, тогда проверяется входит ли строка <var>$letter</var> в массив <var>$string</var>
+     * @param string $letter буква или строка, которую нужно искать
+     * @param mixed $string строка или массив, в котором нужно искать
+     * @return bool true если искомое значение найдено
+     */
+    in (letter, string)
+    {
+        //Если второй параметр массив
+        if (is_array(string))
+        {
+            return in_array(letter, string);
+        }
+        else
+        {
+            if (!letter || NCLStr.strpos(string, letter) === false)
+            {
+                return false;
+            }
+            else
+            {
+                return true;
+            }
+        }
+    }
+
+
+
+    /**
+     * Функция проверяет, входит ли имя <var>$nameNeedle</var> в перечень имен <var>$names</var>.
+     * @param string $nameNeedle - имя которое нужно найти
+     * @param array $names - перечень имен в котором нужно найти имя
+     */
+    inNames (nameNeedle, names)
+    {
+        if (!is_array(names))
+        {
+            names = [names];
+        }
+
+        for (var name of names) {
+            if (NCLStr.strtolower(nameNeedle) == NCLStr.strtolower(name))
+            {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+
     /**
      * Склоняет слово <var>$word</var>, удаляя из него <var>$replaceLast</var> последних букв
      * и добавляя в каждый падеж окончание из массива <var>$endings</var>.
@@ -295,6 +934,8 @@ export default class NCLNameCaseCore extends NCL
         }
 
         this.lastResult = result;
+        this.lastTrace.endings = endings;
+        this.lastTrace.replaceLast = replaceLast;
     }
 
 
@@ -309,7 +950,7 @@ export default class NCLNameCaseCore extends NCL
     {
         if (firstname)
         {
-            var newWord = new NCLNameCaseWord(firstname);
+            var newWord = this.createWord(firstname);
             newWord.setNamePart('N');
             this.words.push(newWord);
             this.notReady();
@@ -329,7 +970,7 @@ export default class NCLNameCaseCore extends NCL
     {
         if (secondname)
         {
-            var newWord = new NCLNameCaseWord(secondname);
+            var newWord = this.createWord(secondname);
             newWord.setNamePart('S');
             this.words.push(newWord);
             this.notReady();
@@ -349,7 +990,7 @@ export default class NCLNameCaseCore extends NCL
     {
         if (fathername)
         {
-            var newWord = new NCLNameCaseWord(fathername);
+            var newWord = this.createWord(fathername);
             newWord.setNamePart('F');
             this.words.push(newWord);
             this.notReady();
@@ -444,7 +1085,16 @@ export default class NCLNameCaseCore extends NCL
 
         if (!word.getNamePart())
         {
-            this.detectNamePart(word);
+            //Если слово есть в словаре исключений как фамилия, имя или отчество - верим словарю
+            var namePart = this.findExceptionNamePart(word.getWord());
+            if (namePart)
+            {
+                word.setNamePart(namePart);
+            }
+            else
+            {
+                this.detectNamePart(word);
+            }
         }
     }
 
@@ -467,7 +1117,8 @@ export default class NCLNameCaseCore extends NCL
         if (!(word instanceof NCLNameCaseWord))
             throw new Exception("word should be of class NCLNameCaseWord");
 
-        if (!word.isGenderSolved())
+        //пол отчества с маркером уже задан маркером (см. createWord())
+        if (!word.isGenderSolved() && !word.isIndeclinable())
         {
             var namePart = word.getNamePart();
             switch (namePart)
@@ -477,11 +1128,42 @@ export default class NCLNameCaseCore extends NCL
                 case 'F': this.GenderByFatherName(word);
                     break;
                 case 'S': this.GenderBySecondName(word);
+                    if (word.getPrefix())
+                    {
+                        this.GenderByParticle(word);
+                    }
                     break;
             }
         }
     }
 
+
+    /**
+     * Определение пола по фамилии с частицами: частица из <var>$this->ParticleGenders</var> ("ибн") задает пол,
+     * а иностранная фамилия на согласный немного склоняет к мужскому полу - женские такие фамилии не склоняются,
+     * и без имени, которое известно правилам, такую фамилию склоняют как мужскую ("Оноре де Бальзак")
+     * @param NCLNameCaseWord $word фамилия с частицами
+     */
+    GenderByParticle (/*NCLNameCaseWord*/ word)
+    {
+        var particles = NCLStr.strtolower(word.getPrefix()).split(/[\s'’ʼ`-]+/);
+        for (var particle of particles) {
+            if (key_exists(particle, this.ParticleGenders))
+            {
+                var gender = this.ParticleGenders[particle];
+                word.setGender(gender == NCL.MAN ? 10 : 0, gender == NCL.WOMAN ? 10 : 0);
+                return;
+            }
+        }
+
+        this.setWorkingWord(word.getWord());
+        if (this.in(this.Last(1), this.consonant))
+        {
+            var genders = word.getGender();
+            word.setGender(genders[NCL.MAN] + 0.02, genders[NCL.WOMAN]);
+        }
+    }
+
     /**
      * Для всех слов проверяет определен ли пол, если нет - определяет его
      * После этого расчитывает пол для всех слов и устанавливает такой пол всем словам
@@ -558,46 +1240,234 @@ export default class NCLNameCaseCore extends NCL
      * - 0 - не определено
      * - NCL::$MAN - мужчина
      * - NCL::$WOMAN - женщина
+     * Вероятность определения записывается в <var>$this->gender_koef</var>
      * @return int текущий пол человека
      */
     genderAutoDetect ()
+    {
+        var info = this.genderAutoDetectInfo();
+        this.gender_koef = info.koef;
+
+        return info.gender ? info.gender : false;
+    }
+
+
+
+    /**
+     * По указаным словам определяется пол человека и собирается информация о том, как он был определен.
+     * Вероятности всех слов (GenderByFirstName, GenderBySecondName, GenderByFatherName) суммируются,
+     * решающим считается слово, которое больше всех склонило результат в сторону победившего пола.
+     * <b>Результат:</b>
+     * - gender - пол (0 - не определено, NCL::$MAN, NCL::$WOMAN)
+     * - koef - перевес решающего слова [0..10], как в <var>$this->gender_koef</var>
+     * - man, woman - суммарные вероятности по всем словам
+     * - word, namePart, score - решающее слово, его тип и метод, который дал вероятность
+     * - words - вероятности по каждому слову
+     * @return object информация об определении пола
+     */
+    genderAutoDetectInfo ()
     {
         this.prepareEverything();
 
-        if (!this.words.length){
-            var n=-1;
-            var max_koef=-1;
-            for (var k in this.words) {
-                var word = this.words[k];
-                var genders=word.getGender();
-                var min=math_min( genders );
-                var max=math_max( genders );
-                var koef=max-min;
-                if (koef>max_koef) {
-                    max_koef=koef;
-                    n=k;
-                }
+        var scores = {'N' : 'GenderByFirstName', 'S' : 'GenderBySecondName', 'F' : 'GenderByFatherName'};
+        var info = {
+            gender: 0,
+            koef: 0,
+            man: 0,
+            woman: 0,
+            word: null,
+            namePart: null,
+            score: null,
+            words: [],
+        };
+
+        for (var word of this.words) {
+            var genders = word.getGender();
+            info.man += genders[NCL.MAN];
+            info.woman += genders[NCL.WOMAN];
+            info.words.push({
+                word: word.getWordDisplay(),
+                namePart: word.getNamePart(),
+                score: scores[word.getNamePart()],
+                man: genders[NCL.MAN],
+                woman: genders[NCL.WOMAN],
+            });
+        }
+
+        if (info.man > info.woman)
+        {
+            info.gender = NCL.MAN;
+        }
+        else if (info.woman > info.man)
+        {
+            info.gender = NCL.WOMAN;
+        }
+        else
+        {
+            //Ни одно слово не дало перевеса - пол не определен
+            return info;
+        }
+
+        //Решающее слово - то, у которого наибольший перевес в сторону победившего пола
+        var max_koef = -1;
+        for (var evidence of info.words) {
+            var koef = (info.gender == NCL.MAN ? evidence.man - evidence.woman : evidence.woman - evidence.man);
+            if (koef > max_koef)
+            {
+                max_koef = koef;
+                info.koef = koef;
+                info.word = evidence.word;
+                info.namePart = evidence.namePart;
+                info.score = evidence.score;
             }
+        }
 
-            if (n>=0){
-                if (this.words[n])
-                {
-                    genders=this.words[n].getGender();
-                    min=math_min( genders );
-                    max=math_max( genders );
-                    this.gender_koef=max-min;
+        return info;
+    }
 
-                    return this.words[n].gender();
-                }
+
+
+    /**
+     * Проверяет, является ли слово <var>$word</var> частицей, которая пишется отдельно перед фамилией
+     * @param string $word слово
+     * @return bool true, если это частица
+     */
+    isParticle (word)
+    {
+        return in_array(NCLStr.strtolower(this.toCyrillic(word)), this.Particles);
+    }
+
+    /**
+     * Ищет в начале слова <var>$word</var> частицу из <var>$this->ParticlePrefixes</var>
+     * @param string $word слово
+     * @return int длина частицы или 0, если частицы нет
+     */
+    particlePrefixLength (word)
+    {
+        var lower = NCLStr.strtolower(word).replace(/[’ʼ`]/g, "'");
+        for (var prefix of this.ParticlePrefixes)
+        {
+            if (lower.length > prefix.length && lower.substr(0, prefix.length) == prefix && /[^\s'-]/.test(lower.charAt(prefix.length)))
+            {
+                return prefix.length;
             }
         }
-        return false;
+        return 0;
+    }
+
+    /**
+     * Возвращает пол, который задает тюркский маркер отчества <var>$word</var> ("оглы", "кызы")
+     * @param string $word слово
+     * @return int NCL::$MAN, NCL::$WOMAN или 0, если это не маркер отчества
+     */
+    markerGender (word)
+    {
+        var key = NCLStr.strtolower(this.toCyrillic(word));
+        return key_exists(key, this.PatronymicMarkers) ? this.PatronymicMarkers[key] : 0;
+    }
+
+    /**
+     * Создает слово из текста <var>$text</var> и отделяет от него несклоняемые части:
+     * частицы перед фамилией ("ван дер Ваальс", "аль-Фараби", "О'Генри") и маркер отчества после имени отца
+     * ("Али оглы", "Мамед-оглы"). Слово с частицами - фамилия, слово с маркером - несклоняемое отчество,
+     * вероятность пола которого задает маркер. Слово латиницей в режиме латиницы (см. setTranslit())
+     * переводится в кириллицу.
+     * @param string $text слово вместе с частицами
+     * @return NCLNameCaseWord слово
+     */
+    createWord (text)
+    {
+        var cyrillic = this.toCyrillic(text);
+        var latin = cyrillic != text;
+        text = cyrillic;
+        var prefix = '';
+        var suffix = '';
+        var match;
+        while ((match = text.match(/^(\S+)(\s+)(?=\S)/)) && this.isParticle(match[1]))
+        {
+            prefix += match[0];
+            text = text.substr(match[0].length);
+        }
+
+        var gender = 0;
+        match = text.match(/(\s+|-)([^\s-]+)$/);
+        if (match && match.index > 0 && (gender = this.markerGender(match[2])))
+        {
+            suffix = match[0];
+            text = text.substr(0, match.index);
+        }
+
+        var length = this.particlePrefixLength(text);
+        prefix += text.substr(0, length);
+        text = text.substr(length);
+
+        var word = new NCLNameCaseWord(text);
+        word.setAffixes(prefix, suffix);
+        if (this.Apostrophe)
+        {
+            word.setApostrophe(this.Apostrophe);
+        }
+        if (latin)
+        {
+            word.setTranslit(this.TranslitSchemes[this.Translit]);
+        }
+        if (suffix)
+        {
+            word.setNamePart('F');
+            word.setIndeclinable();
+            word.setGender(gender == NCL.MAN ? 10 : 0, gender == NCL.WOMAN ? 10 : 0);
+        }
+        else if (prefix)
+        {
+            word.setNamePart('S');
+        }
+        return word;
     }
 
 
 
     /**
-     * Разбивает строку <var>$fullname</var> на слова и возвращает формат в котором записано имя
+     * Разбивает строку <var>$fullname</var> на слова. Словами не считаются пробелы любого вида, знаки препинания,
+     * кавычки и скобки вокруг слов, а также точка после слова (кроме инициалов "И." и "И.П.").
+     * Апострофы и дефисы внутри слова ("Дем'ян", "Петров-Водкин") остаются частью слова.
+     * @param string $fullname строка с ФИО
+     * @return object {words, separators}: слова и текст между ними, separators[i] стоит перед words[i],
+     * последний элемент separators - текст после последнего слова
+     */
+    tokenizeFullName (fullname)
+    {
+        var words = [];
+        var separators = [];
+        var position = 0;
+        var pattern = /[^\s,;:!?()\[\]"«»„“”‘’'`ʼ—–]+(?:['’ʼ`][^\s,;:!?()\[\]"«»„“”‘’'`ʼ—–]+)*/g;
+        var match;
+        fullname = String(fullname);
+        while ((match = pattern.exec(fullname)) !== null)
+        {
+            var word = match[0];
+            //Отдельные дефисы и точки - не слова
+            if (/^[-.]+$/.test(word))
+            {
+                continue;
+            }
+            //Точка после слова - знак препинания, после большой буквы - инициал
+            if (word.length > 1 && word.substr(-1) == '.' && NCLStr.isLowerCase(word.substr(-2, 1)))
+            {
+                word = word.substr(0, word.length - 1);
+            }
+            separators.push(fullname.substring(position, match.index));
+            words.push(word);
+            position = match.index + word.length;
+        }
+        separators.push(fullname.substring(position));
+
+        return {words: words, separators: separators};
+    }
+
+
+    /**
+     * Разбивает строку <var>$fullname</var> на слова (см. tokenizeFullName()) и возвращает формат в котором записано имя.
+     * Текст между словами сохраняется в словах и остается в результате getFormattedHard()
      * <b>Формат:</b>
      * - S - Фамилия
      * - N - Имя
@@ -607,11 +1477,64 @@ export default class NCLNameCaseCore extends NCL
      */
     splitFullName (fullname)
     {
-        fullname = trim(fullname);
-        var list = explode(' ', fullname);
+        var tokens = this.tokenizeFullName(fullname);
+        var last = tokens.words.length - 1;
+
+        //"Фамилия, Имя Отчество": все слова до первой запятой - фамилия
+        var comma = -1;
+        for (var index = 1; index <= last; index++)
+        {
+            if (tokens.separators[index].indexOf(',') >= 0)
+            {
+                comma = index;
+                break;
+            }
+        }
+
+        //Частицы присоединяются к следующему слову, маркер отчества - к предыдущему
+        var start = 0;
+        for (var index = 0; index <= last; index++)
+        {
+            var text = tokens.words[index];
+            if (index < last && this.isParticle(text))
+            {
+                continue;
+            }
+            if (index < last && index + 1 != comma && this.markerGender(tokens.words[index + 1]))
+            {
+                continue;
+            }
 
-        for (var word of list) {
-            this.words.push(new NCLNameCaseWord(word));
+            text = tokens.words[start];
+            for (var k = start + 1; k <= index; k++)
+            {
+                text += tokens.separators[k] + tokens.words[k];
+            }
+            var word = this.createWord(text);
+            var before = start == 0 ? tokens.separators[0].replace(/^\s+/, '') : '';
+            var after = index == last ? tokens.separators[index + 1].replace(/\s+$/, '') : tokens.separators[index + 1];
+            word.setSeparators(before, after);
+            if (start < comma && !word.getNamePart())
+            {
+                word.setNamePart('S');
+            }
+            this.words.push(word);
+            start = index + 1;
+        }
+
+        //Фамилия с частицами уже найдена, остальные слова - имя и отчество
+        if (this.words.some(word => word.getPrefix()))
+        {
+            for (var word of this.words) {
+                if (!word.getNamePart())
+                {
+                    this.prepareNamePart(word);
+                    if (word.getNamePart() == 'S')
+                    {
+                        word.setNamePart('N');
+                    }
+                }
+            }
         }
 
         this.prepareEverything();
@@ -646,6 +1569,39 @@ export default class NCLNameCaseCore extends NCL
 
 
 
+    /**
+     * Возвращает номер класса языка для ключа кеша склонения: у каждого класса и подкласса свой номер,
+     * даже если имена классов совпадают
+     * @return int номер класса
+     */
+    cacheLanguage ()
+    {
+        if (!NCLNameCaseCore._cacheLanguages)
+        {
+            NCLNameCaseCore._cacheLanguages = new Map();
+        }
+        var languages = NCLNameCaseCore._cacheLanguages;
+        if (!languages.has(this.constructor))
+        {
+            languages.set(this.constructor, languages.size + 1);
+        }
+        return languages.get(this.constructor);
+    }
+
+
+    /**
+     * Возвращает ключ кеша склонения (см. NCLNameCaseCore::cache) для слова <var>$word</var>, которое склоняет метод <var>$method</var>
+     * @param string $word слово
+     * @param string $method метод правил (manFirstName...), задает тип слова и пол
+     * @return string ключ
+     */
+    cacheKey (word, method)
+    {
+        return [this.cacheLanguage(), this.CompoundSecondName, this.CompoundIndeclinableParts.join(','), method,
+            NCLStr.replaceApostrophes(NCLStr.strtolower(word))].join('|');
+    }
+
+
     /**
      * Склоняет слово <var>$word</var> по нужным правилам в зависимости от пола и типа слова
      * @param NCLNameCaseWord $word слово, которое нужно просклонять
@@ -674,6 +1630,31 @@ export default class NCLNameCaseCore extends NCL
         if (typeof this[method] != 'function')
             throw new Exception("Method " + method + " not found");
 
+        //частицы и отчество с маркером ("Али оглы") не склоняются
+        if (word.isIndeclinable())
+        {
+            word.setNameCases(array_fill(0, this.CaseCount, word.getWordOrig()));
+            word.setRule(-1);
+            if (this.tracing)
+            {
+                word.setTrace([this.traceIndeclinable(word.getWordOrig())]);
+            }
+            return;
+        }
+
+        //исключения из словаря проверяются до правил
+        var exception=this.findException(word.getWordOrig(), name_part_letter, word.gender());
+        if (exception)
+        {
+            word.setNameCases(exception);
+            word.setRule(0);
+            if (this.tracing)
+            {
+                word.setTrace([this.traceException(word.getWordOrig())]);
+            }
+            return;
+        }
+
         //если фамилия из 2х слов через дефис
         //http://new.gramota.ru/spravka/buro/search-answer?s=273912
 
@@ -684,45 +1665,88 @@ export default class NCLNameCaseCore extends NCL
 
         var result={};
         var last_rule=-1;
+        var trace=[];
 
-        var cnt=cur_words.length;
-        for (var k in cur_words) {
-            var cur_word = cur_words[k];
-            var is_norm_rules=true;
-
-            var o_ncw=new NCLNameCaseWord(cur_word);
-            if ( name_part_letter=='S' && cnt>1 && k<cnt-1 ){
-                //если первая часть фамилии тоже фамилия, то склоняем по общим правилам
-                //иначе не склоняется
-
-                var exclusion=['тулуз'];//исключения
-                var cur_word_=mb_strtolower(cur_word);
-                if ( !in_array(cur_word_, exclusion ) ){
-                    var cls = NCL.getConcreteClass('ru');
-                    var o_nc = new cls();
-                    o_nc.detectNamePart( o_ncw );
-                    is_norm_rules=( o_ncw.getNamePart()=='S' );
-                }
-                else {
-                    is_norm_rules=false;
+        //в режиме трассировки слово склоняется заново, чтобы собрать трассировку
+        var cacheKey = this.tracing ? null : this.cacheKey(tmp, method);
+        var cached = cacheKey ? NCLNameCaseCore.cache.get(cacheKey) : undefined;
+        var partCases = cached ? cached.parts : [];
+        if (cached)
+        {
+            last_rule = cached.rule;
+        }
+        else
+        {
+            var cnt=cur_words.length;
+            for (var k in cur_words) {
+                var cur_word = cur_words[k];
+                var is_norm_rules=true;
+
+                if ( name_part_letter=='S' && cnt>1 && k<cnt-1 ){
+                    //если первая часть фамилии тоже фамилия, то склоняем по общим правилам
+                    //иначе не склоняется (см. setCompoundSecondName())
+
+                    var cur_word_=mb_strtolower(cur_word);
+                    if ( in_array(cur_word_, this.CompoundIndeclinableParts) || this.CompoundSecondName=='last' ){
+                        is_norm_rules=false;
+                    }
+                    else if ( this.CompoundSecondName=='auto' ){
+                        var o_part = new NCLNameCaseWord(cur_word);
+                        var o_nc = new this.constructor();
+                        o_nc.detectNamePart( o_part );
+                        is_norm_rules=( o_part.getNamePart()=='S' );
+                    }
                 }
-            }
 
-            this.setWorkingWord(cur_word);
+                //правила работают со словом в нижнем регистре, регистр возвращает маска слова
+                this.setWorkingWord(mb_strtolower(cur_word));
 
-            if (is_norm_rules && this[method]())
-            {
-                //склоняется
-                var result_tmp=this.lastResult;
-                last_rule=this.lastRule;
+                exception=(cnt>1 ? this.findException(cur_word, name_part_letter, word.gender()) : null);
+                if (exception)
+                {
+                    partCases.push(exception);
+                    last_rule=0;
+                    if (this.tracing)
+                    {
+                        trace.push(this.traceException(cur_word));
+                    }
+                    continue;
+                }
+
+                var is_declined = (is_norm_rules && this[method]());
+                if (is_declined)
+                {
+                    //склоняется
+                    var result_tmp=this.lastResult;
+                    last_rule=this.lastRule;
+                }
+                else
+                {
+                    //не склоняется. Заполняем что есть
+                    result_tmp=array_fill(0, this.CaseCount, mb_strtolower(cur_word));
+                    last_rule=-1;
+                }
+                partCases.push(result_tmp);
+
+                if (this.tracing)
+                {
+                    trace.push(this.traceWord(cur_word, method, is_declined, last_rule));
+                }
             }
-            else
+
+            if (cacheKey)
             {
-                //не склоняется. Заполняем что есть
-                result_tmp=array_fill(0, this.CaseCount, cur_word);
-                last_rule=-1;
+                NCLNameCaseCore.cache.set(cacheKey, {parts: partCases, rule: last_rule});
             }
-            o_ncw.setNameCases(result_tmp);
+        }
+
+        //каждая часть получает регистр букв и апостроф своей части исходного слова
+        for (var k in cur_words) {
+            var o_ncw=new NCLNameCaseWord(cur_words[k]);
+            o_ncw.setApostrophe(word.getApostrophe());
+            //копия, чтобы маска не меняла падежи в кеше
+            var cases = partCases[k];
+            o_ncw.setNameCases(Object.keys(cases).map(index => cases[index]));
             o_cur_words.push(o_ncw);
         }
 
@@ -739,8 +1763,83 @@ export default class NCLNameCaseCore extends NCL
         //устанавливаем падежи для целого слова
         word.setNameCases(result, false);
         word.setRule(last_rule);
+        if (this.tracing)
+        {
+            word.setTrace(trace);
+        }
+    }
+
+
+
+    /**
+     * Собирает трассировку склонения части слова <var>$part</var> из <var>$this->lastTrace</var>
+     * @param string $part часть слова, которая склонялась
+     * @param string $method метод, который применял цепочку правил
+     * @param bool $declined было ли слово просклонено
+     * @param int $ruleID номер сработавшего правила
+     * @return object трассировка
+     */
+    traceWord (part, method, declined, ruleID)
+    {
+        return {
+            word: part,
+            method: method,
+            tried: this.lastTrace.tried,
+            matched: declined ? (this.lastTrace.matched || method) : null,
+            rule: ruleID,
+            description: declined ? this.lastTrace.description : null,
+            endings: declined ? this.lastTrace.endings : null,
+            replaceLast: declined ? this.lastTrace.replaceLast : 0,
+            declined: declined,
+        };
+    }
+
+
+
+    /**
+     * Собирает трассировку слова <var>$part</var>, которое было найдено в словаре исключений
+     * @param string $part слово или часть слова
+     * @return object трассировка
+     */
+    traceException (part)
+    {
+        return {
+            word: part,
+            method: 'findException',
+            tried: [],
+            matched: 'findException',
+            rule: 0,
+            description: 'Исключение из словаря',
+            endings: null,
+            replaceLast: 0,
+            declined: true,
+        };
+    }
+
+
+
+    /**
+     * Собирает трассировку несклоняемого слова <var>$part</var>
+     * @param string $part слово
+     * @return object трассировка
+     */
+    traceIndeclinable (part)
+    {
+        return {
+            word: part,
+            method: null,
+            tried: [],
+            matched: null,
+            rule: -1,
+            description: 'Несклоняемое слово',
+            endings: null,
+            replaceLast: 0,
+            declined: false,
+        };
     }
 
+
+
     /**
      * Производит склонение всех слов, который хранятся в массиве <var>$this->words</var>
      */
@@ -770,6 +1869,7 @@ export default class NCLNameCaseCore extends NCL
         if (!(word instanceof NCLNameCaseWord))
             throw new Exception("word should be of class NCLNameCaseWord");
 
+        number = this.caseNumber(number);
         var cases = word.getNameCases();
         if (is_null(number) || number < 0 || number > (this.CaseCount - 1))
         {
@@ -790,9 +1890,9 @@ export default class NCLNameCaseCore extends NCL
      */
     getCasesConnected (indexArray, number = null)
     {
-        var readyArr = {};
+        var readyArr = [];
         for (var index of indexArray) {
-            readyArr.push(getWordCase(words[index], number));
+            readyArr.push(this.getWordCase(this.words[index], number));
         }
 
         var all = readyArr.length;
@@ -804,7 +1904,7 @@ export default class NCLNameCaseCore extends NCL
                 var resultArr = [];
                 for (var kase = 0; kase < this.CaseCount; kase++)
                 {
-                    var tmp = {};
+                    var tmp = [];
                     for (var i = 0; i < all; i++)
                     {
                         tmp.push(readyArr[i][kase]);
@@ -818,7 +1918,7 @@ export default class NCLNameCaseCore extends NCL
                 return implode(' ', readyArr);
             }
         }
-        return '';
+        return is_null(number) ? array_fill(0, this.CaseCount, '') : '';
     }
 
     /**
@@ -826,14 +1926,14 @@ export default class NCLNameCaseCore extends NCL
      *
      * Если указан номер падежа <var>$number</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
-     * @param int $number номер падежа
+     * @param mixed $number номер или название падежа
      * @return mixed массив или строка с нужным падежом
      */
     getFirstNameCase (number = null)
     {
         this.AllWordCases();
 
-        return this.getCasesConnected(this.index['N'], number);
+        return this.getCasesConnected(this.index['N'], this.caseNumber(number));
     }
 
 
@@ -843,14 +1943,14 @@ export default class NCLNameCaseCore extends NCL
      *
      * Если указан номер падежа <var>$number</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
-     * @param int $number номер падежа
+     * @param mixed $number номер или название падежа
      * @return mixed массив или строка с нужным падежом
      */
     getSecondNameCase (number = null)
     {
         this.AllWordCases();
 
-        return this.getCasesConnected(this.index['S'], number);
+        return this.getCasesConnected(this.index['S'], this.caseNumber(number));
     }
 
 
@@ -860,14 +1960,14 @@ export default class NCLNameCaseCore extends NCL
      *
      * Если указан номер падежа <var>$number</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
-     * @param int $number номер падежа
+     * @param mixed $number номер или название падежа
      * @return mixed массив или строка с нужным падежом
      */
     getFatherNameCase (number = null)
     {
         this.AllWordCases();
 
-        return this.getCasesConnected(this.index['F'], number);
+        return this.getCasesConnected(this.index['F'], this.caseNumber(number));
     }
 
 
@@ -877,7 +1977,7 @@ export default class NCLNameCaseCore extends NCL
      * Если указан номер падежа <var>$CaseNumber</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
      * @param string $firstName имя, которое нужно просклонять
-     * @param int $CaseNumber номер падежа
+     * @param mixed $CaseNumber номер или название падежа
      * @param int $gender пол, который нужно использовать
      * @return mixed массив или строка с нужным падежом
      */
@@ -899,7 +1999,7 @@ export default class NCLNameCaseCore extends NCL
      * Если указан номер падежа <var>$CaseNumber</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
      * @param string $secondName фамилия, которую нужно просклонять
-     * @param int $CaseNumber номер падежа
+     * @param mixed $CaseNumber номер или название падежа
      * @param int $gender пол, который нужно использовать
      * @return mixed массив или строка с нужным падежом
      */
@@ -922,7 +2022,7 @@ export default class NCLNameCaseCore extends NCL
      * Если указан номер падежа <var>$CaseNumber</var>, тогда возвращается строка с таким номером падежа,
      * если нет, тогда возвращается массив со всеми падежами текущего слова.
      * @param string $fatherName отчество, которое нужно просклонять
-     * @param int $CaseNumber номер падежа
+     * @param mixed $CaseNumber номер или название падежа
      * @param int $gender пол, который нужно использовать
      * @return mixed массив или строка с нужным падежом
      */
@@ -944,6 +2044,9 @@ export default class NCLNameCaseCore extends NCL
      * - S - Фамилия
      * - N - Имя
      * - F - Отчество
+     * - n, f - Инициалы имени и отчества (см. formatLine())
+     *
+     * Формат можно записать шаблоном с подстановками в фигурных скобках (см. parseTemplate())
      * @param string $format строка формат
      * @return array массив со всеми падежами
      */
@@ -954,37 +2057,16 @@ export default class NCLNameCaseCore extends NCL
             return this.getFormattedArrayHard(format);
         }
 
-        var length = NCLStr.strlen(format);
         var result = [];
         var cases = {};
-        cases['S'] = this.getCasesConnected(index['S']);
-        cases['N'] = this.getCasesConnected(index['N']);
-        cases['F'] = this.getCasesConnected(index['F']);
+        cases['S'] = this.getCasesConnected(this.index['S']);
+        cases['N'] = this.getCasesConnected(this.index['N']);
+        cases['F'] = this.getCasesConnected(this.index['F']);
+        var template = this.isTemplate(format) ? this.parseTemplate(format) : null;
 
         for (var curCase = 0; curCase < this.CaseCount; curCase++)
         {
-            var line = "";
-            for (var i = 0; i < length; i++)
-            {
-                var symbol = NCLStr.substr(format, i, 1);
-                if (symbol == 'S')
-                {
-                    line+= cases['S'][curCase];
-                }
-                else if (symbol == 'N')
-                {
-                    line+= cases['N'][curCase];
-                }
-                else if (symbol == 'F')
-                {
-                    line+= cases['F'][curCase];
-                }
-                else
-                {
-                    line+= symbol;
-                }
-            }
-            result.push(line);
+            result.push(template ? this.formatTemplate(template, cases, curCase) : this.formatLine(format, {S: cases['S'][curCase], N: cases['N'][curCase], F: cases['F'][curCase]}));
         }
         return result;
     }
@@ -1003,18 +2085,9 @@ export default class NCLNameCaseCore extends NCL
     getFormattedArrayHard (format)
     {
         var result = [];
-        var cases = [];
-        for (var word of format) {
-            cases.push(word.getNameCases());
-        }
-
         for (var curCase = 0; curCase < this.CaseCount; curCase++)
         {
-            var line = "";
-            for (var value of cases) {
-                line+= value[curCase] + ' ';
-            }
-            result.push(trim(line));
+            result.push(this.getFormattedHard(curCase, format));
         }
         return result;
     }
@@ -1027,17 +2100,19 @@ export default class NCLNameCaseCore extends NCL
      * - S - Фамилия
      * - N - Имя
      * - F - Отчество
+     * @param mixed $caseNum номер или название падежа
      * @param array $format массив с форматом
      * @return string строка в нужном падеже
      */
     getFormattedHard (caseNum = 0, format = [])
     {
-        var result = "";
+        caseNum = this.caseNumber(caseNum);
+        var result = format.length ? format[0].getBefore() : "";
         for (var word of format) {
             var cases = word.getNameCases();
-            result+= cases[caseNum] + ' ';
+            result+= cases[caseNum] + word.getAfter();
         }
-        return trim(result);
+        return result.trim();
     };
 
 
@@ -1048,14 +2123,19 @@ export default class NCLNameCaseCore extends NCL
      * - S - Фамилия
      * - N - Имя
      * - F - Отчество
+     * - n, f - Инициалы имени и отчества (см. formatLine())
+     *
+     * Формат можно записать шаблоном с подстановками в фигурных скобках: "{S} {N:initial}.{F?}" (см. parseTemplate())
+     * @param mixed $caseNum номер или название падежа, null - все падежи
      * @param string $format строка с форматом
-     * @return string строка в нужном падеже
+     * @return mixed строка в нужном падеже или массив со всеми падежами
      */
-    getFormatted (caseNum = 0, format = "S N F")
+    getFormatted (caseNum = null, format = "S N F")
     {
+        caseNum = this.caseNumber(caseNum);
         this.AllWordCases();
         //Если не указан падеж используем другую функцию
-        if (is_null(caseNum) || !caseNum)
+        if (is_null(caseNum) || caseNum === undefined)
         {
             return this.getFormattedArray(format);
         }
@@ -1064,32 +2144,379 @@ export default class NCLNameCaseCore extends NCL
         {
             return this.getFormattedHard(caseNum, format);
         }
+        else if (this.isTemplate(format))
+        {
+            return this.formatTemplate(this.parseTemplate(format), {
+                S: this.getSecondNameCase(),
+                N: this.getFirstNameCase(),
+                F: this.getFatherNameCase(),
+            }, caseNum);
+        }
         else
         {
-            var length = NCLStr.strlen(format);
-            var result = "";
-            for (var i = 0; i < length; i++)
+            return this.formatLine(format, {
+                S: this.getSecondNameCase(caseNum),
+                N: this.getFirstNameCase(caseNum),
+                F: this.getFatherNameCase(caseNum),
+            });
+        }
+    }
+
+
+    /**
+     * Проверяет, записан ли формат <var>$format</var> шаблоном (есть фигурные скобки, см. parseTemplate())
+     * @param mixed $format формат
+     * @return bool true если это шаблон
+     */
+    isTemplate (format)
+    {
+        return typeof format == 'string' && /[{}]/.test(format);
+    }
+
+
+    /**
+     * Разбирает шаблон <var>$template</var>. В шаблоне буквы пишутся как есть, а части ФИО подставляются в фигурных скобках:
+     * - {S}, {N}, {F} - фамилия, имя, отчество
+     * - {S:genitive}, {N:2} - часть в указанном падеже независимо от падежа всей строки
+     * - {N:initial} - инициалы без последнего знака после инициала ("И", "Ж.-П")
+     * - {F?} - необязательная часть: если ее нет, то вместе с ней убираются скобки вокруг нее ("({F?})")
+     *   и текст между ней и предыдущей непустой частью, а если такой нет - между ней и следующей частью.
+     *   Текст в начале и в конце шаблона остается
+     * - \{, \}, \\ - фигурные скобки и обратная косая черта как текст
+     * @param string $template шаблон
+     * @return array список элементов: строки текста и подстановки {part, caseNum, initial, optional}
+     */
+    parseTemplate (template)
+    {
+        var tokens = [];
+        var text = '';
+        for (var i = 0; i < template.length; i++)
+        {
+            var symbol = template.charAt(i);
+            if (symbol == '\\' && i + 1 < template.length)
+            {
+                text+= template.charAt(++i);
+            }
+            else if (symbol == '{')
             {
-                var symbol = NCLStr.substr(format, i, 1);
-                if (symbol == 'S')
+                var end = template.indexOf('}', i);
+                var match = end < 0 ? null : /^([SNF])((?::[^:?]+)*)(\?)?$/.exec(template.substring(i + 1, end));
+                if (!match)
                 {
-                    result+= this.getSecondNameCase(caseNum);
+                    throw new Error('Invalid placeholder "' + template.substring(i, end < 0 ? template.length : end + 1) + '" in format "' + template + '"');
+                }
+
+                var placeholder = {part: match[1], caseNum: null, initial: false, optional: !!match[3]};
+                for (var modifier of match[2].split(':').slice(1)) {
+                    if (modifier == 'initial')
+                    {
+                        placeholder.initial = true;
+                    }
+                    else
+                    {
+                        placeholder.caseNum = this.caseNumber(modifier);
+                    }
                 }
-                else if (symbol == 'N')
+
+                if (text.length)
                 {
-                    result+= this.getFirstNameCase(caseNum);
+                    tokens.push(text);
+                    text = '';
                 }
-                else if (symbol == 'F')
+                tokens.push(placeholder);
+                i = end;
+            }
+            else if (symbol == '}')
+            {
+                throw new Error('Unexpected "}" in format "' + template + '"');
+            }
+            else
+            {
+                text+= symbol;
+            }
+        }
+
+        if (text.length)
+        {
+            tokens.push(text);
+        }
+        return tokens;
+    }
+
+
+    /**
+     * Собирает строку по разобранному шаблону <var>$tokens</var> (см. parseTemplate())
+     * @param array $tokens элементы шаблона
+     * @param object $cases все падежи частей ФИО {S, N, F}
+     * @param int $caseNum падеж строки
+     * @return string строка
+     */
+    formatTemplate (tokens, cases, caseNum)
+    {
+        var values = tokens.map(token => {
+            if (typeof token == 'string')
+            {
+                return token;
+            }
+            var value = cases[token.part][is_null(token.caseNum) ? caseNum : token.caseNum] || '';
+            if (token.initial)
+            {
+                value = this.initials(value);
+                var separatorLength = this.InitialsSeparator.length;
+                if (separatorLength && value.substr(-separatorLength) == this.InitialsSeparator)
                 {
-                    result+= this.getFatherNameCase(caseNum);
+                    value = value.substr(0, value.length - separatorLength);
                 }
-                else
+            }
+            return value;
+        });
+
+        //Соседние элементы текста склеены в parseTemplate(), поэтому за текстом перед частью
+        //(или после нее) всегда идет другая часть, если это не начало (конец) шаблона
+        var brackets = {'(': ')', '[': ']', '<': '>', '{': '}', '«': '»', '"': '"'};
+        tokens.forEach((token, index) => {
+            if (typeof token == 'string' || !token.optional || values[index].length)
+            {
+                return;
+            }
+            var before = index > 0 && typeof tokens[index - 1] == 'string' ? index - 1 : -1;
+            var after = index + 1 < tokens.length && typeof tokens[index + 1] == 'string' ? index + 1 : -1;
+            if (before >= 0 && after >= 0 && values[after].charAt(0) == brackets[values[before].slice(-1)])
+            {
+                values[before] = values[before].slice(0, -1);
+                values[after] = values[after].slice(1);
+            }
+
+            var filledBefore = tokens.some((other, i) => i < index && typeof other != 'string' && values[i].length);
+            if (before > 0 && filledBefore)
+            {
+                values[before] = '';
+            }
+            else if (after >= 0 && after + 1 < tokens.length)
+            {
+                values[after] = '';
+            }
+        });
+
+        return implode('', values);
+    }
+
+
+    /**
+     * Собирает строку по шаблону <var>$format</var> из частей ФИО <var>$parts</var>, которые уже стоят в нужном падеже.
+     * <b>Формат:</b>
+     * - S - Фамилия
+     * - N - Имя
+     * - F - Отчество
+     * - n - Инициал имени ("И.")
+     * - f - Инициал отчества ("П.")
+     * @param string $format строка с форматом
+     * @param object $parts части ФИО {S, N, F}
+     * @return string строка
+     */
+    formatLine (format, parts)
+    {
+        var length = NCLStr.strlen(format);
+        var line = "";
+        for (var i = 0; i < length; i++)
+        {
+            var symbol = NCLStr.substr(format, i, 1);
+            if (symbol == 'S' || symbol == 'N' || symbol == 'F')
+            {
+                line+= parts[symbol];
+            }
+            else if (symbol == 'n' || symbol == 'f')
+            {
+                line+= this.initials(parts[NCLStr.strtoupper(symbol)]);
+            }
+            else
+            {
+                line+= symbol;
+            }
+        }
+        return line;
+    }
+
+
+    /**
+     * Возвращает инициалы имени или отчества <var>$name</var>: первая буква каждого слова
+     * и <var>$this->InitialsSeparator</var>. Части двойного имени сокращаются отдельно ("Жан-Пьер" => "Ж.-П.")
+     * @param string $name имя или отчество
+     * @return string инициалы
+     */
+    initials (name)
+    {
+        var result = [];
+        for (var word of explode(' ', trim(name))) {
+            var parts = [];
+            for (var part of explode('-', word)) {
+                if (part.length)
                 {
-                    result+= symbol;
+                    parts.push(NCLStr.strtoupper(NCLStr.substr(part, 0, 1)) + this.InitialsSeparator);
                 }
             }
-            return result;
+            if (parts.length)
+            {
+                result.push(implode('-', parts));
+            }
+        }
+        return implode(' ', result);
+    }
+
+
+    /**
+     * Устанавливает знак, который ставится после каждого инициала (по умолчанию точка)
+     * @param string $separator знак после инициала
+     */
+    setInitialsSeparator (separator = '.')
+    {
+        this.InitialsSeparator = separator;
+    }
+
+
+    /**
+     * Задает апостроф, которым записываются все результаты: "’" (U+2019), "ʼ" (U+02BC, для официальных документов),
+     * "'" или "`". Апострофы во входных словах могут быть любыми из них. По умолчанию (null) каждое слово
+     * записывается тем апострофом, который был в нем на входе.
+     * @param string $apostrophe апостроф или null
+     */
+    setApostrophe (apostrophe = null)
+    {
+        if (apostrophe !== null && (NCLStr.strlen(apostrophe) != 1 || !this.in(apostrophe, NCLStr.apostrophes)))
+            throw new Error('Unknown apostrophe "' + apostrophe + '". Expected one of: ' + NCLStr.apostrophes.split('').join(' '));
+
+        this.Apostrophe = apostrophe;
+    }
+
+
+    /**
+     * Включает режим латиницы: слова, записанные латиницей, переводятся в кириллицу по схеме транслитерации
+     * <var>$scheme</var> из <var>$this->TranslitSchemes</var>, склоняются как обычно, и их падежи
+     * записываются латиницей по той же схеме с тем же регистром букв. Слова кириллицей склоняются как раньше.
+     * @param string $scheme название схемы (по умолчанию bgn) или null, чтобы выключить режим
+     */
+    setTranslit (scheme = 'bgn')
+    {
+        if (scheme !== null)
+        {
+            this.translitScheme(scheme);
+        }
+        this.Translit = scheme;
+    }
+
+
+    /**
+     * Возвращает схему транслитерации <var>$scheme</var> из <var>$this->TranslitSchemes</var> или бросает исключение, если ее нет
+     * @param string $scheme название схемы
+     * @return object схема транслитерации
+     */
+    translitScheme (scheme)
+    {
+        if (!key_exists(scheme, this.TranslitSchemes))
+            throw new Error('Unknown transliteration scheme "' + scheme + '". Expected one of: ' + Object.keys(this.TranslitSchemes).join(', '));
+
+        return this.TranslitSchemes[scheme];
+    }
+
+
+    /**
+     * Записывает кириллический текст латиницей по схеме <var>$scheme</var>: исходное ФИО или любой результат q()
+     * @param mixed $text строка или массив строк (например, все падежи)
+     * @param string $scheme название схемы, по умолчанию - официальная схема языка <var>$this->OfficialTranslit</var>
+     * @return mixed текст латиницей в том же виде
+     */
+    transliterate (text, scheme = null)
+    {
+        var table = this.translitScheme(scheme || this.OfficialTranslit);
+        if (is_array(text))
+        {
+            return text.map(item => NCLTranslit.toLatin(item, table));
+        }
+        return NCLTranslit.toLatin(text, table);
+    }
+
+
+    /**
+     * Переводит слово <var>$word</var> в кириллицу, если включен режим латиницы и слово записано латиницей
+     * @param string $word слово
+     * @return string слово кириллицей
+     */
+    toCyrillic (word)
+    {
+        return this.Translit && NCLTranslit.isLatin(word) ? NCLTranslit.toCyrillic(word, this.TranslitSchemes[this.Translit]) : word;
+    }
+
+
+    /**
+     * Задает, как склонять первые части фамилии через дефис:
+     * - auto - часть склоняется, если сама похожа на фамилию ("Римского-Корсакова", но "Квитка-Основьяненко")
+     * - both - склоняются все части
+     * - last - склоняется только последняя часть ("Бонч-Бруевича")
+     * @param string $policy auto, both или last
+     * @param array $indeclinableParts первые части, которые никогда не склоняются, если нужно заменить список
+     */
+    setCompoundSecondName (policy = 'auto', indeclinableParts = null)
+    {
+        if (!in_array(policy, ['auto', 'both', 'last']))
+            throw new Error('Unknown compound second name policy "' + policy + '". Expected one of: auto, both, last');
+
+        this.CompoundSecondName = policy;
+        if (indeclinableParts)
+        {
+            this.CompoundIndeclinableParts = indeclinableParts.map(part => NCLStr.strtolower(part));
+        }
+    }
+
+
+    /**
+     * Склоняет текущие слова во все падежи и собирает результат в один объект:
+     * - <b>gender</b> - пол человека
+     * - <b>cases</b> - ФИО, отформатированное по шаблону <var>$format</var>, во всех падежах
+     * - <b>words</b> - каждое слово отдельно: оригинал, тип слова, пол, номер правила и все падежи
+     * Ключами падежей служат названия из <var>$this->CaseNames</var>
+     * @param mixed $format строка с форматом или массив слов
+     * @return object результат склонения
+     */
+    getResult (format = "S N F")
+    {
+        this.AllWordCases();
+
+        //После solveGender() пол у всех слов одинаковый
+        var result = {
+            gender: this.words.length ? this.words[0].gender() : 0,
+            cases: this.namedCases(this.getFormattedArray(format)),
+            words: [],
+        };
+
+        var words = is_array(format) ? format : this.words;
+        for (var word of words) {
+            result.words.push({
+                word: word.getWordDisplay(),
+                namePart: word.getNamePart(),
+                gender: word.gender(),
+                rule: word.rule,
+                cases: this.namedCases(word.getNameCases()),
+            });
+        }
+
+        return result;
+    }
+
+
+
+    /**
+     * Превращает массив падежей в объект, ключами которого являются названия падежей
+     * @param array $cases массив со всеми падежами
+     * @return object падежи по названиям
+     */
+    namedCases (cases)
+    {
+        var named = {};
+        for (var caseNum = 0; caseNum < this.CaseCount; caseNum++)
+        {
+            named[this.CaseNames[caseNum] || caseNum] = cases[caseNum];
         }
+        return named;
     }
 
 
@@ -1104,11 +2531,11 @@ export default class NCLNameCaseCore extends NCL
      * @param string $firstName имя
      * @param string $fatherName отчество
      * @param int $gender пол
-     * @param int $caseNum номер падежа
+     * @param mixed $caseNum номер или название падежа
      * @param string $format формат
      * @return mixed либо массив со всеми падежами, либо строка
      */
-    qFullName (secondName = "", firstName = "", fatherName = "", gender = 0, caseNum = 0, format = "S N F")
+    qFullName (secondName = "", firstName = "", fatherName = "", gender = 0, caseNum = null, format = "S N F")
     {
         this.fullReset();
         this.setFirstName(firstName);
@@ -1123,11 +2550,36 @@ export default class NCLNameCaseCore extends NCL
     }
 
 
+    /**
+     * Склоняет фамилию <var>$secondName</var>, имя <var>$firstName</var>, отчество <var>$fatherName</var>
+     * по правилам пола <var>$gender</var> и возвращает объект со всеми падежами (см. getResult())
+     * @param string $secondName фамилия
+     * @param string $firstName имя
+     * @param string $fatherName отчество
+     * @param int $gender пол
+     * @param string $format формат
+     * @return object результат склонения
+     */
+    qFullNameResult (secondName = "", firstName = "", fatherName = "", gender = 0, format = "S N F")
+    {
+        this.fullReset();
+        this.setFirstName(firstName);
+        this.setSecondName(secondName);
+        this.setFatherName(fatherName);
+        if (gender)
+        {
+            this.setGender(gender);
+        }
+
+        return this.getResult(format);
+    }
+
+
     /**
      * Склоняет ФИО <var>$fullname</var> в падеж <var>$caseNum</var> по правилам пола <var>$gender</var>.
      * Возвращает результат в таком же формате, как он и был.
      * @param string $fullname ФИО
-     * @param int $caseNum номер падежа
+     * @param mixed $caseNum номер или название падежа
      * @param int $gender пол человека
      * @return mixed либо массив со всеми падежами, либо строка
      */
@@ -1145,15 +2597,889 @@ export default class NCLNameCaseCore extends NCL
 
 
     /**
-     * Определяет пол человека по ФИО
-     * @param string $fullname ФИО
-     * @return int пол человека
+     * Склоняет ФИО, переданное строкой или объектом {secondName, firstName, fatherName, gender}
+     * (или {surname, name, patronymic, gender}), в падеж <var>$caseNum</var> (см. decline())
+     * @param mixed $input ФИО
+     * @param int $caseNum номер падежа или null для всех падежей
+     * @param int $gender пол человека, если в объекте пол не указан
+     * @param string $format формат для ФИО, переданного объектом
+     * @return mixed строка в нужном падеже или массив со всеми падежами
      */
-    genderDetect (fullname)
+    declineInput (input, caseNum = null, gender = 0, format = 'S N F')
     {
-        this.fullReset();
-        this.splitFullName(fullname);
-        return this.genderAutoDetect();
+        var result;
+        this.checkInput(input);
+        if (input && typeof input == 'object')
+        {
+            var parts = this.inputParts(input, gender);
+            result = this.qFullName(parts.secondName, parts.firstName, parts.fatherName, parts.gender, caseNum, this.inputFormat(format, parts));
+        }
+        else if (typeof input == 'string')
+        {
+            result = this.q(input, caseNum, gender);
+        }
+        return result;
+    }
+
+
+    /**
+     * Склоняет ФИО, переданное так же, как в declineInput(), и возвращает объект со всеми падежами (см. getResult()).
+     * Если <var>$explain</var> - к словам добавляется трассировка, как в explain()
+     * @param mixed $input ФИО
+     * @param int $gender пол человека, если в объекте пол не указан
+     * @param string $format формат для ФИО, переданного объектом
+     * @param boolean $explain добавить трассировку
+     * @return object результат склонения
+     */
+    declineInputResult (input, gender = 0, format = 'S N F', explain = false)
+    {
+        var result;
+        this.checkInput(input);
+        this.tracing = explain;
+        try
+        {
+            if (input && typeof input == 'object')
+            {
+                var parts = this.inputParts(input, gender);
+                result = this.qFullNameResult(parts.secondName, parts.firstName, parts.fatherName, parts.gender, this.inputFormat(format, parts));
+            }
+            else
+            {
+                result = this.qResult(input, gender);
+            }
+        }
+        finally
+        {
+            this.tracing = false;
+        }
+        return explain ? this.addTrace(result) : result;
+    }
+
+
+    /**
+     * Проверяет ФИО, переданное в declineInput(): непустая строка или объект, в котором части ФИО -
+     * строки и хотя бы одна из них не пустая. Бросает ошибку с описанием того, что не так
+     * @param mixed $input ФИО
+     */
+    checkInput (input)
+    {
+        if (typeof input == 'string')
+        {
+            if (!input.trim().length)
+                throw new Error('Expected a full name, got an empty string');
+            return;
+        }
+        if (!input || typeof input != 'object')
+            throw new Error('Expected a full name string or an object with name parts, got ' + input);
+
+        var empty = true;
+        for (var key of ['secondName', 'surname', 'firstName', 'name', 'fatherName', 'patronymic']) {
+            var part = input[key];
+            if (part === undefined || part === null)
+                continue;
+            if (typeof part != 'string')
+                throw new Error('Name part "' + key + '" should be a string, got ' + (typeof part) + ' ' + part);
+            empty = empty && !part.trim().length;
+        }
+        if (empty)
+            throw new Error('Expected at least one non-empty name part (surname, name or patronymic)');
+    }
+
+
+    /**
+     * Возвращает части ФИО, переданного объектом {secondName, firstName, fatherName, gender}
+     * или {surname, name, patronymic, gender}. Пол из объекта важнее <var>$gender</var>
+     * @param object $input ФИО объектом
+     * @param int $gender пол человека по умолчанию
+     * @return object {secondName, firstName, fatherName, gender}
+     */
+    inputParts (input, gender = 0)
+    {
+        return {
+            secondName: input.secondName || input.surname || '',
+            firstName: input.firstName || input.name || '',
+            fatherName: input.fatherName || input.patronymic || '',
+            gender: NCL.genderNumber(input.gender) || gender,
+        };
+    }
+
+
+    /**
+     * Убирает из строки формата <var>$format</var> части ФИО, которых нет в <var>$parts</var>, вместе с разделителем
+     * перед ними (или после них, если часть идет первой): "S N F" без отчества дает "S N", без фамилии - "N F".
+     * Шаблоны (см. parseTemplate()) и форматы-массивы возвращаются как есть
+     * @param mixed $format формат
+     * @param object $parts части ФИО {secondName, firstName, fatherName} (см. inputParts())
+     * @return mixed формат без пустых частей
+     */
+    inputFormat (format, parts)
+    {
+        if (typeof format != 'string' || this.isTemplate(format))
+        {
+            return format;
+        }
+        var names = {S: parts.secondName, N: parts.firstName, F: parts.fatherName, n: parts.firstName, f: parts.fatherName};
+        //Нечетные элементы - части ФИО, четные - текст между ними
+        var tokens = format.split(/([SNFnf])/);
+        var line = tokens[0];
+        var kept = 0;
+        for (var i = 1; i < tokens.length; i += 2)
+        {
+            if (!trim(names[tokens[i]]))
+            {
+                continue;
+            }
+            line += (kept ? tokens[i - 1] : '') + tokens[i];
+            kept++;
+        }
+        return line + tokens[tokens.length - 1];
+    }
+
+
+    /**
+     * Склоняет ФИО <var>$fullname</var> как q() и записывает результат латиницей (см. transliterate())
+     * @param string $fullname ФИО
+     * @param mixed $caseNum номер или название падежа
+     * @param int $gender пол человека
+     * @param string $scheme название схемы, по умолчанию - официальная схема языка
+     * @return mixed либо массив со всеми падежами, либо строка
+     */
+    qTranslit (fullname, caseNum = null, gender = null, scheme = null)
+    {
+        return this.transliterate(this.q(fullname, caseNum, gender), scheme);
+    }
+
+
+    /**
+     * Склоняет ФИО <var>$fullname</var> по правилам пола <var>$gender</var> и возвращает объект
+     * со всеми падежами, информацией о каждом слове и определенным полом (см. getResult()).
+     * Слова в результате идут в том же порядке, что и в <var>$fullname</var>.
+     * @param string $fullname ФИО
+     * @param int $gender пол человека
+     * @return object результат склонения
+     */
+    qResult (fullname, gender = null)
+    {
+        this.fullReset();
+        var format = this.splitFullName(fullname);
+        if (gender)
+        {
+            this.setGender(gender);
+        }
+
+        return this.getResult(format);
+    }
+
+
+    /**
+     * Склоняет ФИО <var>$fullname</var> так же, как qResult(), и объясняет результат: для каждого
+     * слова в поле <b>trace</b> содержится список частей слова (части фамилии через дефис склоняются
+     * отдельно), и для каждой части:
+     * - tried - методы правил в том порядке, в котором их пробовал RulesChain()
+     * - matched - сработавший метод
+     * - rule, description - номер и описание сработавшего правила
+     * - endings, replaceLast - окончания и количество убранных букв, которые применил wordForms()
+     * @param string $fullname ФИО
+     * @param int $gender пол человека
+     * @return object результат склонения с трассировкой
+     */
+    explain (fullname, gender = null)
+    {
+        this.tracing = true;
+        try
+        {
+            var result = this.qResult(fullname, gender);
+        }
+        finally
+        {
+            this.tracing = false;
+        }
+        return this.addTrace(result);
+    }
+
+
+    /**
+     * Добавляет к словам результата getResult() трассировку, собранную при склонении
+     * @param object $result результат склонения
+     * @return object тот же результат
+     */
+    addTrace (result)
+    {
+        for (var index in result.words) {
+            result.words[index].trace = this.words[index].getTrace();
+        }
+        return result;
+    }
+
+
+    /**
+     * Определяет пол человека по ФИО
+     * @param string $fullname ФИО
+     * @return int пол человека
+     */
+    genderDetect (fullname)
+    {
+        this.fullReset();
+        this.splitFullName(fullname);
+        return this.genderAutoDetect();
+    }
+
+
+    /**
+     * Определяет пол человека по ФИО и возвращает подробную информацию об определении
+     * (см. genderAutoDetectInfo())
+     * @param string $fullname ФИО
+     * @return object информация об определении пола
+     */
+    genderDetectInfo (fullname)
+    {
+        this.fullReset();
+        this.splitFullName(fullname);
+        return this.genderAutoDetectInfo();
+    }
+
+
+    /**
+     * Строит возможные формы именительного падежа слова <var>$word</var>: от слова отрезается
+     * до трех последних букв, основа меняется по <var>$this->LemmaAlternations</var>
+     * и к ней добавляются окончания <var>$this->NominativeEndings</var>
+     * @param string $word слово в нижнем регистре
+     * @return array кандидаты в нижнем регистре
+     */
+    lemmaCandidates (word)
+    {
+        var candidates = [];
+        var length = NCLStr.strlen(word);
+        for (var cut = 0; cut <= 3 && cut < length; cut++)
+        {
+            var stem = NCLStr.substr(word, 0, length - cut);
+            var stems = [stem];
+            for (var alternation of this.LemmaAlternations) {
+                var alternated = stem.replace(alternation[0], alternation[1]);
+                if (alternated != stem)
+                {
+                    stems.push(alternated);
+                }
+            }
+
+            for (var osnova of stems) {
+                for (var ending of this.NominativeEndings) {
+                    if (this.canEndWith(osnova, ending) && !in_array(osnova + ending, candidates)
+                        && !this.LemmaForbidden.some(pattern => pattern.test(osnova + ending)))
+                    {
+                        candidates.push(osnova + ending);
+                    }
+                }
+            }
+        }
+        return candidates;
+    }
+
+
+    /**
+     * Проверяет, можно ли добавить окончание <var>$ending</var> к основе <var>$osnova</var>:
+     * ь пишется только после согласной, й - после гласной, а окончания из двух букв - только после согласной
+     * @param string $osnova основа в нижнем регистре
+     * @param string $ending окончание
+     * @return bool true если можно
+     */
+    canEndWith (osnova, ending)
+    {
+        var last = NCLStr.substr(osnova, -1, 1);
+        var first = NCLStr.substr(ending, 0, 1);
+        if (first == 'ь')
+        {
+            return this.in(last, this.consonant);
+        }
+        if (first == 'й')
+        {
+            return this.in(last, this.vowels);
+        }
+        return NCLStr.strlen(ending) < 2 || !this.in(last, this.vowels);
+    }
+
+
+    /**
+     * Ищет формы именительного падежа для одного слова <var>$word</var>. Каждый кандидат из lemmaCandidates()
+     * склоняется как фамилия, имя и отчество нужного пола, и остаются только те, у которых один из падежей
+     * совпадает с <var>$word</var>. Части двойного слова восстанавливаются отдельно.
+     * Несклоняемый кандидат (все падежи одинаковые) совпадает с любым падежом, поэтому он остается,
+     * только если склоняемых кандидатов нет. Слово без букв кандидатов не имеет.
+     * @param string $word слово в косвенном падеже
+     * @param int $caseNum номер падежа, если известен
+     * @param int $gender пол, если известен
+     * @return array кандидаты {word, namePart, gender, cases, indeclinable}
+     */
+    lemmaWord (word, caseNum = null, gender = null)
+    {
+        var lower = NCLStr.strtolower(word);
+        var candidates = [];
+        if (lower == NCLStr.strtoupper(word))
+        {
+            return [];
+        }
+        if (lower.indexOf('-') > 0)
+        {
+            candidates = [''];
+            for (var part of explode('-', word)) {
+                var parts = [];
+                for (var found of this.lemmaWord(part, caseNum, gender)) {
+                    if (!in_array(found.word, parts))
+                    {
+                        parts.push(found.word);
+                    }
+                }
+                candidates = [].concat(...candidates.map(prefix => parts.map(lemma => prefix ? prefix + '-' + lemma : lemma)));
+            }
+        }
+        else
+        {
+            //Регистр букв кандидата берется из исходного слова
+            var mask = new NCLNameCaseWord(word);
+            for (var candidate of this.lemmaCandidates(lower)) {
+                mask.setNameCases([candidate]);
+                candidates.push(mask.getNameCase(0));
+            }
+        }
+
+        //Склоняем в нижнем регистре: слова целиком из больших букв q() не склоняет
+        var methods = {S: 'qSecondName', N: 'qFirstName', F: 'qFatherName'};
+        var genders = gender ? [gender] : [NCL.MAN, NCL.WOMAN];
+        var result = [];
+        for (var candidate of candidates) {
+            for (var candidateGender of genders) {
+                for (var namePart in methods) {
+                    var cases = this[methods[namePart]](NCLStr.strtolower(candidate), null, candidateGender);
+                    var matched = this.lemmaCases(cases, lower, caseNum);
+                    if (matched.length)
+                    {
+                        result.push({
+                            word: candidate,
+                            namePart: namePart,
+                            gender: candidateGender,
+                            cases: matched,
+                            indeclinable: cases.every(form => form == cases[0]),
+                        });
+                    }
+                }
+            }
+        }
+        if (result.some(found => !found.indeclinable))
+        {
+            result = result.filter(found => !found.indeclinable);
+        }
+        return result;
+    }
+
+
+    /**
+     * Возвращает номера падежей из <var>$cases</var>, в которых стоит <var>$word</var>.
+     * Слова сравниваются по отдельности, каждое может стоять в любой из форм caseVariants()
+     * @param array $cases слово или ФИО во всех падежах
+     * @param string $word искомая форма в нижнем регистре
+     * @param int $caseNum если указан - проверяется только этот падеж
+     * @return array номера падежей
+     */
+    lemmaCases (cases, word, caseNum = null)
+    {
+        var words = word.split(/[\s-]+/);
+        var matched = [];
+        for (var number = 0; number < this.CaseCount; number++)
+        {
+            if (!is_null(caseNum) && caseNum != number)
+            {
+                continue;
+            }
+            var forms = NCLStr.strtolower(cases[number]).split(/[\s-]+/);
+            if (forms.length == words.length && forms.every((form, index) => in_array(words[index], this.caseVariants(form, number))))
+            {
+                matched.push(number);
+            }
+        }
+        return matched;
+    }
+
+
+    /**
+     * Возвращает формы слова <var>$form</var> в падеже <var>$caseNum</var>, которые тоже считаются правильными
+     * при восстановлении именительного падежа. Языки, в которых у падежа есть несколько окончаний,
+     * переопределяют этот метод
+     * @param string $form слово в нижнем регистре, как его склоняют правила
+     * @param int $caseNum номер падежа
+     * @return array формы слова
+     */
+    caseVariants (form, caseNum)
+    {
+        return [form];
+    }
+
+
+    /**
+     * Восстанавливает именительный падеж ФИО <var>$fullname</var>, которое стоит в косвенном падеже
+     * ("Иванову Ивану Петровичу" => "Иванов Иван Петрович"). Для каждого слова ищутся кандидаты (см. lemmaWord()),
+     * из них собираются ФИО одного пола, и каждое ФИО склоняется заново через q(): возвращаются только те,
+     * которые склоняются обратно в <var>$fullname</var>. Результат - массив объектов:
+     * - fullname - ФИО в именительном падеже
+     * - gender - пол
+     * - cases - номера падежей, в которых ФИО совпадает с <var>$fullname</var>
+     * - words - слова {word, namePart} так, как их определил q()
+     *
+     * Если q() разбирает часть кандидатов так, что каждая часть ФИО встречается один раз, возвращаются только они.
+     * Кандидаты, в которых изменилось больше слов, идут первыми, из них - более короткие. Если падеж не указан, само <var>$fullname</var>
+     * тоже может оказаться именительным падежом - такой кандидат идет последним.
+     * @param string $fullname ФИО или слово в косвенном падеже
+     * @param mixed $caseNum номер или название падежа, если известен
+     * @param int $gender пол, если известен
+     * @return array кандидаты
+     */
+    lemmatize (fullname, caseNum = null, gender = null)
+    {
+        caseNum = this.caseNumber(caseNum);
+        var tokens = this.tokenizeFullName(fullname).words;
+        var lower = NCLStr.strtolower(implode(' ', tokens));
+
+        //Частицы и маркер отчества остаются при своем слове, как в splitFullName()
+        var words = [];
+        var prefix = '';
+        tokens.forEach((token, index) => {
+            if (index < tokens.length - 1 && this.isParticle(token))
+            {
+                prefix += token + ' ';
+            }
+            else if (words.length && !prefix && this.markerGender(token))
+            {
+                words[words.length - 1].suffix = ' ' + token;
+            }
+            else
+            {
+                words.push({prefix: prefix, word: token, suffix: ''});
+                prefix = '';
+            }
+        });
+
+        //Собираем ФИО из кандидатов одного пола с общими падежами
+        var combinations = [{words: [], parts: [], gender: gender, cases: null, changed: 0, declinable: false}];
+        for (var item of words) {
+            var word = item.prefix + item.word + item.suffix;
+            var lemmas = {};
+            var markerGender = this.markerGender(item.suffix.substr(1));
+            if (markerGender)
+            {
+                //отчество с маркером не склоняется
+                lemmas[word] = {word: word, gender: markerGender, parts: ['F'], cases: range(0, this.CaseCount - 1), indeclinable: true};
+            }
+            else
+            {
+                for (var found of this.lemmaWord(item.word, caseNum, gender)) {
+                    var key = found.gender + ' ' + found.word;
+                    if (!key_exists(key, lemmas))
+                    {
+                        lemmas[key] = {word: item.prefix + found.word, gender: found.gender, parts: [], cases: [], indeclinable: true};
+                    }
+                    lemmas[key].indeclinable = lemmas[key].indeclinable && found.indeclinable;
+                    lemmas[key].parts.push(found.namePart);
+                    lemmas[key].cases = lemmas[key].cases.concat(found.cases);
+                }
+            }
+
+            var next = [];
+            for (var combination of combinations) {
+                for (var key in lemmas) {
+                    var lemma = lemmas[key];
+                    var common = combination.cases ? combination.cases.filter(number => in_array(number, lemma.cases)) : lemma.cases;
+                    if ((!combination.gender || combination.gender == lemma.gender) && common.length)
+                    {
+                        next.push({
+                            words: combination.words.concat([lemma.word]),
+                            parts: combination.parts.concat([lemma.parts]),
+                            gender: lemma.gender,
+                            cases: common,
+                            changed: combination.changed + (lemma.word != word ? 1 : 0),
+                            declinable: combination.declinable || !lemma.indeclinable,
+                        });
+                    }
+                }
+            }
+            combinations = next;
+        }
+
+        //Сначала проверяются ФИО, в которых части могут не повторяться: если среди них есть подходящее,
+        //остальные проверять не нужно (см. ниже)
+        var distinct = combinations.filter(combination => this.lemmaPartsDistinct(combination.parts));
+        var result = this.lemmaCheck(distinct, lower, caseNum, gender);
+        if (!result.some(item => item.distinct))
+        {
+            result = result.concat(this.lemmaCheck(combinations.filter(combination => !in_array(combination, distinct)), lower, caseNum, gender));
+        }
+
+        //Если есть ФИО, в котором каждая часть встречается один раз, остальные не нужны.
+        //Сначала идут кандидаты, в которых изменилось больше слов, из них - более короткие
+        if (result.some(item => item.distinct))
+        {
+            result = result.filter(item => item.distinct);
+        }
+        result.forEach((item, index) => item.order = index);
+        result.sort((a, b) => (b.changed - a.changed) || (NCLStr.strlen(a.fullname) - NCLStr.strlen(b.fullname)) || (a.order - b.order));
+        for (var item of result) {
+            delete item.changed;
+            delete item.distinct;
+            delete item.order;
+        }
+        return result;
+    }
+
+
+    /**
+     * Проверяет, можно ли выбрать каждому слову часть ФИО из <var>$parts</var> так, чтобы части не повторялись
+     * @param array $parts возможные части ФИО каждого слова
+     * @param array $used части, уже выбранные для первых слов
+     * @return bool true, если можно
+     */
+    lemmaPartsDistinct (parts, used = [])
+    {
+        if (used.length == parts.length)
+        {
+            return true;
+        }
+        return parts[used.length].some(part => !in_array(part, used) && this.lemmaPartsDistinct(parts, used.concat([part])));
+    }
+
+
+    /**
+     * Склоняет собранные lemmatize() ФИО через q() и оставляет те, которые склоняются обратно в <var>$lower</var>.
+     * ФИО только из несклоняемых слов подходит к любому падежу, поэтому оно остается, только если
+     * <var>$lower</var> может быть именительным падежом
+     * @param array $combinations собранные ФИО
+     * @param string $lower исходное ФИО в нижнем регистре
+     * @param int $caseNum номер падежа, если известен
+     * @param int $gender пол, если известен
+     * @return array кандидаты
+     */
+    lemmaCheck (combinations, lower, caseNum, gender)
+    {
+        var result = [];
+        for (var combination of combinations) {
+            if (!combination.words.length)
+            {
+                continue;
+            }
+
+            //Проверка склонением: q() должен сам определить тот же пол и те же части ФИО
+            var declined = this.qResult(NCLStr.strtolower(implode(' ', combination.words)), gender);
+            var parts = declined.words.map(item => item.namePart);
+            var consistent = declined.gender == combination.gender && declined.words.every((item, index) => {
+                return in_array(item.namePart, combination.parts[index]);
+            });
+            if (!consistent)
+            {
+                continue;
+            }
+
+            var all = [];
+            for (var number = 0; number < this.CaseCount; number++)
+            {
+                all.push(declined.cases[this.CaseNames[number] || number]);
+            }
+            var matched = this.lemmaCases(all, lower, caseNum);
+            if (!combination.declinable)
+            {
+                matched = matched.filter(number => number == 0);
+            }
+            if (matched.length)
+            {
+                result.push({
+                    fullname: implode(' ', combination.words),
+                    gender: declined.gender,
+                    cases: matched,
+                    words: declined.words.map((item, index) => ({word: combination.words[index], namePart: item.namePart})),
+                    changed: combination.changed,
+                    distinct: parts.every((part, index) => parts.indexOf(part) == index),
+                });
+            }
+        }
+        return result;
+    }
+
+
+    /**
+     * Признаки языка для NCL::detectLanguage(), собранные из данных языка:
+     * - letters - буквы <var>$this->LanguageLetters</var>
+     * - endings - окончания фамилий из <var>$this->SecondNameGenderPairs</var> (кроме неоднозначных)
+     *   и окончания отчеств из <var>$this->FatherNameRules</var>
+     * - names - имена из <var>$this->FatherNameRules</var> в нижнем регистре
+     * @return object признаки языка
+     */
+    languageMarkers ()
+    {
+        var endings = [];
+        for (var pair of this.SecondNameGenderPairs) {
+            if (pair.ambiguous != 'man')
+            {
+                endings.push(pair.man);
+            }
+            if (pair.ambiguous != 'woman')
+            {
+                endings.push(pair.woman);
+            }
+        }
+        for (var rule of this.FatherNameRules.endings) {
+            endings.push(rule[1].replace(/\$\d/g, ''), rule[2].replace(/\$\d/g, ''));
+        }
+        var names = this.FatherNameRules.names.concat(this.FatherNameRules.irregular.map(irregular => irregular.name));
+
+        return {
+            letters: this.LanguageLetters,
+            endings: endings.filter((ending, index) => ending && endings.indexOf(ending) == index),
+            names: names.map(name => NCLStr.strtolower(name)),
+        };
+    }
+
+
+    /**
+     * Образует отчество из имени отца <var>$firstName</var> по правилам <var>$this->FatherNameRules</var>
+     * ("Николай" => "Николаевич", "Николаевна"). Результат можно сразу передать в setFatherName().
+     * Регистр букв берется из <var>$firstName</var>.
+     * @param string $firstName имя отца
+     * @param int $gender пол человека, для которого нужно отчество
+     * @return string отчество или null, если ни одно правило не подходит
+     */
+    makeFatherName (firstName, gender = NCL.MAN)
+    {
+        var woman = NCL.genderNumber(gender) == NCL.WOMAN;
+        var name = NCLStr.strtolower(trim(firstName));
+        var fatherName = null;
+
+        for (var irregular of this.FatherNameRules.irregular) {
+            if (NCLStr.strtolower(irregular.name) == name)
+            {
+                fatherName = NCLStr.strtolower(woman ? irregular.woman : irregular.man);
+                break;
+            }
+        }
+
+        if (is_null(fatherName))
+        {
+            for (var ending of this.FatherNameRules.endings) {
+                if (ending[0].test(name))
+                {
+                    fatherName = name.replace(ending[0], woman ? ending[2] : ending[1]);
+                    break;
+                }
+            }
+        }
+
+        if (is_null(fatherName))
+        {
+            return null;
+        }
+        var mask = new NCLNameCaseWord(trim(firstName));
+        mask.setNameCases([fatherName]);
+        return mask.getNameCase(0);
+    }
+
+
+    /**
+     * Находит наиболее вероятное имя отца по отчеству <var>$fatherName</var> ("Николаевна" => "Николай").
+     * От отчества отрезаются окончания, к основе добавляются окончания имен <var>$this->NominativeEndings</var>,
+     * и подходят только те имена, из которых makeFatherName() образует это же отчество. Из них выбирается
+     * распространенное имя (<var>$this->FatherNameRules.names</var>) или имя, больше всего похожее на мужское.
+     * @param string $fatherName отчество
+     * @return string имя отца или null, если его не удалось найти
+     */
+    firstNameByFatherName (fatherName)
+    {
+        var lower = NCLStr.strtolower(trim(fatherName));
+        var genders = [NCL.MAN, NCL.WOMAN];
+
+        for (var irregular of this.FatherNameRules.irregular) {
+            if (NCLStr.strtolower(irregular.man) == lower || NCLStr.strtolower(irregular.woman) == lower)
+            {
+                return irregular.name;
+            }
+        }
+
+        //Подходят все имена, из которых получается это отчество
+        var candidates = [];
+        var length = NCLStr.strlen(lower);
+        for (var cut = Math.min(length - 1, 6); cut >= 2; cut--)
+        {
+            var stem = NCLStr.substr(lower, 0, length - cut);
+            for (var ending of this.NominativeEndings) {
+                var candidate = stem + ending;
+                if (!this.canEndWith(stem, ending) || in_array(candidate, candidates))
+                {
+                    continue;
+                }
+                for (var gender of genders) {
+                    var made = this.makeFatherName(candidate, gender);
+                    if (made && NCLStr.strtolower(made) == lower)
+                    {
+                        candidates.push(candidate);
+                        break;
+                    }
+                }
+            }
+        }
+        if (!candidates.length)
+        {
+            return null;
+        }
+
+        //Сначала ищем среди распространенных имен, иначе выбираем имя,
+        //которое больше всего похоже на мужское (см. GenderByFirstName())
+        var best = null;
+        var bestScore = null;
+        for (var candidate of candidates) {
+            var word = new NCLNameCaseWord(candidate);
+            this.GenderByFirstName(word);
+            var score = word.getGender()[NCL.MAN] - word.getGender()[NCL.WOMAN];
+            if (this.inNames(candidate, this.FatherNameRules.names))
+            {
+                score += 100;
+            }
+            if (is_null(best) || score > bestScore)
+            {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        var mask = new NCLNameCaseWord(trim(fatherName));
+        mask.setNameCases([best]);
+        return mask.getNameCase(0);
+    }
+
+
+    /**
+     * Образует форму фамилии <var>$secondName</var> для пола <var>$gender</var> ("Иванов" => "Иванова", "Толстая" => "Толстой").
+     * Пол исходной фамилии определяется по парам окончаний <var>$this->SecondNameGenderPairs</var> и GenderBySecondName().
+     * Части двойной фамилии меняются отдельно. Результат - объект:
+     * - secondName - наиболее вероятная форма
+     * - candidates - все возможные формы, первая совпадает с secondName
+     * - invariant - фамилия одинаковая для обоих полов ("Шевченко")
+     * - ambiguous - форма определена неоднозначно: несколько вариантов или GenderBySecondName() с ними не согласен
+     * Если основа короче <var>$this->SecondNameMinStem</var>, первой идет исходная фамилия ("Цой")
+     * @param string $secondName фамилия
+     * @param int $gender пол, для которого нужна фамилия
+     * @return object результат
+     */
+    convertSecondName (secondName, gender)
+    {
+        if (typeof secondName != 'string')
+        {
+            throw new Error('Expected a second name string, got ' + secondName);
+        }
+        gender = NCL.genderNumber(gender);
+        if (!gender)
+        {
+            throw new Error('Gender is required to convert a second name');
+        }
+
+        var result = {secondName: '', candidates: [''], invariant: true, ambiguous: false};
+        for (var part of explode('-', trim(secondName))) {
+            var converted = this.convertSecondNamePart(part, gender);
+            result.candidates = [].concat(...result.candidates.map(prefix => converted.candidates.map(candidate => prefix ? prefix + '-' + candidate : candidate)));
+            result.invariant = result.invariant && converted.invariant;
+            result.ambiguous = result.ambiguous || converted.ambiguous;
+        }
+        result.secondName = result.candidates[0];
+        return result;
+    }
+
+
+    /**
+     * Образует форму одной части фамилии <var>$word</var> для пола <var>$gender</var> (см. convertSecondName())
+     * @param string $word фамилия без дефисов
+     * @param int $gender пол, для которого нужна фамилия
+     * @return object результат {candidates, invariant, ambiguous}
+     */
+    convertSecondNamePart (word, gender)
+    {
+        var lower = NCLStr.strtolower(word);
+        var length = NCLStr.strlen(lower);
+
+        //Для каждого пола берем пары с самым длинным подходящим окончанием
+        var matches = {[NCL.MAN]: [], [NCL.WOMAN]: []};
+        for (var pair of this.SecondNameGenderPairs) {
+            for (var side of [NCL.MAN, NCL.WOMAN]) {
+                var ending = side == NCL.MAN ? pair.man : pair.woman;
+                var endingLength = NCLStr.strlen(ending);
+                if (endingLength >= length || NCLStr.substr(lower, -endingLength, endingLength) != ending)
+                {
+                    continue;
+                }
+                var current = matches[side].length ? NCLStr.strlen(side == NCL.MAN ? matches[side][0].man : matches[side][0].woman) : 0;
+                if (endingLength > current)
+                {
+                    matches[side] = [pair];
+                }
+                else if (endingLength == current)
+                {
+                    matches[side].push(pair);
+                }
+            }
+        }
+
+        if (!matches[NCL.MAN].length && !matches[NCL.WOMAN].length)
+        {
+            return {candidates: [word], invariant: true, ambiguous: false};
+        }
+
+        var detected = new NCLNameCaseWord(word);
+        this.GenderBySecondName(detected);
+        var score = detected.getGender();
+
+        var source;
+        if (matches[NCL.MAN].length && matches[NCL.WOMAN].length)
+        {
+            source = score[NCL.WOMAN] > score[NCL.MAN] ? NCL.WOMAN : NCL.MAN;
+        }
+        else
+        {
+            source = matches[NCL.MAN].length ? NCL.MAN : NCL.WOMAN;
+        }
+        var opposite = source == NCL.MAN ? NCL.WOMAN : NCL.MAN;
+
+        if (source == gender)
+        {
+            return {candidates: [word], invariant: false, ambiguous: score[opposite] > score[source]};
+        }
+
+        var mask = new NCLNameCaseWord(word);
+        var candidates = [];
+        var ambiguous = score[opposite] > score[source];
+        for (var pair of matches[source]) {
+            var from = source == NCL.MAN ? pair.man : pair.woman;
+            var to = source == NCL.MAN ? pair.woman : pair.man;
+            mask.setNameCases([NCLStr.substr(lower, 0, length - NCLStr.strlen(from)) + to]);
+            if (!in_array(mask.getNameCase(0), candidates))
+            {
+                candidates.push(mask.getNameCase(0));
+            }
+        }
+
+        //Если окончание бывает и у фамилий, которые не меняются, то без подтверждения
+        //от GenderBySecondName() вероятнее, что фамилия остается такой же.
+        //От слишком короткой основы окончание не отделяется: Цой остается Цой
+        var sourceName = source == NCL.MAN ? 'man' : 'woman';
+        var stem = length - NCLStr.strlen(source == NCL.MAN ? matches[source][0].man : matches[source][0].woman);
+        if (stem < this.SecondNameMinStem)
+        {
+            candidates.unshift(word);
+        }
+        else if (matches[source].some(pair => pair.ambiguous == sourceName))
+        {
+            if (score[source] > 0)
+            {
+                candidates.push(word);
+            }
+            else
+            {
+                candidates.unshift(word);
+            }
+        }
+
+        return {candidates: candidates, invariant: false, ambiguous: ambiguous || candidates.length > 1};
     }
 
 
@@ -5,6 +5,7 @@
 
 import NCLStr from "./NCLStr.js";
 import NCL from "./NCL.js";
+import NCLTranslit from "./NCLTranslit.js";
 
 var math_min = require('locutus/php/math/min');
 var math_max = require('locutus/php/math/max');
@@ -83,10 +84,65 @@ export default class NCLNameCaseWord
          * @var int
          */
         this.rule = 0;
+        /**
+         * Трассировка склонения слова, заполняется в режиме трассировки
+         * @var array
+         */
+        this.trace = null;
+        /**
+         * Текст перед словом (кавычки, скобки), если слово первое в исходной строке
+         * @var string
+         */
+        this.before = '';
+        /**
+         * Текст после слова до следующего слова (пробелы, запятые, кавычки) из исходной строки
+         * @var string
+         */
+        this.after = ' ';
+        /**
+         * Несклоняемые частицы перед словом ("ван ", "аль-", "О'"), которые добавляются ко всем падежам
+         * @var string
+         */
+        this.prefix = '';
+        /**
+         * Несклоняемый маркер отчества после слова (" оглы", "-кызы"), который добавляется ко всем падежам
+         * @var string
+         */
+        this.suffix = '';
+        /**
+         * Содержит true, если слово не склоняется
+         * @var bool
+         */
+        this.indeclinable = false;
+        /**
+         * Апостроф, которым записываются все падежи слова (см. returnMask()).
+         * По умолчанию - тот, которым записано исходное слово, null - если в слове нет апострофа
+         * @var string
+         */
+        this.apostrophe = null;
+        /**
+         * Номера букв, на месте которых во всех падежах пишется ё вместо е (см. setYo()),
+         * null - буквы е и ё остаются такими, какими их дали правила
+         * @var array
+         */
+        this.yo = null;
+        /**
+         * Содержит true, если ё из <var>$this->yo</var> пишется только в именительном падеже (Пётр - Петра)
+         * @var bool
+         */
+        this.yoNominativeOnly = false;
+        /**
+         * Схема транслитерации, по которой падежи слова записываются латиницей (см. setTranslit()),
+         * null - падежи пишутся кириллицей
+         * @var object
+         */
+        this.translit = null;
 
         this.word_orig=word;
         this.generateMask(word);
-        this.word = NCLStr.strtolower(word);
+        this.word = NCLStr.replaceApostrophes(NCLStr.strtolower(word));
+        var apostrophe = String(word).match(/['’ʼ`]/);
+        this.apostrophe = apostrophe ? apostrophe[0] : null;
     }
 
     /**
@@ -119,6 +175,8 @@ export default class NCLNameCaseWord
      * Возвращает все падежи слова в начальную маску:
      * - x - маленькая буква
      * - X - больная буква
+     *
+     * Все апострофы в падежах заменяются на <var>$this->apostrophe</var>, если он задан
      */
     returnMask()
     {
@@ -152,6 +210,34 @@ export default class NCLNameCaseWord
                 this.NameCases[index] += NCLStr.substr(kase, max, caseLength-maskLength);
             }
         }
+
+        if (this.apostrophe)
+        {
+            for (var index in this.NameCases)
+            {
+                this.NameCases[index] = NCLStr.replaceApostrophes(this.NameCases[index], this.apostrophe);
+            }
+        }
+    }
+
+    /**
+     * Ставит во всех падежах ё на места из <var>$this->yo</var>, остальные ё заменяет на е
+     */
+    returnYo()
+    {
+        for (var index in this.NameCases)
+        {
+            var letters = NCLStr.splitLetters(this.NameCases[index].replace(/ё/g, 'е').replace(/Ё/g, 'Е'));
+            if (index == 0 || !this.yoNominativeOnly)
+            {
+                for (var position of this.yo)
+                {
+                    if (letters[position] == 'е') letters[position] = 'ё';
+                    else if (letters[position] == 'Е') letters[position] = 'Ё';
+                }
+            }
+            this.NameCases[index] = NCLStr.connectLetters(letters);
+        }
     }
 
     /**
@@ -162,6 +248,22 @@ export default class NCLNameCaseWord
     {
         this.NameCases = nameCases;
         if (is_return_mask) this.returnMask();
+        if (this.yo) this.returnYo();
+        if (this.prefix || this.suffix)
+        {
+            var prefix = this.apostrophe ? NCLStr.replaceApostrophes(this.prefix, this.apostrophe) : this.prefix;
+            for (var index in this.NameCases)
+            {
+                this.NameCases[index] = prefix + this.NameCases[index] + this.suffix;
+            }
+        }
+        if (this.translit)
+        {
+            for (var index in this.NameCases)
+            {
+                this.NameCases[index] = NCLTranslit.toLatin(this.NameCases[index], this.translit);
+            }
+        }
     }
 
     /**
@@ -197,11 +299,11 @@ export default class NCLNameCaseWord
         {
             if (this.genderMan >= this.genderWoman)
             {
-                this.genderSolved = NCL.$MAN;
+                this.genderSolved = NCL.MAN;
             }
             else
             {
-                this.genderSolved = NCL.$WOMAN;
+                this.genderSolved = NCL.WOMAN;
             }
         }
         return this.genderSolved;
@@ -301,4 +403,154 @@ export default class NCLNameCaseWord
     {
         this.rule = ruleID;
     }
+
+    /**
+     * Сохраняет трассировку склонения текущего слова
+     * @param array $trace трассировка по частям слова
+     */
+    setTrace(trace)
+    {
+        this.trace = trace;
+    }
+
+    /**
+     * Возвращает трассировку склонения текущего слова
+     * @return array трассировка по частям слова
+     */
+    getTrace()
+    {
+        return this.trace;
+    }
+
+    /**
+     * Запоминает текст вокруг слова в исходной строке, чтобы при сборке результата он остался таким же
+     * @param string $before текст перед словом
+     * @param string $after текст после слова
+     */
+    setSeparators(before, after)
+    {
+        this.before = before;
+        this.after = after;
+    }
+
+    /**
+     * Возвращает текст перед словом
+     * @return string текст перед словом
+     */
+    getBefore()
+    {
+        return this.before;
+    }
+
+    /**
+     * Возвращает текст после слова
+     * @return string текст после слова
+     */
+    getAfter()
+    {
+        return this.after;
+    }
+
+    /**
+     * Запоминает несклоняемые частицы вокруг слова, они добавляются ко всем падежам слова
+     * @param string $prefix частицы перед словом
+     * @param string $suffix маркер отчества после слова
+     */
+    setAffixes(prefix, suffix)
+    {
+        this.prefix = prefix;
+        this.suffix = suffix;
+    }
+
+    /**
+     * Задает апостроф, которым записываются все падежи слова
+     * @param string $apostrophe апостроф или null, чтобы оставить апострофы как есть
+     */
+    setApostrophe(apostrophe)
+    {
+        this.apostrophe = apostrophe;
+    }
+
+    /**
+     * Возвращает апостроф, которым записываются падежи слова
+     * @return string апостроф или null
+     */
+    getApostrophe()
+    {
+        return this.apostrophe;
+    }
+
+    /**
+     * Задает схему транслитерации, по которой падежи слова записываются латиницей
+     * @param object $scheme схема транслитерации или null
+     */
+    setTranslit(scheme)
+    {
+        this.translit = scheme;
+    }
+
+    /**
+     * Возвращает схему транслитерации, по которой падежи слова записываются латиницей
+     * @return object схема транслитерации или null
+     */
+    getTranslit()
+    {
+        return this.translit;
+    }
+
+    /**
+     * Возвращает исходное слово в том письме, в котором записываются его падежи (латиницей, если задана схема транслитерации)
+     * @return string исходное слово
+     */
+    getWordDisplay()
+    {
+        return this.translit ? NCLTranslit.toLatin(this.word_orig, this.translit) : this.word_orig;
+    }
+
+    /**
+     * Задает, где в падежах слова пишется ё
+     * @param array $positions номера букв, на месте которых пишется ё
+     * @param bool $nominativeOnly ё пишется только в именительном падеже
+     */
+    setYo(positions, nominativeOnly = false)
+    {
+        this.yo = positions;
+        this.yoNominativeOnly = nominativeOnly;
+    }
+
+    /**
+     * Возвращает частицы перед словом
+     * @return string частицы перед словом
+     */
+    getPrefix()
+    {
+        return this.prefix;
+    }
+
+    /**
+     * Возвращает маркер отчества после слова
+     * @return string маркер отчества после слова
+     */
+    getSuffix()
+    {
+        return this.suffix;
+    }
+
+    /**
+     * Помечает слово как несклоняемое
+     * @param bool $indeclinable не склоняется ли слово
+     */
+    setIndeclinable(indeclinable = true)
+    {
+        this.indeclinable = indeclinable;
+    }
+
+    /**
+     * Проверяет, склоняется ли слово
+     * @return bool true, если слово не склоняется
+     */
+    isIndeclinable()
+    {
+        return this.indeclinable;
+    }
 }
@@ -3,17 +3,69 @@
  * @package NameCaseLib
  */
 
-var mb_substr = require('locutus/php/strings/substr');
-var mb_strpos = require('locutus/php/strings/strpos');
-var mb_strlen = require('locutus/php/strings/strlen');
-var mb_strtolower = require('locutus/php/strings/strtolower');
-var mb_strtoupper = require('locutus/php/strings/strtoupper');
-var mb_strrpos = require('locutus/php/strings/strrpos');
-var mb_split = require('locutus/php/strings/split');
-var implode = require('locutus/php/strings/implode');
+/**
+ * Приводит значение к строке так, как это делает PHP: true - '1', false, null и undefined - '',
+ * NaN - 'NAN', бесконечность - 'INF', массив - 'Array', объект - 'Object'
+ * @param mixed $value значение
+ * @return string строка
+ */
+function castString (value) {
+    switch (typeof value) {
+        case 'string':
+            return value;
+        case 'boolean':
+            return value ? '1' : '';
+        case 'number':
+            if (isNaN(value))
+                return 'NAN';
+            if (!isFinite(value))
+                return (value < 0 ? '-' : '') + 'INF';
+            return value + '';
+        case 'undefined':
+            return '';
+        case 'object':
+            if (value === null)
+                return '';
+            return Array.isArray(value) ? 'Array' : 'Object';
+        default:
+            throw new Error('Unsupported value type');
+    }
+}
+
+/**
+ * Разбивает строку на символы Unicode, если в ней есть суррогатные пары (символы вне BMP, например эмодзи).
+ * Для строки без них возвращает null: там символы совпадают с кодовыми единицами UTF-16
+ * @param string $str строка
+ * @return array символы строки или null
+ */
+function codePoints (str) {
+    return /[\uD800-\uDFFF]/.test(str) ? Array.from(str) : null;
+}
+
+/**
+ * Переводит позицию <var>$index</var> в символах Unicode в позицию в кодовых единицах UTF-16
+ * @param array $chars символы строки (см. codePoints())
+ * @param int $index позиция в символах
+ * @return int позиция в кодовых единицах
+ */
+function unitIndex (chars, index) {
+    return chars.slice(0, index).join('').length;
+}
+
+/**
+ * Переводит позицию <var>$index</var> в кодовых единицах UTF-16 строки <var>$str</var> в позицию в символах Unicode
+ * @param string $str строка
+ * @param int $index позиция в кодовых единицах
+ * @return int позиция в символах
+ */
+function charIndex (str, index) {
+    return Array.from(str.slice(0, index)).length;
+}
 
 /**
- * Класс содержит функции для работы со строками, которые используются в NCLNameCaseLib
+ * Класс содержит функции для работы со строками, которые используются в NCLNameCaseLib.
+ * Функции повторяют поведение mb_* функций PHP на обычных операциях со строками JavaScript:
+ * позиции и длины считаются в символах Unicode, символ вне BMP (эмодзи) - один символ
  * 
  * @author Андрей Чайка <bymer3@gmail.com>
  * @version 0.4.1
@@ -29,17 +81,25 @@ export default class NCLStr
 
 
     /**
-     * Получить подстроку из строки
+     * Получить подстроку из строки. Отрицательное начало отсчитывается от конца строки,
+     * отрицательная длина - сколько букв отбросить с конца. Без длины и там, где подстроки нет, возвращается ''
      * @param string $str строка
      * @param int $start начало подстроки
      * @param int $length длина подстроки
      * @return int подстрока 
      */
     static substr (str, start, length = null) {
-        let s = mb_substr(str, start, length, NCLStr.charset);
-        if (s === false)
-            s = '';
-        return s;
+        str = castString(str);
+        var chars = codePoints(str);
+        var size = chars ? chars.length : str.length;
+        var end = size;
+        if (start < 0)
+            start += end;
+        if (typeof length !== 'undefined')
+            end = length < 0 ? length + end : length + start;
+        if (start > size || start < 0 || start > end)
+            return '';
+        return chars ? chars.slice(start, end).join('') : str.slice(start, end);
     }
      
 
@@ -48,10 +108,15 @@ export default class NCLStr
      * @param string $haystack строка, в которой искать
      * @param string $needle подстрока, которую нужно найти
      * @param int $offset начало поиска
-     * @return int позиция подстроки в строке
+     * @return int позиция подстроки в строке или false, если ее нет
      */
     static strpos (haystack, needle, offset = 0) {
-        return mb_strpos(haystack, needle, offset, NCLStr.charset);
+        haystack = haystack + '';
+        var chars = codePoints(haystack);
+        var position = haystack.indexOf(needle, chars && offset ? unitIndex(chars, offset) : offset || 0);
+        if (position === -1)
+            return false;
+        return chars ? charIndex(haystack, position) : position;
     }
      
 
@@ -61,7 +126,8 @@ export default class NCLStr
      * @return int длина строки
      */
     static strlen (str) {
-        return mb_strlen(str, NCLStr.charset);
+        var chars = codePoints(str + '');
+        return chars ? chars.length : (str + '').length;
     }
     
 
@@ -71,7 +137,7 @@ export default class NCLStr
      * @return string строка в нижнем регистре
      */
     static strtolower (str) {
-        return mb_strtolower(str, NCLStr.charset);
+        return (str + '').toLowerCase();
     }
     
 
@@ -81,7 +147,7 @@ export default class NCLStr
      * @return string строка в верхнем регистре
      */
     static strtoupper (str) {
-        return mb_strtoupper(str, NCLStr.charset);
+        return (str + '').toUpperCase();
     }
      
 
@@ -90,10 +156,21 @@ export default class NCLStr
      * @param string $haystack строка, в которой искать
      * @param string $needle подстрока, которую нужно найти
      * @param int $offset начало поиска
-     * @return int позиция подстроки в строке
+     * @return int позиция подстроки в строке или false, если ее нет
      */
     static strrpos (haystack, needle, offset = null) {
-        return mb_strrpos(haystack, needle, offset, NCLStr.charset);        
+        haystack = haystack + '';
+        var chars = codePoints(haystack);
+        if (chars && offset)
+            offset = unitIndex(chars, offset);
+        var position = offset
+            ? haystack.slice(offset).lastIndexOf(needle)
+            : haystack.lastIndexOf(needle);
+        if (offset && position !== -1)
+            position += offset;
+        if (position < 0)
+            return false;
+        return chars ? charIndex(haystack, position) : position;
     }
     
 
@@ -122,11 +199,15 @@ export default class NCLStr
      * @return array массив букв
      */
     static splitLetters (phrase) {
+        var str = castString(phrase);
+        var chars = codePoints(str);
+        if (chars)
+            return chars;
         var resultArr = [];
         var stop = NCLStr.strlen(phrase);
         for (var idx = 0; idx < stop; idx++)
         {
-            resultArr.push(NCLStr.substr(phrase, idx, 1));
+            resultArr.push(str.charAt(idx));
         }
         return resultArr;
     }
@@ -138,7 +219,16 @@ export default class NCLStr
      * @return string строка
      */
     static connectLetters (lettersArr) {
-        return implode('', lettersArr);
+        if (typeof lettersArr !== 'object')
+            return lettersArr;
+        if (Array.isArray(lettersArr))
+            return lettersArr.join('');
+        var result = '';
+        for (var idx in lettersArr)
+        {
+            result += lettersArr[idx];
+        }
+        return result;
     }
      
     
@@ -146,10 +236,36 @@ export default class NCLStr
      * Разбивает строку на части использую шаблон
      * @param string $pattern шаблон разбития
      * @param string $string строка, которую нужно разбить
-     * @return array разбитый массив 
+     * @return array разбитый массив: null без строки, false при пустом шаблоне
      */
     static explode (pattern, string) {
-        return mb_split(pattern, string);
+        if (typeof pattern === 'undefined' || typeof string === 'undefined')
+            return null;
+        if (pattern === '' || pattern === false || pattern === null)
+            return false;
+        if (typeof pattern === 'function' || typeof pattern === 'object' || typeof string === 'function' || typeof string === 'object')
+            return {0: ''};
+        if (pattern === true)
+            pattern = '1';
+        return (string + '').split(pattern + '');
+    }
+
+
+    /**
+     * Знаки, которыми пишут апостроф: ' ’ ʼ `
+     * @var string
+     */
+    static get apostrophes() { return "'’ʼ`"; }
+
+
+    /**
+     * Заменяет все виды апострофа в строке на <var>$apostrophe</var>
+     * @param string $str строка
+     * @param string $apostrophe апостроф, который нужно поставить
+     * @return string строка с одним видом апострофа
+     */
+    static replaceApostrophes (str, apostrophe = '’') {
+        return String(str).replace(/['’ʼ`]/g, apostrophe);
     }
      
 }
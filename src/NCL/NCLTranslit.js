@@ -0,0 +1,175 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+import NCLStr from './NCLStr.js';
+
+var array_key_exists = require('locutus/php/array/array_key_exists'),
+    key_exists = array_key_exists;
+
+/**
+ * Класс переводит слова из кириллицы в латиницу и обратно по схемам транслитерации
+ * (см. src/translit/NCLTranslitRu.js). Регистр переносится по буквам: латинское сочетание
+ * пишется с большой буквы, если с большой была кириллическая буква, и наоборот;
+ * слово, записанное целиком большими буквами, остается таким же.
+ *
+ * @package NameCaseLib
+ */
+export default class NCLTranslit
+{
+    /**
+     * Буквы, после которых используется запись из <var>initial</var> и первый вариант из <var>input</var>
+     * @var string
+     */
+    static get vowels() { return 'аеёиоуыэюяіїєьъ'; }
+
+    /**
+     * Проверяет, есть ли в тексте латинские буквы
+     * @param string $text текст
+     * @return bool true, если есть
+     */
+    static isLatin (text)
+    {
+        return /[a-z]/i.test(text);
+    }
+
+    /**
+     * Переносит регистр исходного фрагмента <var>$source</var> на его транслитерацию <var>$result</var>
+     * @param string $source исходный фрагмент
+     * @param string $result транслитерация
+     * @param bool $upperCase все слово записано большими буквами
+     * @return string транслитерация в нужном регистре
+     */
+    static applyCase (source, result, upperCase)
+    {
+        if (upperCase)
+        {
+            return NCLStr.strtoupper(result);
+        }
+        if (!NCLStr.isLowerCase(source.charAt(0)))
+        {
+            return NCLStr.strtoupper(result.charAt(0)) + result.substr(1);
+        }
+        return result;
+    }
+
+    /**
+     * Проверяет, записано ли слово целиком большими буквами (одна большая буква - не в счет)
+     * @param string $word слово
+     * @return bool true, если записано
+     */
+    static isUpperCase (word)
+    {
+        return word.length > 1 && word == NCLStr.strtoupper(word);
+    }
+
+    /**
+     * Переводит кириллический текст <var>$text</var> в латиницу по схеме <var>$scheme</var>
+     * @param string $text текст
+     * @param object $scheme схема транслитерации
+     * @return string текст латиницей
+     */
+    static toLatin (text, scheme)
+    {
+        return String(text).replace(/[а-яёіїєґў'’ʼ`]+/gi, (word) => {
+            var lower = NCLStr.strtolower(word).replace(/[’ʼ`]/g, "'");
+            var upperCase = NCLTranslit.isUpperCase(word);
+            var result = '';
+            for (var index = 0; index < lower.length;)
+            {
+                var length = 1;
+                var latin = null;
+                for (var pair in scheme.pairs)
+                {
+                    if (lower.substr(index, pair.length) == pair)
+                    {
+                        length = pair.length;
+                        latin = scheme.pairs[pair];
+                        break;
+                    }
+                }
+                var letter = lower.charAt(index);
+                if (latin === null && key_exists(letter, scheme.initial)
+                    && (index == 0 || (scheme.initialAfterVowel && NCLTranslit.vowels.indexOf(lower.charAt(index - 1)) >= 0)))
+                {
+                    latin = scheme.initial[letter];
+                }
+                if (latin === null)
+                {
+                    latin = key_exists(letter, scheme.letters) ? scheme.letters[letter] : word.charAt(index);
+                }
+                result += latin ? NCLTranslit.applyCase(word.substr(index, length), latin, upperCase) : '';
+                index += length;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Переводит латинский текст <var>$text</var> в кириллицу по схеме <var>$scheme</var>.
+     * Каждое место слова читается самым длинным сочетанием, которое есть в схеме
+     * @param string $text текст
+     * @param object $scheme схема транслитерации
+     * @return string текст кириллицей
+     */
+    static toCyrillic (text, scheme)
+    {
+        return String(text).replace(/[a-z]+/gi, (word) => {
+            var lower = word.toLowerCase();
+            var upperCase = NCLTranslit.isUpperCase(word);
+            var result = '';
+            for (var index = 0; index < lower.length;)
+            {
+                var afterVowel = !result || NCLTranslit.vowels.indexOf(NCLStr.strtolower(result.substr(-1))) >= 0;
+                var initial = !result || (scheme.initialAfterVowel && afterVowel);
+                var cyrillic = null;
+                for (var length = Math.min(4, lower.length - index); length > 0; length--)
+                {
+                    cyrillic = NCLTranslit.readLatin(lower.substr(index, length), scheme, afterVowel, initial);
+                    if (cyrillic !== null)
+                    {
+                        break;
+                    }
+                }
+                if (cyrillic === null)
+                {
+                    length = 1;
+                    cyrillic = word.charAt(index);
+                }
+                result += NCLTranslit.applyCase(word.substr(index, length), cyrillic, upperCase);
+                index += length;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Ищет в схеме <var>$scheme</var> кириллическую запись латинского сочетания <var>$latin</var>:
+     * сначала в <var>input</var>, потом в <var>pairs</var>, <var>initial</var> и <var>letters</var>
+     * @param string $latin латинское сочетание
+     * @param object $scheme схема транслитерации
+     * @param bool $afterVowel сочетание стоит в начале слова или после гласной
+     * @param bool $initial можно использовать запись из <var>initial</var>
+     * @return string кириллическая запись или null, если сочетания нет в схеме
+     */
+    static readLatin (latin, scheme, afterVowel, initial)
+    {
+        if (key_exists(latin, scheme.input))
+        {
+            return scheme.input[latin][afterVowel ? 0 : 1];
+        }
+        var tables = initial ? [scheme.pairs, scheme.initial, scheme.letters] : [scheme.pairs, scheme.letters];
+        for (var table of tables)
+        {
+            for (var cyrillic in table)
+            {
+                if (table[cyrillic] == latin)
+                {
+                    return cyrillic;
+                }
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,584 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+import {NCL} from './index.js';
+
+var fs = require('fs');
+var readline = require('readline');
+
+/**
+ * Коды завершения программы
+ * - 0 - все строки просклонены
+ * - 1 - в некоторых строках были ошибки (они записаны в колонку ошибок, при построчном вводе - в stderr)
+ * - 2 - неверные параметры или файл не удалось прочитать
+ */
+var EXIT_OK = 0;
+var EXIT_LINE_ERRORS = 1;
+var EXIT_USAGE = 2;
+
+var USAGE = [
+    'Usage: declension-name [options] [file...]',
+    '',
+    'Declines full names read line by line from files or stdin and writes them to stdout.',
+    '',
+    'Options:',
+    '  -l, --lang <ru|ua|by|auto>    language (default: ru)',
+    '  -c, --case <case>[,<case>]    case number or name, may be repeated (default: all cases)',
+    '  -g, --gender <man|woman>      gender (default: detected)',
+    '  -f, --format <format>         format for names given by columns, e.g. "S N F" (default: "S N F")',
+    '  -i, --input <lines|csv|tsv|jsonl>',
+    '                                input format (default: by file extension, otherwise lines)',
+    '      --column <column>         column (CSV/TSV: name or 1-based number, JSONL: key) with the full name',
+    '      --second-name-column <column>',
+    '      --first-name-column <column>',
+    '      --father-name-column <column>',
+    '                                columns with separate name parts, declined with qFullName()',
+    '      --no-header               CSV/TSV input has no header line',
+    '  -h, --help                    show this help',
+    '      --version                 show version',
+    '',
+    'Lines input writes the requested cases separated by tabs; a failed line is written with empty',
+    'cases and its error goes to stderr. CSV/TSV/JSONL input keeps every record and adds a column',
+    'per case plus an "error" column.',
+    'Exit codes: 0 - ok, 1 - some lines failed, 2 - bad options or unreadable file.',
+].join('\n');
+
+/**
+ * <b>NCL Command-line interface</b>
+ *
+ * Склонение ФИО из файлов и стандартного ввода: построчно или по колонкам CSV/TSV/JSONL.
+ * Каждая строка склоняется отдельно, ошибка в строке не останавливает обработку,
+ * а записывается в колонку ошибок (при построчном вводе - в stderr с номером строки).
+ *
+ * @package NameCaseLib
+ */
+export default class NCLCli
+{
+    /**
+     * @param object $options параметры, которые вернул parseArgs()
+     */
+    constructor(options = {}) {
+        /**
+         * Параметры запуска
+         * @var object
+         */
+        this.options = options;
+        /**
+         * Класс языка
+         * @var NCLNameCaseCore
+         */
+        this.cls = NCL.languageClass(options.lang || 'ru');
+        var ncl = new this.cls();
+        /**
+         * Номера падежей, которые нужно вывести
+         * @var array
+         */
+        this.cases = [];
+        for (var caseName of (options.cases && options.cases.length ? options.cases : Object.keys(ncl.CaseNames))) {
+            var caseNum = ncl.caseNumber(caseName);
+            if (!(caseNum >= 0 && caseNum < ncl.CaseNames.length))
+                throw new Error('Unknown case "' + caseName + '". Expected a number from 0 to ' + (ncl.CaseNames.length - 1) + ' or one of: ' + ncl.CaseNames.join(', '));
+            this.cases.push(caseNum);
+        }
+        /**
+         * Названия колонок, которые добавляются к записи
+         * @var array
+         */
+        this.caseColumns = this.cases.map(caseNum => ncl.CaseNames[caseNum] || String(caseNum));
+        /**
+         * Заголовок CSV/TSV, если он уже прочитан
+         * @var array
+         */
+        this.header = null;
+        /**
+         * Количество строк с ошибками
+         * @var int
+         */
+        this.errors = 0;
+        /**
+         * Поток для ошибок построчного ввода
+         * @var stream
+         */
+        this.stderr = null;
+        /**
+         * Имя читаемого файла и номер текущей строки в нем
+         * @var string
+         */
+        this.source = '-';
+        this.lineNumber = 0;
+    }
+
+
+    /**
+     * Разбирает аргументы командной строки
+     * @param array $argv аргументы без node и имени скрипта
+     * @return object параметры: lang, cases, gender, format, input, column, columns, header, files, help, version
+     */
+    static parseArgs (argv)
+    {
+        var options = {lang: 'ru', cases: [], gender: 0, format: 'S N F', input: null, column: null, columns: {}, header: true, files: []};
+        var names = {
+            '-l': 'lang', '--lang': 'lang',
+            '-c': 'case', '--case': 'case', '--cases': 'case',
+            '-g': 'gender', '--gender': 'gender',
+            '-f': 'format', '--format': 'format',
+            '-i': 'input', '--input': 'input',
+            '--column': 'column',
+            '--second-name-column': 'secondName',
+            '--first-name-column': 'firstName',
+            '--father-name-column': 'fatherName',
+        };
+
+        for (var i = 0; i < argv.length; i++)
+        {
+            var arg = argv[i];
+            var value = null;
+            var eq = arg.indexOf('=');
+            if (arg.substr(0, 2) == '--' && eq > 0)
+            {
+                value = arg.substr(eq + 1);
+                arg = arg.substr(0, eq);
+            }
+
+            if (arg == '-h' || arg == '--help')
+            {
+                options.help = true;
+                continue;
+            }
+            if (arg == '--version')
+            {
+                options.version = true;
+                continue;
+            }
+            if (arg == '--no-header')
+            {
+                options.header = false;
+                continue;
+            }
+            if (arg == '-' || arg.charAt(0) != '-')
+            {
+                options.files.push(arg);
+                continue;
+            }
+
+            var name = names[arg];
+            if (!name)
+                throw new Error('Unknown option "' + arg + '"');
+            if (value === null)
+            {
+                if (i + 1 >= argv.length)
+                    throw new Error('Option "' + arg + '" requires a value');
+                value = argv[++i];
+            }
+
+            switch (name)
+            {
+                case 'case':
+                    options.cases = options.cases.concat(value.split(',').map(s => s.trim()).filter(s => s.length));
+                    break;
+                case 'gender':
+                    options.gender = NCL.genderNumber(value);
+                    break;
+                case 'input':
+                    if (['lines', 'csv', 'tsv', 'jsonl'].indexOf(value) < 0)
+                        throw new Error('Unknown input format "' + value + '". Expected one of: lines, csv, tsv, jsonl');
+                    options.input = value;
+                    break;
+                case 'secondName':
+                case 'firstName':
+                case 'fatherName':
+                    options.columns[name] = value;
+                    break;
+                default:
+                    options[name] = value;
+            }
+        }
+        return options;
+    }
+
+
+    /**
+     * Определяет формат входных данных по расширению файла
+     * @param string $file имя файла
+     * @return string формат: lines, csv, tsv или jsonl
+     */
+    static inputFormat (file)
+    {
+        var match = /\.(csv|tsv|jsonl)$/i.exec(file || '');
+        return match ? match[1].toLowerCase() : 'lines';
+    }
+
+
+    /**
+     * Разбирает строку CSV (поля в кавычках, "" внутри кавычек) или TSV
+     * @param string $line строка
+     * @param string $delimiter разделитель
+     * @return array поля
+     */
+    static splitRecord (line, delimiter)
+    {
+        if (delimiter == '\t')
+        {
+            return line.split('\t');
+        }
+
+        var fields = [];
+        var field = '';
+        var quoted = false;
+        for (var i = 0; i < line.length; i++)
+        {
+            var char = line.charAt(i);
+            if (quoted)
+            {
+                if (char == '"' && line.charAt(i + 1) == '"')
+                {
+                    field += '"';
+                    i++;
+                }
+                else if (char == '"')
+                {
+                    quoted = false;
+                }
+                else
+                {
+                    field += char;
+                }
+            }
+            else if (char == '"' && !field.length)
+            {
+                quoted = true;
+            }
+            else if (char == delimiter)
+            {
+                fields.push(field);
+                field = '';
+            }
+            else
+            {
+                field += char;
+            }
+        }
+        if (quoted)
+            throw new Error('Unterminated quoted field');
+        fields.push(field);
+        return fields;
+    }
+
+
+    /**
+     * Собирает строку CSV или TSV из полей
+     * @param array $fields поля
+     * @param string $delimiter разделитель
+     * @return string строка
+     */
+    static joinRecord (fields, delimiter)
+    {
+        return fields.map(field => {
+            field = field === null || field === undefined ? '' : String(field);
+            if (delimiter == '\t')
+            {
+                return field.replace(/[\t\r\n]+/g, ' ');
+            }
+            return /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+        }).join(delimiter);
+    }
+
+
+    /**
+     * Склоняет ФИО во все нужные падежи
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @return array ФИО в падежах из <var>$this->cases</var>
+     */
+    decline (input)
+    {
+        var all = this.cls.decline(input, {gender: this.options.gender, format: this.options.format || 'S N F'});
+        if (!Array.isArray(all) && typeof all == 'object')
+        {
+            all = Object.keys(all).map(key => all[key]);
+        }
+        //Падежа может не быть в языке (звательный в русском при --lang auto) - это ошибка строки
+        return this.cases.map((caseNum, index) => {
+            if (typeof all[caseNum] != 'string')
+                throw new Error('Case "' + this.caseColumns[index] + '" is not available for this name');
+            return all[caseNum];
+        });
+    }
+
+
+    /**
+     * Записывает ошибку построчного ввода в stderr с именем файла и номером строки
+     * @param string $message текст ошибки
+     */
+    warn (message)
+    {
+        if (this.stderr)
+        {
+            this.stderr.write('declension-name: ' + (this.source == '-' ? 'stdin' : this.source) + ':' + this.lineNumber + ': ' + message + '\n');
+        }
+    }
+
+
+    /**
+     * Возвращает значение колонки <var>$column</var> записи: по названию из заголовка или по номеру (с 1)
+     * @param array $record поля записи
+     * @param string $column название или номер колонки
+     * @return string значение
+     */
+    column (record, column)
+    {
+        var index = this.header ? this.header.indexOf(column) : -1;
+        if (index < 0 && /^\d+$/.test(column))
+        {
+            index = parseInt(column, 10) - 1;
+        }
+        if (index < 0 || index >= record.length)
+            throw new Error('Column "' + column + '" not found');
+        return record[index];
+    }
+
+
+    /**
+     * Склоняет ФИО из записи: из колонки с полным ФИО или из отдельных колонок фамилии, имени и отчества
+     * @param function $get функция, которая возвращает значение колонки
+     * @param string $column колонка с полным ФИО по умолчанию
+     * @return array ФИО в нужных падежах
+     */
+    declineRecord (get, column)
+    {
+        var columns = this.options.columns || {};
+        if (Object.keys(columns).length)
+        {
+            var parts = {};
+            for (var part in columns) {
+                parts[part] = get(columns[part]);
+            }
+            return this.decline(parts);
+        }
+        return this.decline(get(this.options.column || column));
+    }
+
+
+    /**
+     * Обрабатывает одну строку входных данных
+     * @param string $line строка без перевода строки
+     * @param string $input формат: lines, csv, tsv или jsonl
+     * @return string строка для вывода или null, если выводить нечего
+     */
+    processLine (line, input = 'lines')
+    {
+        line = line.replace(/\r$/, '');
+
+        if (input == 'jsonl')
+        {
+            return this.processJson(line);
+        }
+        if (input == 'csv' || input == 'tsv')
+        {
+            return this.processRecord(line, input == 'csv' ? ',' : '\t');
+        }
+
+        if (!line.trim().length)
+        {
+            return '';
+        }
+        try
+        {
+            return NCLCli.joinRecord(this.decline(line.trim()), '\t');
+        }
+        catch (e)
+        {
+            this.errors++;
+            this.warn(e.message);
+            return NCLCli.joinRecord(this.cases.map(() => ''), '\t');
+        }
+    }
+
+
+    /**
+     * Обрабатывает строку CSV/TSV: добавляет к записи колонки падежей и колонку ошибки
+     * @param string $line строка
+     * @param string $delimiter разделитель
+     * @return string строка для вывода
+     */
+    processRecord (line, delimiter)
+    {
+        if (!line.length)
+        {
+            return null;
+        }
+
+        var record;
+        try
+        {
+            record = NCLCli.splitRecord(line, delimiter);
+        }
+        catch (e)
+        {
+            this.errors++;
+            return NCLCli.joinRecord([line].concat(this.cases.map(() => ''), [e.message]), delimiter);
+        }
+
+        if (this.options.header !== false && !this.header)
+        {
+            this.header = record;
+            return NCLCli.joinRecord(record.concat(this.caseColumns, ['error']), delimiter);
+        }
+
+        var cases;
+        var error = '';
+        try
+        {
+            cases = this.declineRecord(name => this.column(record, name), '1');
+        }
+        catch (e)
+        {
+            this.errors++;
+            cases = this.cases.map(() => '');
+            error = e.message;
+        }
+        return NCLCli.joinRecord(record.concat(cases, [error]), delimiter);
+    }
+
+
+    /**
+     * Обрабатывает строку JSONL: добавляет в объект поля падежей и поле error
+     * @param string $line строка
+     * @return string строка для вывода
+     */
+    processJson (line)
+    {
+        if (!line.trim().length)
+        {
+            return null;
+        }
+
+        var record;
+        try
+        {
+            record = JSON.parse(line);
+            if (!record || typeof record != 'object' || Array.isArray(record))
+                throw new Error('Line should be a JSON object');
+        }
+        catch (e)
+        {
+            this.errors++;
+            return JSON.stringify({line: line, error: e.message});
+        }
+
+        try
+        {
+            var cases = this.declineRecord(name => {
+                if (!Object.prototype.hasOwnProperty.call(record, name))
+                    throw new Error('Key "' + name + '" not found');
+                if (typeof record[name] != 'string')
+                    throw new Error('Key "' + name + '" should be a string, got ' + JSON.stringify(record[name]));
+                return record[name];
+            }, 'name');
+            for (var i = 0; i < cases.length; i++)
+            {
+                record[this.caseColumns[i]] = cases[i];
+            }
+            record.error = null;
+        }
+        catch (e)
+        {
+            this.errors++;
+            record.error = e.message;
+        }
+        return JSON.stringify(record);
+    }
+
+
+    /**
+     * Читает поток построчно и пишет результат в <var>$output</var>
+     * @param stream $stream входной поток
+     * @param string $input формат входных данных
+     * @param stream $output выходной поток
+     * @param function $done вызывается после окончания потока, при ошибке чтения - с ошибкой
+     */
+    processStream (stream, input, output, done)
+    {
+        var finished = false;
+        var finish = error => {
+            if (!finished)
+            {
+                finished = true;
+                done(error || null);
+            }
+        };
+
+        var lines = readline.createInterface({input: stream, crlfDelay: Infinity});
+        this.lineNumber = 0;
+        lines.on('line', line => {
+            this.lineNumber++;
+            var result = this.processLine(line, input);
+            if (result !== null)
+            {
+                output.write(result + '\n');
+            }
+        });
+        stream.on('error', finish);
+        lines.on('error', finish);
+        lines.on('close', () => finish());
+    }
+
+
+    /**
+     * Запускает программу
+     * @param array $argv аргументы без node и имени скрипта
+     * @param stream $stdin стандартный ввод
+     * @param stream $stdout стандартный вывод
+     * @param stream $stderr вывод ошибок
+     * @param function $done вызывается с кодом завершения
+     */
+    static run (argv, stdin, stdout, stderr, done)
+    {
+        var cli;
+        var options;
+        try
+        {
+            options = NCLCli.parseArgs(argv);
+            if (options.help)
+            {
+                stdout.write(USAGE + '\n');
+                return done(EXIT_OK);
+            }
+            if (options.version)
+            {
+                stdout.write(require('../package.json').version + '\n');
+                return done(EXIT_OK);
+            }
+            cli = new NCLCli(options);
+            cli.stderr = stderr;
+        }
+        catch (e)
+        {
+            stderr.write('declension-name: ' + e.message + '\n\n' + USAGE + '\n');
+            return done(EXIT_USAGE);
+        }
+
+        var files = options.files.length ? options.files : ['-'];
+        var next = index => {
+            if (index >= files.length)
+            {
+                return done(cli.errors ? EXIT_LINE_ERRORS : EXIT_OK);
+            }
+            var file = files[index];
+            var stream = file == '-' ? stdin : fs.createReadStream(file, {encoding: 'utf8'});
+            cli.header = null;
+            cli.source = file;
+            cli.processStream(stream, options.input || NCLCli.inputFormat(file), stdout, error => {
+                if (error)
+                {
+                    stderr.write('declension-name: ' + error.message + '\n');
+                    return done(EXIT_USAGE);
+                }
+                next(index + 1);
+            });
+        };
+        next(0);
+    }
+
+}
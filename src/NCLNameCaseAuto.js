@@ -0,0 +1,410 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+import NCL from './NCL/NCL.js';
+import NCLNameCaseCore from './NCL/NCLNameCaseCore.js';
+
+var is_array = require('locutus/php/var/is_array');
+
+/**
+ * <b>NCL NameCase Auto</b>
+ *
+ * Склоняет ФИО на том языке, на котором оно записано: для каждого вызова язык определяется
+ * через NCL::detectLanguage() среди <var>NCLNameCaseAuto.languages</var> (по умолчанию русский и украинский),
+ * и вызов передается объекту этого языка. Слова, заданные через setFirstName(), setSecondName(), setFatherName(),
+ * склоняются на языке, определенном по всем этим словам. Доступен как NCL.getConcreteClass('auto') и как язык 'auto'
+ * в NCL.decline() и других статических методах.
+ *
+ * @package NameCaseLib
+ */
+export default class NCLNameCaseAuto
+{
+    constructor() {
+        /**
+         * Объекты языков, которые уже использовались, по кодам языков
+         * @var object
+         */
+        this.instances = {};
+        /**
+         * Настройки (вызовы setInitialsSeparator(), setApostrophe()...), которые применяются к каждому объекту языка
+         * @var array
+         */
+        this.settings = [];
+        /**
+         * Результат последнего определения языка (см. NCL::detectLanguage())
+         * @var object
+         */
+        this.detected = null;
+        /**
+         * Объект языка, который склонял последним, к нему обращаются getFormatted() и getResult()
+         * @var NCLNameCaseCore
+         */
+        this.current = null;
+        /**
+         * Вызовы setFirstName(), setSecondName(), setFatherName() и setGender() после последнего сброса.
+         * Язык определяется по всем заданным словам, когда нужен результат, и вызовы повторяются у объекта этого языка
+         * @var array
+         */
+        this.calls = [];
+        /**
+         * Были ли новые вызовы после того, как слова передали объекту языка
+         * @var bool
+         */
+        this.changed = false;
+    }
+
+
+    /**
+     * Языки, из которых выбирается язык ФИО
+     * @return array коды языков
+     */
+    static get languages() { return NCLNameCaseAuto._languages || ['ru', 'ua']; }
+
+    /**
+     * Задает языки, из которых выбирается язык ФИО; первый из них используется, если язык не определен
+     * @param array $languages коды языков
+     */
+    static set languages(languages) { NCLNameCaseAuto._languages = languages; }
+
+
+    /**
+     * Определяет язык текста <var>$text</var> и возвращает класс этого языка
+     * @param string $text ФИО или его части через пробел
+     * @return NCLNameCaseCore класс языка
+     */
+    static languageClassFor (text)
+    {
+        return NCL.languageClass(NCLNameCaseAuto.declineLanguage(NCL.detectLanguage(text, NCLNameCaseAuto.languages)));
+    }
+
+    /**
+     * Возвращает код языка, на котором нужно склонять по результату NCL::detectLanguage():
+     * определенный язык или первый из <var>NCLNameCaseAuto.languages</var>, если язык не определен
+     * @param object $detected результат NCL::detectLanguage()
+     * @return string код языка
+     */
+    static declineLanguage (detected)
+    {
+        return detected.lang == 'unknown' ? NCLNameCaseAuto.languages[0] : detected.lang;
+    }
+
+    /**
+     * Собирает текст для определения языка из ФИО строкой или объектом {secondName, firstName, fatherName}
+     * @param mixed $input ФИО
+     * @return string текст
+     */
+    static inputText (input)
+    {
+        if (input && typeof input == 'object')
+        {
+            return [input.secondName || input.surname, input.firstName || input.name, input.fatherName || input.patronymic]
+                .filter(part => part).join(' ');
+        }
+        return String(input);
+    }
+
+    /**
+     * Склоняет ФИО без сохранения состояния на определенном языке (см. NCLNameCaseCore::decline())
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @param object $options параметры
+     * @return mixed строка в нужном падеже или массив со всеми падежами
+     */
+    static decline (input, options = {})
+    {
+        return NCLNameCaseAuto.languageClassFor(NCLNameCaseAuto.inputText(input)).decline(input, options);
+    }
+
+    /**
+     * Склоняет ФИО без сохранения состояния на определенном языке и возвращает объект со всеми падежами
+     * (см. NCLNameCaseCore::declineResult())
+     * @param mixed $input ФИО строкой или объект {secondName, firstName, fatherName}
+     * @param object $options параметры
+     * @return object результат склонения
+     */
+    static declineResult (input, options = {})
+    {
+        return NCLNameCaseAuto.languageClassFor(NCLNameCaseAuto.inputText(input)).declineResult(input, options);
+    }
+
+    /**
+     * Склоняет массив ФИО, определяя язык каждого элемента (см. NCLNameCaseCore::declineBatch()).
+     * Объекты языков создаются один раз на весь массив: declineBatch() работает с любым классом,
+     * у объекта которого есть caseNumber(), setTranslit() и declineInput()
+     * @param array $items ФИО
+     * @param object $options параметры
+     * @return array результаты
+     */
+    static declineBatch (items, options = {})
+    {
+        return NCLNameCaseCore.declineBatch.call(NCLNameCaseAuto, items, options);
+    }
+
+    /**
+     * Определяет пол человека по ФИО на определенном языке
+     * @param string $fullname ФИО
+     * @return int пол человека
+     */
+    static detectGender (fullname)
+    {
+        return NCLNameCaseAuto.languageClassFor(fullname).detectGender(fullname);
+    }
+
+    /**
+     * Восстанавливает именительный падеж ФИО на определенном языке (см. NCLNameCaseCore::lemmatize())
+     * @param string $input ФИО или слово в косвенном падеже
+     * @param object $options параметры
+     * @return array кандидаты в именительном падеже
+     */
+    static lemmatize (input, options = {})
+    {
+        return NCLNameCaseAuto.languageClassFor(input).lemmatize(input, options);
+    }
+
+
+    /**
+     * Определяет язык текста <var>$text</var>, запоминает результат в <var>$this->detected</var>
+     * и возвращает объект этого языка
+     * @param string $text ФИО или его части через пробел
+     * @return NCLNameCaseCore объект языка
+     */
+    language (text)
+    {
+        this.detected = NCL.detectLanguage(text, NCLNameCaseAuto.languages);
+        var lang = NCLNameCaseAuto.declineLanguage(this.detected);
+        if (!this.instances[lang])
+        {
+            var cls = NCL.languageClass(lang);
+            this.instances[lang] = new cls();
+            for (var setting of this.settings) {
+                this.applySetting(this.instances[lang], setting);
+            }
+        }
+        this.current = this.instances[lang];
+        return this.current;
+    }
+
+    /**
+     * Возвращает объект языка, который склонял последним, или объект первого языка, если склонений еще не было
+     * @return NCLNameCaseCore объект языка
+     */
+    currentLanguage ()
+    {
+        return this.current || this.language('');
+    }
+
+    /**
+     * Возвращает код языка, на котором склонял последний вызов. Если язык не определился,
+     * это первый из <var>NCLNameCaseAuto.languages</var>, а getDetection() вернет lang 'unknown'
+     * @return string код языка или null
+     */
+    getLanguage ()
+    {
+        return this.detected ? NCLNameCaseAuto.declineLanguage(this.detected) : null;
+    }
+
+    /**
+     * Возвращает результат определения языка при последнем вызове (см. NCL::detectLanguage())
+     * @return object {lang, confidence, scores} или null
+     */
+    getDetection ()
+    {
+        return this.detected;
+    }
+
+    /**
+     * Названия падежей языка, в котором их больше всего (звательный есть только в украинском)
+     * @return array названия падежей
+     */
+    get CaseNames ()
+    {
+        return NCLNameCaseAuto.languages
+            .map(lang => new (NCL.languageClass(lang))().CaseNames)
+            .reduce((longest, names) => names.length > longest.length ? names : longest, []);
+    }
+
+    /**
+     * Возвращает номер падежа по его названию на любом из языков (см. NCLNameCaseCore::caseNumber())
+     * @param mixed $caseNum номер или название падежа
+     * @return int номер падежа
+     */
+    caseNumber (caseNum)
+    {
+        var error = null;
+        for (var lang of NCLNameCaseAuto.languages) {
+            try {
+                return new (NCL.languageClass(lang))().caseNumber(caseNum);
+            } catch (e) {
+                error = error || e;
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Вызывает настройку <var>$setting</var> у объекта языка, если у этого языка она есть (setYoMode() есть только у русского)
+     * @param NCLNameCaseCore $instance объект языка
+     * @param object $setting {method, args}
+     */
+    applySetting (instance, setting)
+    {
+        if (typeof instance[setting.method] == 'function')
+        {
+            instance[setting.method].apply(instance, setting.args);
+        }
+    }
+
+    /**
+     * Запоминает настройку и применяет ее ко всем объектам языков
+     * @param string $method метод настройки
+     * @param array $args аргументы
+     */
+    configure (method, args)
+    {
+        var setting = {method: method, args: args};
+        this.settings.push(setting);
+        for (var lang in this.instances) {
+            this.applySetting(this.instances[lang], setting);
+        }
+    }
+
+    /*
+     * Настройки NCLNameCaseCore: запоминаются и применяются к объектам всех языков
+     */
+    setInitialsSeparator (...args) { this.configure('setInitialsSeparator', args); }
+    setApostrophe (...args) { this.configure('setApostrophe', args); }
+    setCompoundSecondName (...args) { this.configure('setCompoundSecondName', args); }
+    setYoMode (...args) { this.configure('setYoMode', args); }
+    setTranslit (...args) { this.configure('setTranslit', args); }
+
+
+    /**
+     * Запоминает вызов <var>$method</var>, который добавляет слово или задает пол (см. NCLNameCaseCore::setFirstName())
+     * @param string $method метод
+     * @param array $args аргументы
+     * @return NCLNameCaseAuto
+     */
+    record (method, args)
+    {
+        this.calls.push({method: method, args: args});
+        this.changed = true;
+        return this;
+    }
+
+    /**
+     * Возвращает объект языка со словами, заданными через setFirstName(), setSecondName(), setFatherName().
+     * Если после прошлого вызова слова менялись, язык определяется заново и вызовы повторяются у объекта этого языка
+     * @return NCLNameCaseCore объект языка
+     */
+    wordsLanguage ()
+    {
+        if (!this.changed)
+        {
+            return this.currentLanguage();
+        }
+        var text = this.calls.filter(call => call.method != 'setGender').map(call => call.args[0]).filter(word => word).join(' ');
+        var instance = this.language(text);
+        instance.fullReset();
+        for (var call of this.calls) {
+            instance[call.method].apply(instance, call.args);
+        }
+        this.changed = false;
+        return instance;
+    }
+
+    /**
+     * Очищает слова, заданные через setFirstName(), setSecondName(), setFatherName() (см. NCLNameCaseCore::fullReset())
+     * @return NCLNameCaseAuto
+     */
+    fullReset ()
+    {
+        this.calls = [];
+        this.changed = false;
+        if (this.current)
+        {
+            this.current.fullReset();
+        }
+        return this;
+    }
+
+    /**
+     * Начинает новое ФИО: склонение строкой или отдельными частями не продолжает слова, заданные раньше
+     * @param NCLNameCaseCore $instance объект языка
+     * @return NCLNameCaseCore объект языка
+     */
+    restart (instance)
+    {
+        this.calls = [];
+        this.changed = false;
+        return instance;
+    }
+
+
+    /*
+     * Методы NCLNameCaseCore, которые задают слова по одному: вызовы запоминаются до получения результата
+     */
+    setFirstName (firstname = "") { return this.record('setFirstName', [firstname]); }
+    setSecondName (secondname = "") { return this.record('setSecondName', [secondname]); }
+    setFatherName (fathername = "") { return this.record('setFatherName', [fathername]); }
+    setGender (gender = 0) { return this.record('setGender', [gender]); }
+    setName (firstname = "") { return this.setFirstName(firstname); }
+    setLastName (secondname = "") { return this.setSecondName(secondname); }
+    setSirName (secondname = "") { return this.setSecondName(secondname); }
+
+    setFullName (secondName = "", firstName = "", fatherName = "")
+    {
+        this.setFirstName(firstName);
+        this.setSecondName(secondName);
+        this.setFatherName(fatherName);
+        return this;
+    }
+
+
+    /*
+     * Методы NCLNameCaseCore: язык определяется по входным данным, вызов передается объекту этого языка
+     */
+    q (fullname, caseNum = null, gender = null) { return this.restart(this.language(fullname)).q(fullname, caseNum, gender); }
+    qResult (fullname, gender = null) { return this.restart(this.language(fullname)).qResult(fullname, gender); }
+    explain (fullname, gender = null) { return this.restart(this.language(fullname)).explain(fullname, gender); }
+    genderDetect (fullname) { return this.restart(this.language(fullname)).genderDetect(fullname); }
+    genderDetectInfo (fullname) { return this.restart(this.language(fullname)).genderDetectInfo(fullname); }
+    getFullNameFormat (fullname) { return this.language(fullname).getFullNameFormat(fullname); }
+    lemmatize (fullname, caseNum = null, gender = null) { return this.language(fullname).lemmatize(fullname, caseNum, gender); }
+
+    qFullName (secondName = "", firstName = "", fatherName = "", gender = 0, caseNum = null, format = "S N F")
+    {
+        var text = NCLNameCaseAuto.inputText({secondName: secondName, firstName: firstName, fatherName: fatherName});
+        return this.restart(this.language(text)).qFullName(secondName, firstName, fatherName, gender, caseNum, format);
+    }
+
+    qFullNameResult (secondName = "", firstName = "", fatherName = "", gender = 0, format = "S N F")
+    {
+        var text = NCLNameCaseAuto.inputText({secondName: secondName, firstName: firstName, fatherName: fatherName});
+        return this.restart(this.language(text)).qFullNameResult(secondName, firstName, fatherName, gender, format);
+    }
+
+    qFirstName (firstName, caseNum = null, gender = 0) { return this.restart(this.language(firstName)).qFirstName(firstName, caseNum, gender); }
+    qSecondName (secondName, caseNum = null, gender = 0) { return this.restart(this.language(secondName)).qSecondName(secondName, caseNum, gender); }
+    qFatherName (fatherName, caseNum = null, gender = 0) { return this.restart(this.language(fatherName)).qFatherName(fatherName, caseNum, gender); }
+    makeFatherName (firstName, gender = NCL.MAN) { return this.language(firstName).makeFatherName(firstName, gender); }
+    firstNameByFatherName (fatherName) { return this.language(fatherName).firstNameByFatherName(fatherName); }
+    convertSecondName (secondName, gender) { return this.language(secondName).convertSecondName(secondName, gender); }
+    declineInput (input, caseNum = null, gender = 0, format = 'S N F') { return this.restart(this.language(NCLNameCaseAuto.inputText(input))).declineInput(input, caseNum, gender, format); }
+    transliterate (text, scheme = null) { return this.language(is_array(text) ? text[0] : text).transliterate(text, scheme); }
+    qTranslit (fullname, caseNum = null, gender = null, scheme = null) { return this.restart(this.language(fullname)).qTranslit(fullname, caseNum, gender, scheme); }
+
+    /*
+     * Методы, которые читают результат последнего склонения или слова, заданные через setFirstName() и другие,
+     * обращаются к объекту языка, который склонял последним. Номер падежа проверяется по этому языку
+     */
+    getFormatted (caseNum = null, format = "S N F") { return this.wordsLanguage().getFormatted(caseNum, format); }
+    getFormattedArray (format) { return this.wordsLanguage().getFormattedArray(format); }
+    getResult (format = "S N F") { return this.wordsLanguage().getResult(format); }
+    getWordsArray () { return this.wordsLanguage().getWordsArray(); }
+    getFirstNameCase (number = null) { return this.wordsLanguage().getFirstNameCase(number); }
+    getSecondNameCase (number = null) { return this.wordsLanguage().getSecondNameCase(number); }
+    getFatherNameCase (number = null) { return this.wordsLanguage().getFatherNameCase(number); }
+    genderAutoDetect () { return this.wordsLanguage().genderAutoDetect(); }
+    genderAutoDetectInfo () { return this.wordsLanguage().genderAutoDetectInfo(); }
+}
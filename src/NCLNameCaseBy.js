@@ -0,0 +1,446 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+import NCL from './NCL/NCL.js';
+import NCLNameCaseCore from './NCL/NCLNameCaseCore.js';
+import NCLNameCaseWord from './NCL/NCLNameCaseWord.js';
+import NCLRulesBy from './rules/NCLRulesBy.js';
+
+var math_max = require('locutus/php/math/max');
+
+/**
+ * <b>NCL NameCase Belarusian Language</b>
+ *
+ * Беларускія правілы скланення ПІБ.
+ * Правілы вызначэння полу чалавека па ПІБ для беларускай мовы
+ * Сістэма падзелу прозвішчаў, імёнаў і імёнаў па бацьку для беларускай мовы
+ *
+ * @package NameCaseLib
+ */
+export default class NCLNameCaseBy extends NCLNameCaseCore
+{
+    constructor() {
+        super();
+
+        /**
+         * Версія моўнага файла
+         * @var string
+         */
+        this._languageBuild = '26101912';
+        /**
+         * Колькасць склонаў у мове
+         * @var int
+         */
+        this.CaseCount = 7;
+        /**
+         * Назвы склонаў беларускай мовы
+         * @var array
+         */
+        this.CaseNames = ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'locative', 'vocative'];
+        /**
+         * Беларускія назвы склонаў і сінонімы
+         * @var object
+         */
+        this.CaseAliases = {
+            'назоўны' : 0,
+            'родны' : 1,
+            'давальны' : 2,
+            'вінавальны' : 3,
+            'творны' : 4,
+            'месны' : 5,
+            'клічны' : 6,
+            'prepositional' : 5,
+        };
+        /**
+         * Галосныя беларускай мовы
+         * @var string
+         */
+        this.vowels = 'аеёіоуыэюя';
+        /**
+         * Зычныя беларускай мовы
+         * @var string
+         */
+        this.consonant = 'бвгджзйклмнпрстўфхцчш';
+        /**
+         * Зацвярдзелыя зычныя: пасля іх пішацца ы замест і, е
+         * @var string
+         */
+        this.hardened = 'жшчрц';
+        /**
+         * Мужчынскія імёны на -а, -я і імёны, якія не пазнаюцца па канчатку
+         * @var array
+         */
+        this.names_man = [
+            'Мікіта', 'Мікола', 'Янка', 'Кузьма', 'Фама', 'Ілля', 'Лука', 'Сава', 'Фока', 'Данііла',
+            'Іван', 'Антон', 'Раман', 'Алег', 'Аляксандр', 'Андрэй', 'Сяргей', 'Мікалай', 'Васіль',
+            'Алесь', 'Юрась', 'Міхась', 'Яраслаў', 'Станіслаў', 'Павел', 'Пятро', 'Леанід', 'Віктар',
+            'Уладзімір', 'Дзмітрый', 'Юрый', 'Аркадзь', 'Якуб', 'Марат', 'Міхаіл', 'Віталь', 'Уладзіслаў',
+            'Анатоль', 'Генадзь', 'Валерый', 'Яўген', 'Максім', 'Вадзім', 'Ігар', 'Кірыл', 'Тарас',
+            'Францішак', 'Пятрусь', 'Змітрок', 'Лявон', 'Сымон', 'Рыгор', 'Кастусь',
+        ];
+        /**
+         * Жаночыя імёны, якія не пазнаюцца па канчатку
+         * @var array
+         */
+        this.names_woman = [
+            'Ганна', 'Вольга', 'Марта', 'Надзея', 'Марыя', 'Наталля', 'Тамара', 'Любоў', 'Алена',
+            'Святлана', 'Ірына', 'Кацярына', 'Таццяна', 'Яўгенія', 'Вераніка', 'Людміла', 'Галіна',
+            'Юлія', 'Алеся', 'Дар\'я', 'Ларыса', 'Наташа', 'Нінэль', 'Эстэр', 'Рахіль', 'Марына',
+            'Валянціна', 'Антаніна', 'Аліна', 'Крысціна', 'Зінаіда', 'Ніна', 'Лідзія', 'Вера',
+        ];
+        /**
+         * Канчаткі назоўнага склону для аднаўлення пачатковай формы (гл. lemmaCandidates())
+         * @var array
+         */
+        this.NominativeEndings = ['', 'а', 'я', 'о', 'ь', 'й', 'і', 'ы', 'ая', 'яя', 'ій', 'ый'];
+        /**
+         * Чаргаванні ў аснове: Вользе => Вольга, Руцэ => Рука
+         * @var array
+         */
+        this.LemmaAlternations = [
+            [/з$/, 'г'],
+            [/ц$/, 'к'],
+            [/с$/, 'х'],
+        ];
+        /**
+         * Немагчымыя формы назоўнага склону: ы пасля г, к, х, ў перад галоснай,
+         * прыметнікавыя канчаткі пасля -ов, -ев, -ін, падвоеная галосная ў канцы
+         * @var array
+         */
+        this.LemmaForbidden = [
+            /[гкх]ы/,
+            /ў[аеёіоуыэюя]/,
+            /(ов|ев|ін|ын)(я|ая|яя|ой|ы)$/,
+            /([аеёіоуыэюя])\1$/,
+        ];
+        /**
+         * Мужчынская і жаночая форма прозвішчаў: Іваноў - Іванова, Каліноўскі - Каліноўская
+         * @var array
+         */
+        this.SecondNameGenderPairs = [
+            {man: 'оў', woman: 'ова'}, {man: 'еў', woman: 'ева'}, {man: 'ёў', woman: 'ёва'},
+            {man: 'ін', woman: 'іна'}, {man: 'ын', woman: 'ына'},
+            {man: 'скі', woman: 'ская'}, {man: 'цкі', woman: 'цкая'},
+        ];
+        /**
+         * Часціцы перад прозвішчам: Людвіг ван Бетховен, Анарэ дэ Бальзак, Ібн Сіна
+         * @var array
+         */
+        this.Particles = ['фон', 'ван', 'дэр', 'дэ', 'ды', 'да', 'дзю', 'ла', 'ле', 'ібн', 'бен', 'бін', 'аль', 'эль'];
+        /**
+         * Часціцы, якія пішуцца разам з прозвішчам: аль-Фарабі, Мак-Дональд, О'Генры, д'Артаньян
+         * @var array
+         */
+        this.ParticlePrefixes = ['аль-', 'эль-', 'мак-', "о'", "д'"];
+        /**
+         * Часціцы, якія азначаюць "сын": Ібн Сіна
+         * @var object
+         */
+        this.ParticleGenders = {'ібн': NCL.MAN, 'бен': NCL.MAN, 'бін': NCL.MAN};
+        /**
+         * Цюркскія маркеры імя па бацьку: Гейдар Аліеў Алі аглы, Лейла Мамед кызы
+         * @var object
+         */
+        this.PatronymicMarkers = {
+            'аглы': NCL.MAN, 'оглы': NCL.MAN, 'улы': NCL.MAN, 'ули': NCL.MAN,
+            'кызы': NCL.WOMAN, 'гызы': NCL.WOMAN,
+        };
+        /**
+         * Табліцы правілаў скланення (гл. src/rules/NCLRulesBy.js)
+         * @var object
+         */
+        this.Rules = NCLRulesBy;
+    }
+
+
+    /**
+     * Канчатак давальнага і меснага склонаў І скланення разам з чаргаваннем апошняй літары асновы:
+     * г - з, к - ц, х - с, т - ц, д - дз. Пасля зацвярдзелых зычных пішацца ы.
+     * @param string $letter апошняя літара асновы
+     * @return string літара асновы з канчаткам
+     */
+    dativeEnding (letter)
+    {
+        switch (letter)
+        {
+            case 'г': return 'зе';
+            case 'к': return 'цы';
+            case 'х': return 'се';
+            case 'т': return 'це';
+            case 'д': return 'дзе';
+        }
+        if (this.in(letter, this.hardened))
+        {
+            return letter + 'ы';
+        }
+        return letter + 'е';
+    }
+
+
+
+    /**
+     * Спрабуе ўжыць ланцуг правілаў для мужчынскіх імёнаў
+     * @return boolean true - калі правіла было ўжыта, false - калі правіла не знойдзена
+     */
+    manFirstName ()
+    {
+        return this.RulesChain('man', [1, 2]);
+    }
+
+
+
+    /**
+     * Спрабуе ўжыць ланцуг правілаў для жаночых імёнаў
+     * @return boolean true - калі правіла было ўжыта, false - калі правіла не знойдзена
+     */
+    womanFirstName ()
+    {
+        return this.RulesChain('woman', [1, 2]);
+    }
+
+
+
+    /**
+     * Спрабуе ўжыць ланцуг правілаў для мужчынскіх прозвішчаў
+     * @return boolean true - калі правіла было ўжыта, false - калі правіла не знойдзена
+     */
+    manSecondName ()
+    {
+        return this.RulesChain('man', [3, 1, 2]);
+    }
+
+
+
+    /**
+     * Спрабуе ўжыць ланцуг правілаў для жаночых прозвішчаў. Жаночыя прозвішчы на зычны не скланяюцца
+     * @return boolean true - калі правіла было ўжыта, false - калі правіла не знойдзена
+     */
+    womanSecondName ()
+    {
+        return this.RulesChain('woman', [3, 1]);
+    }
+
+
+
+    /**
+     * Скланяе мужчынскія імёны па бацьку. Нумар правіла - 401
+     * @return boolean true - калі слова праскланялася, false - калі не атрымалася
+     */
+    manFatherName ()
+    {
+        if (this.in(this.Last(2), ['іч', 'ыч']))
+        {
+            this.Rule(401);
+            this.wordForms(this.workingWord, ['а', 'у', 'а', 'ам', 'у', 'у']);
+            this.lastTrace.description = 'Імя па бацьку на -іч, -ыч: а, у, а, ам, у, у (Іванавіч)';
+            return true;
+        }
+        return false;
+    }
+
+
+
+    /**
+     * Скланяе жаночыя імёны па бацьку. Нумар правіла - 401
+     * @return boolean true - калі слова праскланялася, false - калі не атрымалася
+     */
+    womanFatherName ()
+    {
+        if (this.Last(2) == 'на')
+        {
+            this.Rule(401);
+            this.wordForms(this.workingWord, ['ы', 'е', 'у', 'ай', 'е', 'а'], 1);
+            this.lastTrace.description = 'Імя па бацьку на -на: ы, е, у, ай, е, а (Пятроўна)';
+            return true;
+        }
+        return false;
+    }
+
+
+
+    /**
+     * Вызначэнне полу па правілах імёнаў
+     * @param NCLNameCaseWord $word слова, для якога трэба вызначыць пол
+     */
+    GenderByFirstName (/*NCLNameCaseWord*/ word)
+    {
+        if (!(word instanceof NCLNameCaseWord))
+            throw new Error("word should be of class NCLNameCaseWord");
+
+        this.setWorkingWord(word.getWord());
+
+        var man = 0; //Мужчына
+        var woman = 0; //Жанчына
+
+        //Імёны на -а, -я часцей за ўсё жаночыя
+        if (this.in(this.Last(1), 'ая'))
+        {
+            woman+=0.5;
+        }
+
+        if (this.in(this.Last(1), this.consonant))
+        {
+            man+=0.5;
+        }
+
+        if (this.Last(1) == 'ь')
+        {
+            man+=0.3;
+        }
+
+        if (this.in(this.Last(3), ['эль', 'хіль']))
+        {
+            woman+=0.4;
+        }
+
+        if (this.inNames(this.workingWord, this.names_man))
+        {
+            man+=10;
+        }
+
+        if (this.inNames(this.workingWord, this.names_woman))
+        {
+            woman+=10;
+        }
+
+        word.setGender(man, woman);
+    }
+
+
+
+    /**
+     * Вызначэнне полу па правілах прозвішчаў
+     * @param NCLNameCaseWord $word слова, для якога трэба вызначыць пол
+     */
+    GenderBySecondName (/*NCLNameCaseWord*/ word)
+    {
+        if (!(word instanceof NCLNameCaseWord))
+            throw new Error("word should be of class NCLNameCaseWord");
+
+        this.setWorkingWord(word.getWord());
+
+        var man = 0; //Мужчына
+        var woman = 0; //Жанчына
+
+        if (this.in(this.Last(2), ['оў', 'ёў', 'еў', 'ін', 'ын', 'кі', 'ой']) || this.Last(1) == 'ы')
+        {
+            man+=0.4;
+        }
+
+        if (this.in(this.Last(3), ['ова', 'ёва', 'ева', 'іна', 'ына']))
+        {
+            woman+=0.4;
+        }
+
+        if (this.Last(2) == 'ая')
+        {
+            woman+=0.4;
+        }
+
+        word.setGender(man, woman);
+    }
+
+
+
+    /**
+     * Вызначэнне полу па правілах імёнаў па бацьку
+     * @param NCLNameCaseWord $word слова, для якога трэба вызначыць пол
+     */
+    GenderByFatherName (/*NCLNameCaseWord*/ word)
+    {
+        if (!(word instanceof NCLNameCaseWord))
+            throw new Error("word should be of class NCLNameCaseWord");
+
+        this.setWorkingWord(word.getWord());
+
+        if (this.in(this.Last(2), ['іч', 'ыч']))
+        {
+            word.setGender(10, 0); // мужчына
+        }
+        if (this.Last(2) == 'на')
+        {
+            word.setGender(0, 12); // жанчына
+        }
+    }
+
+
+
+    /**
+     * Вызначае, ці з'яўляецца слова імем, прозвішчам ці імем па бацьку
+     * - <b>N</b> - імя
+     * - <b>S</b> - прозвішча
+     * - <b>F</b> - імя па бацьку
+     * @param NCLNameCaseWord $word слова, якое трэба ідэнтыфікаваць
+     */
+    detectNamePart (/*NCLNameCaseWord*/ word)
+    {
+        if (!(word instanceof NCLNameCaseWord))
+            throw new Error("word should be of class NCLNameCaseWord");
+
+        var namepart = word.getWord();
+        this.setWorkingWord(namepart);
+
+        //Лічым імавернасць
+        var first = 0;
+        var second = 0;
+        var father = 0;
+
+        //падобна на імя па бацьку
+        if (this.in(this.Last(4), ['авіч', 'евіч', 'овіч', 'аўна', 'еўна', 'оўна', 'ічна']))
+        {
+            father+=3;
+        }
+
+        //прозвішчы на -кевіч, -цкевіч: Манкевіч, Сянкевіч
+        if (this.in(this.Last(5), ['кевіч', 'шкевіч', 'чэвіч', 'шэвіч']))
+        {
+            second+=5;
+        }
+
+        //падобна на імя
+        if (this.inNames(namepart, this.names_man) || this.inNames(namepart, this.names_woman))
+        {
+            first+=10;
+        }
+
+        //літары, на якія не сканчаюцца імёны
+        if (this.in(this.Last(1), 'ыч'))
+        {
+            second+=0.3;
+        }
+
+        //падобна на прозвішча
+        if (this.in(this.Last(2), ['оў', 'ёў', 'еў', 'ін', 'ын', 'кі', 'ой', 'ая', 'ук', 'юк', 'ак', 'ок', 'ка', 'ко', 'ец', 'ль', 'ас', 'ла', 'га', 'ыч', 'іч', 'ус', 'ач', 'ік', 'ер', 'ун']))
+        {
+            second+=0.4;
+        }
+
+        if (this.in(this.Last(3), ['ова', 'ёва', 'ева', 'іна', 'ына', 'скі', 'цкі', 'вец']))
+        {
+            second+=0.4;
+        }
+
+        if (this.in(this.Last(4), ['ская', 'цкая', 'енка', 'энка', 'онак', 'ёнак', 'эвіч']))
+        {
+            second+=0.4;
+        }
+
+        var max = math_max([first, second, father]);
+
+        if (first == max)
+        {
+            word.setNamePart('N');
+        }
+        else if (second == max)
+        {
+            word.setNamePart('S');
+        }
+        else
+        {
+            word.setNamePart('F');
+        }
+    }
+
+}
@@ -3,12 +3,19 @@
  * @package NameCaseLib
  */
 
+import NCL from './NCL/NCL.js';
 import NCLNameCaseCore from './NCL/NCLNameCaseCore.js';
 import NCLNameCaseWord from './NCL/NCLNameCaseWord.js';
 import NCLStr from './NCL/NCLStr.js';
+import NCLRulesRu from './rules/NCLRulesRu.js';
+import NCLTranslitRu from './translit/NCLTranslitRu.js';
 
 var math_min = require('locutus/php/math/min');
 var math_max = require('locutus/php/math/max');
+var in_array = require('locutus/php/array/in_array');
+var is_array = require('locutus/php/var/is_array');
+var array_key_exists = require('locutus/php/array/array_key_exists'),
+    key_exists = array_key_exists;
 
 /**
  * <b>NCL NameCase Russian Language</b>
@@ -36,6 +43,24 @@ export default class NCLNameCaseRu extends NCLNameCaseCore
          * @var int
          */
         this.CaseCount = 6;
+        /**
+         * Названия падежей русского языка
+         * @var array
+         */
+        this.CaseNames = ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'prepositional'];
+        /**
+         * Русские названия падежей и синонимы
+         * @var object
+         */
+        this.CaseAliases = {
+            'именительный' : 0,
+            'родительный' : 1,
+            'дательный' : 2,
+            'винительный' : 3,
+            'творительный' : 4,
+            'предложный' : 5,
+            'locative' : 5,
+        };
         /**
          * Список гласных русского языка
          * @var string 
@@ -68,7 +93,6 @@ export default class NCLNameCaseRu extends NCLNameCaseCore
             'г' : 'а',
             'д' : 'ар',
             'е' : 'бвгдйлмня',
-            'ё' : 'бвгдйлмня',
             'ж' : '',
             'з' : 'а',
             'и' : 'гдйклмнопрсфя',
@@ -105,431 +129,270 @@ export default class NCLNameCaseRu extends NCLNameCaseCore
             'Шарль', 'Хендрик', 'Амброзиус', 'Таддео', 'Фердинанд', 'Джошуа', 'Изак', 'Иоганн',
             'Фридрих', 'Эмиль', 'Умберто', 'Франсуа', 'Ян', 'Эрнст', 'Георг', 'Карл'
         ];
+        /**
+         * Окончания именительного падежа для восстановления начальной формы (см. lemmaCandidates())
+         * @var array
+         */
+        this.NominativeEndings = ['', 'а', 'я', 'о', 'е', 'ь', 'й', 'ий', 'ый', 'ой', 'ая', 'яя'];
+        /**
+         * Беглые гласные: Льва => Лев, Соловья => Соловей, Павла => Павел
+         * @var array
+         */
+        this.LemmaAlternations = [
+            [/ь([бвгджзклмнпрстфхцчшщ])$/, 'е$1'],
+            [/ь$/, 'е'],
+            [/([бвгджзклмнпрстфхцчшщ])([бвгджзклмнпрстфхцчшщ])$/, '$1е$2'],
+        ];
+        /**
+         * Невозможные формы именительного падежа: ы после г, к, х и шипящих (Римскый),
+         * прилагательные окончания после -ов, -ев, -ин (Ивановая), удвоенная гласная в конце
+         * @var array
+         */
+        this.LemmaForbidden = [
+            /[гкхжшчщ]ы/,
+            /(ов|ев|ёв|ин|ын)(я|ая|яя|оя|ой|ый)$/,
+            /([аеёиоуыэюя])\1$/,
+        ];
+        /**
+         * Образование отчеств: Николай => Николаевич, Дмитрий => Дмитриевич, Никита => Никитична
+         * @var object
+         */
+        this.FatherNameRules = {
+            irregular: [
+                {name: 'Илья', man: 'Ильич', woman: 'Ильинична'},
+                {name: 'Кузьма', man: 'Кузьмич', woman: 'Кузьминична'},
+                {name: 'Фома', man: 'Фомич', woman: 'Фоминична'},
+                {name: 'Лука', man: 'Лукич', woman: 'Лукинична'},
+                {name: 'Яков', man: 'Яковлевич', woman: 'Яковлевна'},
+                {name: 'Лев', man: 'Львович', woman: 'Львовна'},
+                {name: 'Павел', man: 'Павлович', woman: 'Павловна'},
+                {name: 'Петр', man: 'Петрович', woman: 'Петровна'},
+                {name: 'Пётр', man: 'Петрович', woman: 'Петровна'},
+                {name: 'Михаил', man: 'Михайлович', woman: 'Михайловна'},
+                {name: 'Данила', man: 'Данилович', woman: 'Даниловна'},
+                {name: 'Гаврила', man: 'Гаврилович', woman: 'Гавриловна'},
+            ],
+            endings: [
+                [/([бвгджзклмнпрстфхцчшщ]{2})ий$/, '$1иевич', '$1иевна'],
+                [/ий$/, 'ьевич', 'ьевна'],
+                [/([аеёиоуыэюя])й$/, '$1евич', '$1евна'],
+                [/ь$/, 'евич', 'евна'],
+                [/([жшчщц])$/, '$1евич', '$1евна'],
+                [/а$/, 'ич', 'ична'],
+                [/([бвгдзклмнпрстфх])$/, '$1ович', '$1овна'],
+            ],
+            names: [
+                'Александр', 'Алексей', 'Анатолий', 'Андрей', 'Аркадий', 'Артем', 'Борис', 'Вадим', 'Валентин',
+                'Валерий', 'Василий', 'Виктор', 'Виталий', 'Владимир', 'Вячеслав', 'Геннадий', 'Георгий', 'Григорий',
+                'Даниил', 'Денис', 'Дмитрий', 'Евгений', 'Егор', 'Иван', 'Игорь', 'Кирилл', 'Константин', 'Леонид',
+                'Максим', 'Марк', 'Матвей', 'Михаил', 'Никита', 'Николай', 'Олег', 'Павел', 'Петр', 'Роман', 'Семен',
+                'Сергей', 'Степан', 'Тимофей', 'Федор', 'Эдуард', 'Юрий', 'Ярослав',
+            ],
+        };
+        /**
+         * Мужская и женская форма фамилий: Иванов - Иванова, Толстой - Толстая, Горький - Горькая
+         * @var array
+         */
+        this.SecondNameGenderPairs = [
+            {man: 'ов', woman: 'ова'}, {man: 'ев', woman: 'ева'}, {man: 'ёв', woman: 'ёва'},
+            {man: 'ин', woman: 'ина'}, {man: 'ын', woman: 'ына'},
+            {man: 'ский', woman: 'ская'}, {man: 'цкий', woman: 'цкая'}, {man: 'ской', woman: 'ская'}, {man: 'цкой', woman: 'цкая'},
+            {man: 'ой', woman: 'ая'}, {man: 'ый', woman: 'ая'}, {man: 'ний', woman: 'няя'},
+            {man: 'кий', woman: 'кая'}, {man: 'гий', woman: 'гая'}, {man: 'хий', woman: 'хая'},
+            {man: 'жий', woman: 'жая'}, {man: 'ший', woman: 'шая'}, {man: 'чий', woman: 'чая'}, {man: 'щий', woman: 'щая'},
+        ];
+        /**
+         * Частицы перед фамилией: Людвиг ван Бетховен, Оноре де Бальзак, Ибн Сина
+         * @var array
+         */
+        this.Particles = ['фон', 'ван', 'дер', 'ден', 'де', 'ди', 'да', 'дю', 'дель', 'ла', 'ле', 'ибн', 'бен', 'бин', 'аль', 'эль'];
+        /**
+         * Частицы, которые пишутся слитно с фамилией: аль-Фараби, Мак-Дональд, О'Генри, д'Артаньян
+         * @var array
+         */
+        this.ParticlePrefixes = ['аль-', 'эль-', 'мак-', "о'", "д'"];
+        /**
+         * Частицы, которые значат "сын": Ибн Сина
+         * @var object
+         */
+        this.ParticleGenders = {'ибн': NCL.MAN, 'бен': NCL.MAN, 'бин': NCL.MAN};
+        /**
+         * Тюркские маркеры отчества: Гейдар Алиев Али оглы, Лейла Мамед кызы
+         * @var object
+         */
+        this.PatronymicMarkers = {
+            'оглы': NCL.MAN, 'огли': NCL.MAN, 'улы': NCL.MAN, 'ули': NCL.MAN, 'уулу': NCL.MAN,
+            'кызы': NCL.WOMAN, 'гызы': NCL.WOMAN, 'кизи': NCL.WOMAN,
+        };
+        /**
+         * Буквы, которых нет в украинском, для NCL::detectLanguage()
+         * @var string
+         */
+        this.LanguageLetters = 'ыэъё';
+        /**
+         * Как писать ё в результатах (см. setYoMode()): preserve, normalize или restore
+         * @var string
+         */
+        this.YoMode = 'preserve';
+        /**
+         * Имена, фамилии и отчества, в которых пишется ё. По ним режим restore ставит ё в словах, написанных через е
+         * @var array
+         */
+        this.YoWords = [
+            'Артём', 'Семён', 'Фёдор', 'Пётр', 'Алёна', 'Алёша', 'Лёша', 'Лёва', 'Лёня', 'Фёкла', 'Ярёма',
+            'Артёмович', 'Артёмовна', 'Семёнович', 'Семёновна', 'Фёдорович', 'Фёдоровна',
+            'Королёв', 'Ковалёв', 'Соловьёв', 'Воробьёв', 'Муравьёв', 'Журавлёв', 'Киселёв', 'Горбачёв', 'Пугачёв',
+            'Хрущёв', 'Грачёв', 'Ткачёв', 'Толмачёв', 'Огнёв', 'Артёмов', 'Семёнов', 'Фёдоров', 'Потёмкин', 'Дёмин', 'Лёвин',
+        ];
+        /**
+         * Окончания с ё, которые режим restore ставит в любом слове: Ковалёнок, Опёнок
+         * @var array
+         */
+        this.YoEndings = ['ёнок'];
+        /**
+         * Слова, в которых ё есть только в именительном падеже: Пётр - Петра
+         * @var array
+         */
+        this.YoNominative = ['пётр'];
+        /**
+         * Таблицы правил склонения (см. src/rules/NCLRulesRu.js)
+         * @var object
+         */
+        this.Rules = NCLRulesRu;
+        /**
+         * Схемы транслитерации для режима латиницы (см. src/translit/NCLTranslitRu.js)
+         * @var object
+         */
+        this.TranslitSchemes = NCLTranslitRu;
+        /**
+         * Официальная транслитерация: ICAO Doc 9303, как в загранпаспортах
+         * @var string
+         */
+        this.OfficialTranslit = 'icao';
     }
 
 
     /**
-     * Мужские имена, оканчивающиеся на любой ь и -й, 
-     * скло­няются так же, как обычные существительные мужского рода
-     * @return bool true если правило было задействовано и false если нет. 
+     * Задает, как писать ё в результатах:
+     * - preserve - ё остается там, где она была во входном слове
+     * - normalize - ё везде заменяется на е
+     * - restore - как preserve, и ё ставится в известных словах и окончаниях (<var>$this->YoWords</var>, <var>$this->YoEndings</var>),
+     *   написанных через е: Артем => Артём, Королев => Королёва
+     * Правила склонения и определения пола в любом режиме не различают е и ё.
+     * @param string $mode preserve, normalize или restore
      */
-    manRule1 ()
+    setYoMode (mode = 'preserve')
     {
-        if (this.in(this.Last(1), 'ьй'))
-        {
-            if (this.inNames(this.workingWord, ['Дель']))
-            {
-                this.Rule(101);
-                this.makeResultTheSame();
-                return true;
-            }
+        if (!in_array(mode, ['preserve', 'normalize', 'restore']))
+            throw new Error('Unknown yo mode "' + mode + '". Expected one of: preserve, normalize, restore');
 
-            if (this.Last(2, 1) != "и")
-            {
-                this.wordForms(this.workingWord, ['я', 'ю', 'я', 'ем', 'е'], 1);
-                this.Rule(102);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['я', 'ю', 'я', 'ем', 'и'], 1);
-                this.Rule(103);
-                return true;
-            }
-        }
-        return false;
+        this.YoMode = mode;
     }
 
 
-
     /**
-     * Мужские имена, оканчивающиеся на любой твердый согласный, 
-     * склоняются так же, как обычные существительные мужского рода
-     * @return bool true если правило было задействовано и false если нет. 
+     * Заменяет в строке <var>$text</var> ё на е
+     * @param string $text строка
+     * @return string строка без ё
      */
-    manRule2 ()
+    removeYo (text)
     {
-        if (this.in(this.Last(1), this.consonant))
-        {
-            if (this.inNames(this.workingWord, "Павел"))
-            {
-                this.lastResult = ["Павел", "Павла", "Павлу", "Павла", "Павлом", "Павле"];
-                this.Rule(201);
-                return true;
-            }
-            else if (this.inNames(this.workingWord, "Лев"))
-            {
-                this.lastResult = ["Лев", "Льва", "Льву", "Льва", "Львом", "Льве"];
-                this.Rule(202);
-                return true;
-            }
-            else if (this.inNames(this.workingWord, 'ван'))
-            {
-                this.Rule(203);
-                this.makeResultTheSame();
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['а', 'у', 'а', 'ом', 'е']);
-                this.Rule(204);
-                return true;
-            }
-        }
-        return false;
+        return String(text).replace(/ё/g, 'е').replace(/Ё/g, 'Е');
     }
 
 
-
     /**
-     * Мужские и женские имена, оканчивающиеся на -а, склоняются, как и любые 
-     * существительные с таким же окончанием
-     * Мужские и женские имена, оканчивающиеся иа -я, -ья, -ия, -ея, независимо от языка, 
-     * из которого они происходят, склоняются как существительные с соответствующими окончаниями
-     * @return bool true если правило было задействовано и false если нет. 
+     * Ставит ё в слове <var>$word</var> (в нижнем регистре), если оно есть в <var>$this->YoWords</var>
+     * (женская фамилия - по мужской: Королева => Королёва) или заканчивается на окончание из <var>$this->YoEndings</var>.
+     * Части слова через дефис проверяются отдельно.
+     * @param string $word слово в нижнем регистре
+     * @return string слово с ё
      */
-    manRule3 ()
+    restoreYo (word)
     {
-        if (this.Last(1) == "а")
-        {
-            if (this.inNames(this.workingWord, ['фра', 'Дега', 'Андреа', 'Сёра', 'Сера']))
-            {
-                this.Rule(301);
-                this.makeResultTheSame();
-                return true;
-            }
-            else if (!this.in(this.Last(2, 1), 'кшгх'))
-            {
-                this.wordForms(this.workingWord, ['ы', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(302);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['и', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(303);
-                return true;
-            }
-        }
-        else if (this.Last(1) == "я")
-        {
-            this.wordForms(this.workingWord, ['и', 'е', 'ю', 'ей', 'е'], 1);
-            this.Rule(303);
-            return true;
+        var known = {};
+        for (var yoWord of this.YoWords) {
+            known[this.removeYo(NCLStr.strtolower(yoWord))] = NCLStr.strtolower(yoWord);
         }
-        return false;
-    }
-
-
 
-    /**
-     * Мужские фамилии, оканчивающиеся на -ь -й, склоняются так же, 
-     * как обычные существительные мужского рода
-     * @return bool true если правило было задействовано и false если нет. 
-     */
-    manRule4 ()
-    {
-        if (this.in(this.Last(1), 'ьй'))
-        {
-
-            //Слова типа Воробей
-            if (this.Last(3) == 'бей')
-            {
-                this.wordForms(this.workingWord, ['ья', 'ью', 'ья', 'ьем', 'ье'], 2);
-                this.Rule(400);
-                return true;
-            }
-            else if (this.Last(3, 1) == 'а' || this.in(this.Last(2, 1), 'ел'))
-            {
-                this.wordForms(this.workingWord, ['я', 'ю', 'я', 'ем', 'е'], 1);
-                this.Rule(401);
-                return true;
-            }
-            //Толстой -» ТолстЫм 
-            else if (this.Last(2, 1) == 'ы' || this.Last(3, 1) == 'т')
+        return word.split('-').map(part => {
+            var plain = this.removeYo(part);
+            if (key_exists(plain, known))
             {
-                this.wordForms(this.workingWord, ['ого', 'ому', 'ого', 'ым', 'ом'], 2);
-                this.Rule(402);
-                return true;
+                return known[plain];
             }
-            //Лесничий
-            else if (this.Last(3) == 'чий')
+            if (plain.substr(-1) == 'а' && key_exists(plain.substr(0, plain.length - 1), known))
             {
-                this.wordForms(this.workingWord, ['ьего', 'ьему', 'ьего', 'ьим', 'ьем'], 2);
-                this.Rule(403);
-                return true;
+                return known[plain.substr(0, plain.length - 1)] + 'а';
             }
-            else if (!this.in(this.Last(2, 1), this.vowels) || this.Last(2, 1) == 'и')
-            {
-                this.wordForms(this.workingWord, ['ого', 'ому', 'ого', 'им', 'ом'], 2);
-                this.Rule(404);
-                return true;
-            }
-            else
-            {
-                this.makeResultTheSame();
-                this.Rule(405);
-                return true;
-            }
-        }
-        return false;
-    }
-
-
-
-    /**
-     * Мужские фамилии, оканчивающиеся на -к
-     * @return bool true если правило было задействовано и false если нет. 
-     */
-    manRule5 ()
-    {
-        if (this.Last(1) == 'к')
-        {
-            //Если перед слово на ок, то нужно убрать о
-            if (this.Last(4)=='енок' || this.Last(4)=='ёнок')//Поллок
-            {
-                this.wordForms(this.workingWord, ['ка', 'ку', 'ка', 'ком', 'ке'], 2);
-                this.Rule(501);
-                return true;
-            }
-            if (this.Last(2, 1) == 'е' && !in_array(this.Last(3, 1), ['р']))//Лотрек
-            {
-                this.wordForms(this.workingWord, ['ька', 'ьку', 'ька', 'ьком', 'ьке'], 2);
-                this.Rule(502);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['а', 'у', 'а', 'ом', 'е']);
-                this.Rule(503);
-                return true;
-            }
-        }
-        return false;
-    }
-
-
-
-    /**
-     * Мужские фамили на согласный выбираем ем/ом/ым
-     * @return bool true если правило было задействовано и false если нет. 
-     */
-    manRule6 ()
-    {
-        if (this.Last(1) == 'ч')
-        {
-            this.wordForms(this.workingWord, ['а', 'у', 'а', 'ем', 'е']);
-            this.Rule(601);
-            return true;
-        }
-        //е перед ц выпадает
-        else if (this.Last(2) == 'ец')
-        {
-            this.wordForms(this.workingWord, ['ца', 'цу', 'ца', 'цом', 'це'], 2);
-            this.Rule(604);
-            return true;
-        }
-        else if (this.in(this.Last(1), 'цсршмхт'))
-        {
-            this.wordForms(this.workingWord, ['а', 'у', 'а', 'ом', 'е']);
-            this.Rule(602);
-            return true;
-        }
-        else if (this.in(this.Last(1), this.consonant))
-        {
-            this.wordForms(this.workingWord, ['а', 'у', 'а', 'ым', 'е']);
-            this.Rule(603);
-            return true;
-        }
-        return false;
-    }
-
-
-
-    /**
-     * Мужские фамили на -а -я
-     * @return bool true если правило было задействовано и false если нет.  
-     */
-    manRule7 ()
-    {
-        if (this.Last(1) == "а")
-        {
-            if (this.inNames(this.workingWord, ['да']))
-            {
-                this.Rule(701);
-                this.makeResultTheSame();
-                return true;
-            }
-            //Если основа на ш, то нужно и, ей
-            if (this.Last(2, 1) == 'ш')
-            {
-                this.wordForms(this.workingWord, ['и', 'е', 'у', 'ей', 'е'], 1);
-                this.Rule(702);
-                return true;
-            }
-            else if (this.in(this.Last(2, 1), 'хкг'))
-            {
-                this.wordForms(this.workingWord, ['и', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(703);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['ы', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(704);
-                return true;
+            for (var ending of this.YoEndings) {
+                var plainEnding = this.removeYo(ending);
+                if (plain.length > plainEnding.length && plain.substr(-plainEnding.length) == plainEnding)
+                {
+                    return part.substr(0, part.length - ending.length) + ending;
+                }
             }
-        }
-        else if (this.Last(1) == "я")
-        {
-            this.wordForms(this.workingWord, ['ой', 'ой', 'ую', 'ой', 'ой'], 2);
-            this.Rule(705);
-            return true;
-        }
-        return false;
+            return part;
+        }).join('-');
     }
 
 
-
     /**
-     * Не склоняются мужский фамилии
-     * @return bool true если правило было задействовано и false если нет.  
+     * Создает слово (см. NCLNameCaseCore::createWord()) и отмечает в нем буквы ё по режиму <var>$this->YoMode</var>
+     * @param string $text слово вместе с частицами
+     * @return NCLNameCaseWord слово
      */
-    manRule8 ()
+    createWord (text)
     {
-        if (this.in(this.Last(3), this.ovo) || this.in(this.Last(2), this.ih))
+        var word = super.createWord(text);
+        var lower = NCLStr.strtolower(word.getWordOrig());
+        if (this.YoMode == 'normalize')
         {
-            if ( this.inNames(this.workingWord, ['рерих']) ) return false;
-            this.Rule(8);
-            this.makeResultTheSame();
-            return true;
+            lower = this.removeYo(lower);
         }
-        return false;
-    }
-
-
-
-    /**
-     * Мужские и женские имена, оканчивающиеся на -а, склоняются, 
-     * как и любые существительные с таким же окончанием
-     * @return bool true если правило было задействовано и false если нет. 
-     */
-    womanRule1 ()
-    {
-        if (this.Last(1) == "а" && this.Last(2, 1) != 'и')
+        else if (this.YoMode == 'restore')
         {
-            if (!this.in(this.Last(2, 1), 'шхкг'))
-            {
-                this.wordForms(this.workingWord, ['ы', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(101);
-                return true;
-            }
-            else
-            {
-                //ей посля шиплячего
-                if (this.Last(2, 1) == 'ш')
-                {
-                    this.wordForms(this.workingWord, ['и', 'е', 'у', 'ей', 'е'], 1);
-                    this.Rule(102);
-                    return true;
-                }
-                else
-                {
-                    this.wordForms(this.workingWord, ['и', 'е', 'у', 'ой', 'е'], 1);
-                    this.Rule(103);
-                    return true;
-                }
-            }
+            lower = this.restoreYo(lower);
         }
-        return false;
-    }
 
-
-
-    /**
-     * Мужские и женские имена, оканчивающиеся иа -я, -ья, -ия, -ея, независимо от языка, 
-     * из которого они происходят, склоняются как сущест­вительные с соответствующими окончаниями
-     * @return bool true если правило было задействовано и false если нет.  
-     */
-    womanRule2 ()
-    {
-        if (this.Last(1) == "я")
-        {
-            if (this.Last(2, 1) != "и")
+        var positions = [];
+        NCLStr.splitLetters(lower).forEach((letter, position) => {
+            if (letter == 'ё')
             {
-                this.wordForms(this.workingWord, ['и', 'е', 'ю', 'ей', 'е'], 1);
-                this.Rule(201);
-                return true;
+                positions.push(position);
             }
-            else
-            {
-                this.wordForms(this.workingWord, ['и', 'и', 'ю', 'ей', 'и'], 1);
-                this.Rule(202);
-                return true;
-            }
-        }
-        return false;
+        });
+        word.setYo(positions, in_array(lower, this.YoNominative));
+        return word;
     }
 
 
-
     /**
-     * Русские женские имена, оканчивающиеся на мягкий согласный, склоняются, 
-     * как существительные женского рода типа дочь, тень
-     * @return bool true если правило было задействовано и false если нет. 
+     * Правила работают со словом без ё (см. setYoMode())
+     * @param string $word слово
      */
-    womanRule3 ()
+    setWorkingWord (word)
     {
-        if (this.Last(1) == "ь")
-        {
-            this.wordForms(this.workingWord, ['и', 'и', 'ь', 'ью', 'и'], 1);
-            this.Rule(3);
-            return true;
-        }
-        return false;
+        super.setWorkingWord(this.removeYo(word));
     }
 
 
-
     /**
-     * Женские фамилия, оканчивающиеся на -а -я, склоняются,
-     * как и любые существительные с таким же окончанием
-     * @return bool true если правило было задействовано и false если нет. 
+     * Сравнивает имена без учета ё (см. NCLNameCaseCore::inNames())
+     * @param string $nameNeedle имя, которое ищем
+     * @param array $names список имен
+     * @return bool найдено ли имя
      */
-    womanRule4 ()
+    inNames (nameNeedle, names)
     {
-        if (this.Last(1) == "а")
+        if (!is_array(names))
         {
-            if (this.in(this.Last(2, 1), 'гк'))
-            {
-                this.wordForms(this.workingWord, ['и', 'е', 'у', 'ой', 'е'], 1);
-                this.Rule(401);
-                return true;
-            }
-            else if (this.in(this.Last(2, 1), 'ш'))
-            {
-                this.wordForms(this.workingWord, ['и', 'е', 'у', 'ей', 'е'], 1);
-                this.Rule(402);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, ['ой', 'ой', 'у', 'ой', 'ой'], 1);
-                this.Rule(403);
-                return true;
-            }
-        }
-        else if (this.Last(1) == "я")
-        {
-            this.wordForms(this.workingWord, ['ой', 'ой', 'ую', 'ой', 'ой'], 2);
-            this.Rule(404);
-            return true;
+            names = [names];
         }
-        return false;
+        return super.inNames(this.removeYo(nameNeedle), names.map(name => this.removeYo(name)));
     }
 
 
-
     /**
      * Функция пытается применить цепочку правил для мужских имен
      * @return boolean true - если было использовано правило из списка, false - если правило не было найденым
@@ -726,12 +589,12 @@ export default class NCLNameCaseRu extends NCLNameCaseCore
         var man = 0; //Мужчина
         var woman = 0; //Женщина
 
-        if (this.in(this.Last(2), ['ов', 'ин', 'ев', 'ий', 'ёв', 'ый', 'ын', 'ой']))
+        if (this.in(this.Last(2), ['ов', 'ин', 'ев', 'ий', 'ый', 'ын', 'ой']))
         {
             man+=0.4;
         }
 
-        if (this.in(this.Last(3), ['ова', 'ина', 'ева', 'ёва', 'ына', 'мин']))
+        if (this.in(this.Last(3), ['ова', 'ина', 'ева', 'ына', 'мин']))
         {
             woman+=0.4;
         }
@@ -994,12 +857,12 @@ export default class NCLNameCaseRu extends NCLNameCaseCore
         /**
          * Фамильные окончания
          */
-        if (this.in(this.Last(2), ['ов', 'ин', 'ев', 'ёв', 'ый', 'ын', 'ой', 'ук', 'як', 'ца', 'ун', 'ок', 'ая', 'ёк', 'ив', 'ус', 'ак', 'яр', 'уз', 'ах', 'ай']))
+        if (this.in(this.Last(2), ['ов', 'ин', 'ев', 'ый', 'ын', 'ой', 'ук', 'як', 'ца', 'ун', 'ок', 'ая', 'ек', 'ив', 'ус', 'ак', 'яр', 'уз', 'ах', 'ай']))
         {
             second+=0.4;
         }
 
-        if (this.in(this.Last(3), ['ова', 'ева', 'ёва', 'ына', 'шен', 'мей', 'вка', 'шир', 'бан', 'чий', 'кий', 'бей', 'чан', 'ган', 'ким', 'кан', 'мар', 'лис']))
+        if (this.in(this.Last(3), ['ова', 'ева', 'ына', 'шен', 'мей', 'вка', 'шир', 'бан', 'чий', 'кий', 'бей', 'чан', 'ган', 'ким', 'кан', 'мар', 'лис']))
         {
             second+=0.4;
         }
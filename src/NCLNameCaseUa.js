@@ -3,9 +3,12 @@
  * @package NameCaseLib
  */
 
+import NCL from './NCL/NCL.js';
 import NCLNameCaseCore from './NCL/NCLNameCaseCore.js';
 import NCLNameCaseWord from './NCL/NCLNameCaseWord.js';
 import NCLStr from './NCL/NCLStr.js';
+import NCLRulesUa from './rules/NCLRulesUa.js';
+import NCLTranslitUa from './translit/NCLTranslitUa.js';
 
 var math_min = require('locutus/php/math/min');
 var math_max = require('locutus/php/math/max');
@@ -36,6 +39,25 @@ export default class NCLNameCaseUa extends NCLNameCaseCore
          * @var int
          */
         this.CaseCount = 7;
+        /**
+         * Назви відмінків української мови
+         * @var array
+         */
+        this.CaseNames = ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'locative', 'vocative'];
+        /**
+         * Українські назви відмінків та синоніми
+         * @var object
+         */
+        this.CaseAliases = {
+            'називний' : 0,
+            'родовий' : 1,
+            'давальний' : 2,
+            'знахідний' : 3,
+            'орудний' : 4,
+            'місцевий' : 5,
+            'кличний' : 6,
+            'prepositional' : 5,
+        };
         /**
          * Список гласных украинского языка
          * @var string 
@@ -66,6 +88,120 @@ export default class NCLNameCaseUa extends NCLNameCaseCore
          * @var string 
          */
         this.gubni = 'мвпбф';
+        /**
+         * Закінчення називного відмінку для відновлення початкової форми (див. lemmaCandidates())
+         * @var array
+         */
+        this.NominativeEndings = ['', 'а', 'я', 'о', 'ь', 'й', 'ий', 'ій'];
+        /**
+         * Слова, у яких при відмінюванні випадає е: Орел - Орла (див. getAlternatedOsnova())
+         * @var array
+         */
+        this.FleetingE = ['Орел', 'Козел', 'Осел', 'Котел', 'Дятел'];
+        /**
+         * Чергування в основі: Сидора => Сидір, Кравця => Кравець, Ользі => Ольга
+         * @var array
+         */
+        this.LemmaAlternations = [
+            [/[ое]([бвгджзклмнпрстфхцчшщ])$/, 'і$1'],
+            [/([бвгджзклмнпрстфхцчшщ])([бвгджзклмнпрстфхцчшщ])$/, '$1е$2'],
+            [/з$/, 'г'],
+            [/ц$/, 'к'],
+            [/с$/, 'х'],
+        ];
+        /**
+         * Неможливі форми називного відмінку: прикметникові закінчення після -ов, -ев, -ін (Тарасовя),
+         * м'який знак після р у кінці (Ігорь), подвоєний голосний у кінці
+         * @var array
+         */
+        this.LemmaForbidden = [
+            /(ов|ев|єв|ів|ин|ін|їн)(я|ая|яя|оя|ой)$/,
+            /рь$/,
+            /([аеиоуіїєюя])\1$/,
+        ];
+        /**
+         * Утворення по батькові: Андрій => Андрійович, Василь => Василівна, Лука => Лукич
+         * @var object
+         */
+        this.FatherNameRules = {
+            irregular: [
+                {name: 'Яків', man: 'Якович', woman: 'Яківна'},
+                {name: 'Ілля', man: 'Ілліч', woman: 'Іллівна'},
+                {name: 'Микола', man: 'Миколайович', woman: 'Миколаївна'},
+                {name: 'Григорій', man: 'Григорович', woman: 'Григорівна'},
+                {name: 'Федір', man: 'Федорович', woman: 'Федорівна'},
+                {name: 'Сидір', man: 'Сидорович', woman: 'Сидорівна'},
+                {name: 'Лев', man: 'Львович', woman: 'Львівна'},
+            ],
+            endings: [
+                [/([аеиоуі])й$/, '$1йович', '$1ївна'],
+                [/ь$/, 'ьович', 'івна'],
+                [/о$/, 'ович', 'івна'],
+                [/а$/, 'ич', 'івна'],
+                [/([бвгґджзклмнпрстфхцчш])$/, '$1ович', '$1івна'],
+            ],
+            names: [
+                'Адам', 'Анатолій', 'Андрій', 'Антон', 'Артем', 'Богдан', 'Борис', 'Вадим', 'Валерій', 'Василь',
+                'Віктор', 'Віталій', 'Володимир', 'Гаврило', 'Геннадій', 'Григорій', 'Данило', 'Денис', 'Дмитро',
+                'Євген', 'Зиновій', 'Іван', 'Ігор', 'Йосип', 'Кирило', 'Кузьма', 'Леонід', 'Лука', 'Максим', 'Марко',
+                'Микола', 'Михайло', 'Назар', 'Олег', 'Олександр', 'Олексій', 'Орест', 'Остап', 'Павло', 'Панас',
+                'Петро', 'Роман', 'Сава', 'Семен', 'Сергій', 'Станіслав', 'Степан', 'Тарас', 'Тимофій', 'Устим',
+                'Федір', 'Хома', 'Юрій', 'Ярослав',
+            ],
+        };
+        /**
+         * Чоловіча і жіноча форма прізвищ: Ковальський - Ковальська, Іванов - Іванова, Білий - Біла
+         * @var array
+         */
+        this.SecondNameGenderPairs = [
+            {man: 'ов', woman: 'ова'}, {man: 'ев', woman: 'ева'}, {man: 'єв', woman: 'єва'},
+            {man: 'ин', woman: 'ина'}, {man: 'ін', woman: 'іна'}, {man: 'їн', woman: 'їна'},
+            {man: 'ський', woman: 'ська'}, {man: 'цький', woman: 'цька'}, {man: 'зький', woman: 'зька'},
+            {man: 'ий', woman: 'а', ambiguous: 'woman'}, {man: 'ій', woman: 'я', ambiguous: 'woman'},
+        ];
+        /**
+         * Частки перед прізвищем: Людвіг ван Бетховен, Оноре де Бальзак, Ібн Сіна
+         * @var array
+         */
+        this.Particles = ['фон', 'ван', 'дер', 'ден', 'де', 'ді', 'да', 'дю', 'дель', 'ла', 'ле', 'ібн', 'бен', 'бін', 'аль', 'ель'];
+        /**
+         * Частки, які пишуться разом із прізвищем: аль-Фарабі, Мак-Дональд, О'Генрі, д'Артаньян
+         * @var array
+         */
+        this.ParticlePrefixes = ['аль-', 'ель-', 'мак-', "о'", "д'"];
+        /**
+         * Частки, які означають "син": Ібн Сіна
+         * @var object
+         */
+        this.ParticleGenders = {'ібн': NCL.MAN, 'бен': NCL.MAN, 'бін': NCL.MAN};
+        /**
+         * Тюркські маркери по батькові: Гейдар Алієв Алі огли, Лейла Мамед кизи
+         * @var object
+         */
+        this.PatronymicMarkers = {
+            'огли': NCL.MAN, 'оглу': NCL.MAN, 'оглы': NCL.MAN, 'ули': NCL.MAN, 'уули': NCL.MAN,
+            'кизи': NCL.WOMAN, 'гизи': NCL.WOMAN, 'кызы': NCL.WOMAN,
+        };
+        /**
+         * Літери й апостроф, яких немає в російській, для NCL::detectLanguage()
+         * @var string
+         */
+        this.LanguageLetters = "іїєґ'’ʼ`";
+        /**
+         * Таблиці правил відмінювання (див. src/rules/NCLRulesUa.js)
+         * @var object
+         */
+        this.Rules = NCLRulesUa;
+        /**
+         * Схеми транслітерації для режиму латиниці (див. src/translit/NCLTranslitUa.js)
+         * @var object
+         */
+        this.TranslitSchemes = NCLTranslitUa;
+        /**
+         * Офіційна транслітерація: таблиця постанови КМУ № 55 від 27.01.2010
+         * @var string
+         */
+        this.OfficialTranslit = 'kmu2010';
     }
         
 
@@ -88,17 +224,13 @@ export default class NCLNameCaseUa extends NCLNameCaseCore
 
 
     /**
-     * Перевіряє чи символ є апострофом чи не є
+     * Перевіряє чи символ є апострофом чи не є (' ’ ʼ `)
      * @param string(1) $char симпол для перевірки
      * @return bool true якщо символ є апострофом 
      */
     isApostrof (char)
     {
-        if (this.in(char, ' ' + this.consonant + this.vowels))
-        {
-            return false;
-        }
-        return true;
+        return this.in(char, NCLStr.apostrophes);
     }
 
 
@@ -208,374 +340,103 @@ export default class NCLNameCaseUa extends NCLNameCaseCore
 
 
     /**
-     * Українські чоловічі та жіночі імена, що в називному відмінку однини закінчуються на -а (-я),
-     * відмінються як відповідні іменники І відміни.
-     * <ul>
-     * <li>Примітка 1. Кінцеві приголосні основи г, к, х у жіночих іменах 
-     *   у давальному та місцевому відмінках однини перед закінченням -і 
-     *   змінюються на з, ц, с: Ольга - Ользі, Палажка - Палажці, Солоха - Солосі.</li>
-     * <li>Примітка 2. У жіночих іменах типу Одарка, Параска в родовому відмінку множини 
-     *   в кінці основи між приголосними з'являється звук о: Одарок, Парасок. </li>
-     * </ul>
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено
+     * Чергування і —» о в останньому складі імен на -р: Федір - Федора
+     * @param string $word слово
+     * @return string основа для відмінювання
      */
-    manRule1 ()
+    alternateIO (word)
     {
-        //Предпоследний символ
-        var BeforeLast = this.Last(2, 1);
-        var invBeforeLast = this.inverseGKH(BeforeLast);
-
-        //Останні літера або а
-        if (this.Last(1) == 'а')
-        {
-            this.wordForms(this.workingWord, [BeforeLast + 'и', invBeforeLast + 'і', BeforeLast + 'у', BeforeLast + 'ою', invBeforeLast + 'і', BeforeLast  + 'о'], 2);
-            this.Rule(101);
-            return true;
-        }
-        //Остання літера я
-        else if (this.Last(1) == 'я')
+        if (NCLStr.substr(word, -2, 1) == 'і')
         {
-            //Перед останньою літерою стоїть я
-            if (BeforeLast == 'і')
-            {
-                this.wordForms(this.workingWord, ['ї', 'ї', 'ю', 'єю', 'ї', 'є'], 1);
-                this.Rule(102);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, [BeforeLast + 'і', invBeforeLast + 'і', BeforeLast + 'ю', BeforeLast + 'ею', invBeforeLast + 'і', BeforeLast + 'е'], 2);
-                this.Rule(103);
-                return true;
-            }
+            return NCLStr.substr(word, 0, NCLStr.strlen(word) - 2) + 'о' + NCLStr.substr(word, -1, 1);
         }
-        return false;
+        return word;
     }
 
 
-
     /**
-     * Імена, що в називному відмінку закінчуються на -р, у родовому мають закінчення -а: 
-     * Віктор - Віктора, Макар - Макара, але: Ігор - Ігоря, Лазар - Лазаря.
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено
+     * Основа іменника ІІ відміни з чергуваннями
+     * - і —» о всередині: Антін - Антона, Федір - Федора
+     * - випадання букви е: Орел - Орла
+     * @param string $word слово
+     * @return string основа для відмінювання
      */
-    manRule2 ()
+    getAlternatedOsnova (word)
     {
-        if (this.Last(1) == 'р')
+        var osnova = this.getOsnova(word);
+        //В іменах типу Антін, Нестір, Нечипір, Прокіп, Сидір, Тиміш, Федір голосний і виступає тільки в
+        //називному відмінку, у непрямих - о: Антона, Антонові
+        if (NCLStr.substr(osnova, -1, 1) != 'й' && NCLStr.substr(osnova, -2, 1) == 'і'
+            && !this.in(NCLStr.substr(NCLStr.strtolower(osnova), -4, 4), ['світ', 'цвіт'])
+            && !this.inNames(word, 'Гліб')
+            && !this.in(NCLStr.substr(word, -2, 2), ['ік', 'іч']))
         {
-            if (this.inNames(this.workingWord, ['Ігор', 'Лазар']))
-            {
-                this.wordForms(this.workingWord, ['я', 'еві', 'я', 'ем', 'еві', 'е']);
-                this.Rule(201);
-                return true;
-            }
-            else
-            {
-                var osnova = this.workingWord;
-                if (NCLStr.substr(osnova, -2, 1) == 'і')
-                {
-                    osnova = NCLStr.substr(osnova, 0, NCLStr.strlen(osnova) - 2) + 'о' + NCLStr.substr(osnova, -1, 1);
-                }
-                this.wordForms(osnova, ['а', 'ові', 'а', 'ом', 'ові', 'е']);
-                this.Rule(202);
-                return true;
-            }
+            osnova = NCLStr.substr(osnova, 0, NCLStr.strlen(osnova) - 2) + 'о' + NCLStr.substr(osnova, -1, 1);
         }
-        return false;
-    }
-
-
-
-    /**
-     * Українські чоловічі імена, що в називному відмінку однини закінчуються на приголосний та -о, 
-     * відмінюються як відповідні іменники ІІ відміни.
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено 
-     */
-    manRule3 ()
-    {
-        //Предпоследний символ
-        var BeforeLast = this.Last(2, 1);
-
-        if (this.in(this.Last(1), this.consonant + 'оь'))
-        {
-            var group = this.detect2Group(this.workingWord);
-            var osnova = this.getOsnova(this.workingWord);
-            //В іменах типу Антін, Нестір, Нечипір, Прокіп, Сидір, Тиміш, Федір голосний і виступає тільки в 
-            //називному відмінку, у непрямих - о: Антона, Антонові                           
-            //Чергування і -» о всередині
-            var osLast = NCLStr.substr(osnova, -1, 1);
-            var invOsLast = this.inverse2(osLast);
-            if (osLast != 'й' && NCLStr.substr(osnova, -2, 1) == 'і' 
-                && !this.in(NCLStr.substr(NCLStr.strtolower(osnova), -4, 4), ['світ', 'цвіт']) 
-                && !this.inNames(this.workingWord, 'Гліб') 
-                && !this.in(this.Last(2), ['ік', 'іч']))
-            {
-                osnova = NCLStr.substr(osnova, 0, NCLStr.strlen(osnova) - 2) + 'о' + NCLStr.substr(osnova, -1, 1);
-            }
 
-
-            //Випадання букви е при відмінюванні слів типу Орел
-            if (NCLStr.substr(osnova, 0, 1) == 'о' && this.FirstLastVowel(osnova, this.vowels + 'гк') == 'е' && this.Last(2) != 'сь')
-            {
-                var delim = NCLStr.strrpos(osnova, 'е');
-                osnova = NCLStr.substr(osnova, 0, delim) + NCLStr.substr(osnova, delim + 1, NCLStr.strlen(osnova) - delim);
-            }
-
-
-            if (group == 1)
-            {
-                //Тверда група
-                //Слова що закінчуються на ок
-                if (this.Last(2) == 'ок' && this.Last(3) != 'оок')
-                {
-                    this.wordForms(this.workingWord, ['ка', 'кові', 'ка', 'ком', 'кові', 'че'], 2);
-                    this.Rule(301);
-                    return true;
-                }
-                //Російські прізвища на ов, ев, єв
-                else if (this.in(this.Last(2), ['ов', 'ев', 'єв']) && !this.inNames(this.workingWord, ['Лев', 'Остромов']))
-                {
-                    this.wordForms(osnova, [osLast + 'а', osLast + 'у', osLast + 'а', osLast + 'им', osLast + 'у', invOsLast + 'е'], 1);
-                    this.Rule(302);
-                    return true;
-                }
-                //Російські прізвища на ін
-                else if (this.in(this.Last(2), ['ін']))
-                {
-                    this.wordForms(this.workingWord, ['а', 'у', 'а', 'ом', 'у', 'е']);
-                    this.Rule(303);
-                    return true;
-                }
-                else
-                {
-                    this.wordForms(osnova, [osLast + 'а', osLast + 'ові', osLast + 'а', osLast + 'ом', osLast + 'ові', invOsLast + 'е'], 1);
-                    this.Rule(304);
-                    return true;
-                }
-            }
-            if (group == 2)
-            {
-                //Мішана група
-                this.wordForms(osnova, ['а', 'еві', 'а', 'ем', 'еві', 'е']);
-                this.Rule(305);
-                return true;
-            }
-            if (group == 3)
-            {
-                //М’яка група
-                //Соловей
-                if (this.Last(2) == 'ей' && this.in(this.Last(3, 1), this.gubni))
-                {
-                    osnova = NCLStr.substr(this.workingWord, 0, NCLStr.strlen(this.workingWord) - 2) + '’';
-                    this.wordForms(osnova, ['я', 'єві', 'я', 'єм', 'єві', 'ю']);
-                    this.Rule(306);
-                    return true;
-                }
-                else if (this.Last(1) == 'й' || BeforeLast == 'і')
-                {
-                    this.wordForms(this.workingWord, ['я', 'єві', 'я', 'єм', 'єві', 'ю'], 1);
-                    this.Rule(307);
-                    return true;
-                }
-                //Швець
-                else if (this.workingWord == 'швець')
-                {
-                    this.wordForms(this.workingWord, ['евця', 'евцеві', 'евця', 'евцем', 'евцеві', 'евцю'], 4);
-                    this.Rule(308);
-                    return true;
-                }
-                //Слова що закінчуються на ець
-                else if (this.Last(3) == 'ець')
-                {
-                    this.wordForms(this.workingWord, ['ця', 'цеві', 'ця', 'цем', 'цеві', 'цю'], 3);
-                    this.Rule(309);
-                    return true;
-                }
-                //Слова що закінчуються на єць яць
-                else if (this.in(this.Last(3), ['єць', 'яць']))
-                {
-                    this.wordForms(this.workingWord, ['йця', 'йцеві', 'йця', 'йцем', 'йцеві', 'йцю'], 3);
-                    this.Rule(310);
-                    return true;
-                }
-                else
-                {
-                    this.wordForms(osnova, ['я', 'еві', 'я', 'ем', 'еві', 'ю']);
-                    this.Rule(311);
-                    return true;
-                }
-            }
-        }
-        return false;
-    }
-
-
-
-    /**
-     * Якщо слово закінчується на і, то відмінюємо як множину
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено
-     */
-    manRule4 ()
-    {
-        if (this.Last(1) == 'і')
-        {
-            this.wordForms(this.workingWord, ['их', 'им', 'их', 'ими', 'их', 'і'], 1);
-            this.Rule(4);
-            return true;
-        }
-        return false;
-    }
-
-
-
-    /**
-     * Якщо слово закінчується на ий або ой
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено 
-     */
-    manRule5 ()
-    {
-        if (this.in(this.Last(2), ['ий', 'ой']))
+        //Випадання букви е при відмінюванні слів типу Орел, тільки для слів із <var>$this->FleetingE</var>:
+        //Орест, Осинцев відмінюються без випадання
+        if (this.inNames(word, this.FleetingE))
         {
-            this.wordForms(this.workingWord, ['ого', 'ому', 'ого', 'им', 'ому', 'ий'], 2);
-            this.Rule(5);
-            return true;
+            var delim = NCLStr.strrpos(osnova, 'е');
+            osnova = NCLStr.substr(osnova, 0, delim) + NCLStr.substr(osnova, delim + 1, NCLStr.strlen(osnova) - delim);
         }
-        return false;
+        return osnova;
     }
 
 
-
     /**
-     * Українські чоловічі та жіночі імена, що в називному відмінку однини закінчуються на -а (-я), 
-     * відмінються як відповідні іменники І відміни.  
-     * - Примітка 1. Кінцеві приголосні основи г, к, х у жіночих іменах 
-     *   у давальному та місцевому відмінках однини перед закінченням -і 
-     *   змінюються на з, ц, с: Ольга - Ользі, Палажка - Палажці, Солоха - Солосі.
-     * - Примітка 2. У жіночих іменах типу Одарка, Параска в родовому відмінку множини 
-     *   в кінці основи між приголосними з'являється звук о: Одарок, Парасок 
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено 
+     * Подвоєння приголосного або апостроф перед закінченням -ю в іменах ІІІ відміни:
+     * Нінель - Нінеллю, Любов - Любов’ю
+     * @param string $osnova основа іменника
+     * @return string літера, яку треба подвоїти, та/або апостроф
      */
-    womanRule1 ()
+    doubleOrApostrof (osnova)
     {
-        //Предпоследний символ
-        var BeforeLast = this.Last(2, 1);
-        var invBeforeLast = this.inverseGKH(BeforeLast);
+        var osLast = NCLStr.substr(osnova, -1, 1);
+        var apostrof = '';
+        var duplicate = '';
 
-        //Якщо закінчується на ніга -» нога
-        if (this.Last(4) == 'ніга')
+        //Чи треба ставити апостроф
+        if (this.in(osLast, 'мвпбф') && this.in(NCLStr.substr(osnova, -2, 1), this.vowels))
         {
-            var osnova = NCLStr.substr(this.workingWord, 0, NCLStr.strlen(this.workingWord) - 3) + 'о';
-            this.wordForms(osnova, ['ги', 'зі', 'гу', 'гою', 'зі', 'го']);
-            this.Rule(101);
-            return true;
+            apostrof = '’';
         }
 
-        //Останні літера або а
-        else if (this.Last(1) == 'а')
+        //Чи треба подвоювати
+        if (this.in(osLast, 'дтзсцлн'))
         {
-            this.wordForms(this.workingWord, [BeforeLast + 'и', invBeforeLast + 'і', BeforeLast + 'у', BeforeLast + 'ою', invBeforeLast + 'і', BeforeLast + 'о'], 2);
-            this.Rule(102);
-            return true;
+            duplicate = osLast;
         }
-        //Остання літера я
-        else if (this.Last(1) == 'я')
-        {
-
-            if (this.in(BeforeLast, this.vowels) || this.isApostrof(BeforeLast))
-            {
-                this.wordForms(this.workingWord, ['ї', 'ї', 'ю', 'єю', 'ї', 'є'], 1);
-                this.Rule(103);
-                return true;
-            }
-            else
-            {
-                this.wordForms(this.workingWord, [BeforeLast + 'і', invBeforeLast + 'і', BeforeLast + 'ю', BeforeLast + 'ею', invBeforeLast + 'і', BeforeLast + 'е'], 2);
-                this.Rule(104);
-                return true;
-            }
-        }
-        return false;
+        return duplicate + apostrof;
     }
 
 
-
     /**
-     * Українські жіночі імена, що в називному відмінку однини закінчуються на приголосний, 
-     * відмінюються як відповідні іменники ІІІ відміни
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено 
+     * У давальному та місцевому відмінках поряд із закінченням -ові/-еві вживається -у/-ю:
+     * Тарасові - Тарасу, Ігореві - Ігорю (див. NCLNameCaseCore::caseVariants())
+     * @param string $form слово в нижньому регістрі
+     * @param int $caseNum номер відмінка
+     * @return array форми слова
      */
-    womanRule2 ()
+    caseVariants (form, caseNum)
     {
-        if (this.in(this.Last(1), this.consonant + 'ь'))
+        if (caseNum != NCL.UaDavalnyi && caseNum != NCL.UaMiszevyi)
         {
-            var osnova = this.getOsnova(this.workingWord);
-            var apostrof = '';
-            var duplicate = '';
-            var osLast = NCLStr.substr(osnova, -1, 1);
-            var osBeforeLast = NCLStr.substr(osnova, -2, 1);
-
-            //Чи треба ставити апостроф
-            if (this.in(osLast, 'мвпбф') && this.in(osBeforeLast, this.vowels))
-            {
-                apostrof = '’';
-            }
-
-            //Чи треба подвоювати
-            if (this.in(osLast, 'дтзсцлн'))
-            {
-                duplicate = osLast;
-            }
-
-
-            //Відмінюємо
-            if (this.Last(1) == 'ь')
-            {
-                this.wordForms(osnova, ['і', 'і', 'ь', duplicate + apostrof + 'ю', 'і', 'е']);
-                this.Rule(201);
-                return true;
-            }
-            else
-            {
-                this.wordForms(osnova, ['і', 'і', '', duplicate + apostrof + 'ю', 'і', 'е']);
-                this.Rule(202);
-                return true;
-            }
+            return [form];
         }
-        return false;
-    }
-
-
-
-    /**
-     * Якщо слово на ськ або це російське прізвище
-     * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено 
-     */
-    womanRule3 ()
-    {
-        //Предпоследний символ
-        var BeforeLast = this.Last(2, 1);
-
-        //Донская
-        if (this.Last(2) == 'ая')
+        if (NCLStr.substr(form, -3, 3) == 'ові')
         {
-            this.wordForms(this.workingWord, ['ої', 'ій', 'ую', 'ою', 'ій', 'ая'], 2);
-            this.Rule(301);
-            return true;
+            return [form, NCLStr.substr(form, 0, NCLStr.strlen(form) - 3) + 'у'];
         }
-
-        //Ті що на ськ
-        if (this.Last(1) == 'а' && (this.in(this.Last(2, 1), 'чнв') || this.in(this.Last(3, 2), ['ьк'])))
+        if (this.in(NCLStr.substr(form, -3, 3), ['еві', 'єві']))
         {
-            this.wordForms(this.workingWord, [BeforeLast + 'ої', BeforeLast + 'ій', BeforeLast + 'у', BeforeLast + 'ою', BeforeLast + 'ій', BeforeLast + 'о'], 2);
-            this.Rule(302);
-            return true;
+            return [form, NCLStr.substr(form, 0, NCLStr.strlen(form) - 3) + 'ю'];
         }
-
-        return false;
+        return [form];
     }
 
 
-
     /**
      * Функція намагається застосувати ланцюг правил для чоловічих імен
      * @return boolean true - якщо було задіяно правило з переліку, false - якщо правило не знайдено
@@ -2,10 +2,14 @@
 
 import NCLNameCaseUa from './NCLNameCaseUa.js';
 import NCLNameCaseRu from './NCLNameCaseRu.js';
+import NCLNameCaseBy from './NCLNameCaseBy.js';
+import NCLNameCaseAuto from './NCLNameCaseAuto.js';
 import NCL from './NCL/NCL.js';
 NCL.setConcreteClasses({
     ru: NCLNameCaseRu,
     ua: NCLNameCaseUa,
+    by: NCLNameCaseBy,
+    auto: NCLNameCaseAuto,
 });
 
-export {NCLNameCaseUa, NCLNameCaseRu, NCL};
+export {NCLNameCaseUa, NCLNameCaseRu, NCLNameCaseBy, NCLNameCaseAuto, NCL};
@@ -0,0 +1,79 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * <b>Беларускія правілы скланення ПІБ</b>
+ *
+ * Фармат правілаў апісаны ў NCLRulesRu. Канчаткі падаюцца для родны, давальны, вінавальны,
+ * творны, месны і клічны склонаў. Падстаноўкі ў канчатках:
+ * - {2} - другая з канца літара слова
+ * - {2|dativeEnding} - канчатак давальнага склону разам з чаргаваннем гэтай літары (Вольга - Вользе)
+ *
+ * @package NameCaseLib
+ */
+export default {
+    man: {
+        1: {
+            description: 'Мужчынскія імёны і прозвішчы на зычны, -ь, -й, -ў, -о скланяюцца як назоўнікі ІІ скланення. Асабовыя назоўнікі ў месным склоне маюць канчатак -у (-ю)',
+            when: {last: 1, in: '{consonant}ьо'},
+            variants: [
+                {id: 101, description: 'Імя Павел з беглым е: Паўла, Паўлу, Паўлам', when: {names: ['Павел']}, forms: ['Павел', 'Паўла', 'Паўлу', 'Паўла', 'Паўлам', 'Паўлу', 'Паўле']},
+                {id: 102, description: 'Слова на -ь, -й: я, ю, я, ем, ю, ю (Алесь, Андрэй, Коваль)', when: {last: 1, in: 'ьй'}, endings: ['я', 'ю', 'я', 'ем', 'ю', 'ю'], replaceLast: 1},
+                {id: 103, description: 'Слова на -ў: ва, ву, ва, вам, ву, ве (Яраслаў)', when: {last: 1, eq: 'ў'}, endings: ['ва', 'ву', 'ва', 'вам', 'ву', 'ве'], replaceLast: 1},
+                {id: 104, description: 'Слова на -о: а, у, а, ом, у, о (Пятро)', when: {last: 1, eq: 'о'}, endings: ['а', 'у', 'а', 'ом', 'у', 'о'], replaceLast: 1},
+                {id: 105, description: 'Слова на -ук, -юк з націскным канчаткам: а, у, а, ом, у, у (Кандратюк)', when: {last: 2, in: ['ук', 'юк']}, endings: ['а', 'у', 'а', 'ом', 'у', 'у']},
+                {id: 106, description: 'Слова на -вец з беглым е: ўца, ўцу, ўца, ўцом, ўцу, ўча (Кравец)', when: {last: 3, eq: 'вец'}, endings: ['ўца', 'ўцу', 'ўца', 'ўцом', 'ўцу', 'ўча'], replaceLast: 3},
+                {id: 107, description: 'Слова на -ец з беглым е: ца, цу, ца, цом, цу, ча', when: {last: 2, eq: 'ец'}, endings: ['ца', 'цу', 'ца', 'цом', 'цу', 'ча'], replaceLast: 2},
+                {id: 108, description: 'Слова на г, к, х і зацвярдзелы зычны: а, у, а, ам, у, у (Алег, Аляксандр, Манкевіч)', when: {last: 1, in: 'гкх{hardened}'}, endings: ['а', 'у', 'а', 'ам', 'у', 'у']},
+                {id: 109, description: 'Слова на -т: та, ту, та, там, ту, це (Марат)', when: {last: 1, eq: 'т'}, endings: ['та', 'ту', 'та', 'там', 'ту', 'це'], replaceLast: 1},
+                {id: 110, description: 'Слова на -д: да, ду, да, дам, ду, дзе (Леанід)', when: {last: 1, eq: 'д'}, endings: ['да', 'ду', 'да', 'дам', 'ду', 'дзе'], replaceLast: 1},
+                {id: 111, description: 'Слова на цвёрды зычны: а, у, а, ам, у, е (Іван)', endings: ['а', 'у', 'а', 'ам', 'у', 'е']},
+            ],
+        },
+        2: {
+            description: 'Мужчынскія імёны і прозвішчы на -а, -я скланяюцца як назоўнікі І скланення, у давальным і месным склонах маюць -у (-ю)',
+            variants: [
+                {id: 201, description: 'Слова на -я: і, ю, ю, ем, ю, я (Ілля)', when: {last: 1, eq: 'я'}, endings: ['і', 'ю', 'ю', 'ем', 'ю', 'я'], replaceLast: 1},
+                {id: 202, description: 'Слова на -га, -ка, -ха: і, у, у, ам, у, а (Янка, Лукашэнка)', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: 'гкх'}], endings: ['і', 'у', 'у', 'ам', 'у', 'а'], replaceLast: 1},
+                {id: 203, description: 'Слова на -а: ы, у, у, ам, у, а (Мікіта, Купала)', when: {last: 1, eq: 'а'}, endings: ['ы', 'у', 'у', 'ам', 'у', 'а'], replaceLast: 1},
+            ],
+        },
+        3: {
+            description: 'Мужчынскія прозвішчы прыметнікавага тыпу',
+            variants: [
+                {id: 301, description: 'Прозвішча на -скі, -цкі, -гі, -хі: ага, аму, ага, ім, ім, і (Дастаеўскі)', when: {last: 2, in: ['кі', 'гі', 'хі']}, endings: ['ага', 'аму', 'ага', 'ім', 'ім', 'і'], replaceLast: 1},
+                {id: 302, description: 'Прозвішча на -ы: ага, аму, ага, ым, ым, ы (Чорны)', when: {last: 1, eq: 'ы'}, endings: ['ага', 'аму', 'ага', 'ым', 'ым', 'ы'], replaceLast: 1},
+                {id: 303, description: 'Прозвішча на -ой: ога, ому, ога, ым, ым, ой (Талстой)', when: {last: 2, eq: 'ой'}, endings: ['ога', 'ому', 'ога', 'ым', 'ым', 'ой'], replaceLast: 2},
+                {id: 304, description: 'Прозвішча на -оў, -ёў, -еў: ва, ву, ва, вым, ве, ў (Іваноў)', when: {last: 2, in: ['оў', 'ёў', 'еў']}, endings: ['ва', 'ву', 'ва', 'вым', 'ве', 'ў'], replaceLast: 1},
+                {id: 305, description: 'Прозвішча на -ін, -ын: а, у, а, ым, е, - (Пушкін)', when: {last: 2, in: ['ін', 'ын']}, endings: ['а', 'у', 'а', 'ым', 'е', '']},
+            ],
+        },
+    },
+    woman: {
+        1: {
+            description: 'Жаночыя імёны і прозвішчы на -а, -я скланяюцца як назоўнікі І скланення',
+            variants: [
+                {id: 101, description: 'Слова на -я: і, і, ю, яй, і, я (Марыя, Наталля)', when: {last: 1, eq: 'я'}, endings: ['і', 'і', 'ю', 'яй', 'і', 'я'], replaceLast: 1},
+                {id: 102, description: 'Слова на -га, -ка, -ха: і, зе/цы/се, у, ай, зе/цы/се, а (Вольга, Вераніка)', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: 'гкх'}], endings: ['{2}і', '{2|dativeEnding}', '{2}у', '{2}ай', '{2|dativeEnding}', '{2}а'], replaceLast: 2},
+                {id: 103, description: 'Слова на зацвярдзелы зычны і -а: ы, ы, у, ай, ы, а (Тамара, Наташа)', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: '{hardened}'}], endings: ['ы', 'ы', 'у', 'ай', 'ы', 'а'], replaceLast: 1},
+                {id: 104, description: 'Слова на -а: ы, е, у, ай, е, а з чаргаваннем т - ц, д - дз (Ганна, Марта)', when: {last: 1, eq: 'а'}, endings: ['{2}ы', '{2|dativeEnding}', '{2}у', '{2}ай', '{2|dativeEnding}', '{2}а'], replaceLast: 2},
+            ],
+        },
+        2: {
+            description: 'Жаночыя імёны на зычны скланяюцца як назоўнікі ІІІ скланення',
+            variants: [
+                {id: 201, description: 'Імя на -ў: ві, ві, ў, ўю, ві, ў (Любоў)', when: {last: 1, eq: 'ў'}, endings: ['ві', 'ві', 'ў', 'ўю', 'ві', 'ў'], replaceLast: 1},
+                {id: 202, description: 'Імя на -ль, -нь: і, і, ь, ю з падваеннем, і, ь (Нінэль)', when: [{last: 1, eq: 'ь'}, {last: [2, 1], in: 'лнзсц'}], endings: ['і', 'і', 'ь', '{2}ю', 'і', 'ь'], replaceLast: 1},
+            ],
+        },
+        3: {
+            description: 'Жаночыя прозвішчы прыметнікавага тыпу',
+            variants: [
+                {id: 301, description: 'Прозвішча на -ая: ай, ай, ую, ай, ай, ая (Дастаеўская)', when: {last: 2, eq: 'ая'}, endings: ['ай', 'ай', 'ую', 'ай', 'ай', 'ая'], replaceLast: 2},
+                {id: 302, description: 'Прозвішча на -ова, -ёва, -ева, -іна, -ына: ай, ай, у, ай, ай, а (Іванова)', when: {last: 3, in: ['ова', 'ёва', 'ева', 'іна', 'ына']}, endings: ['ай', 'ай', 'у', 'ай', 'ай', 'а'], replaceLast: 1},
+            ],
+        },
+    },
+};
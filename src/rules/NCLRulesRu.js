@@ -0,0 +1,145 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * <b>Русские правила склонения ФИО</b>
+ *
+ * Правила описаны данными и выполняются интерпретатором NCLNameCaseCore::applyRuleTable().
+ * Ключ правила - его номер в цепочке RulesChain() (manRule1 - это man => 1).
+ * Правило содержит общее условие <b>when</b> и список вариантов <b>variants</b>,
+ * срабатывает первый вариант, условие которого выполнено.
+ *
+ * <b>Условия:</b>
+ * - {last: 2, eq: 'ов'} - последние буквы слова (Last(2)), [3, 1] - Last(3, 1)
+ * - {call: 'detect2Group', eq: 1} - результат метода, которому передается слово или Last(...)
+ * - eq, notEq, in, notIn - сравнение, in/notIn работают как NCLNameCaseCore::in()
+ * - {names: [...]} - слово входит в перечень имен, {word: '...'} - слово совпадает точно
+ * - массив условий или {all: [...]} - все условия, {any: [...]} - любое, {not: {...}} - отрицание
+ * - '{consonant}ь' - подстановка свойства языка (this.consonant)
+ *
+ * <b>Варианты:</b>
+ * - id, description - номер правила для Rule() и описание
+ * - endings, replaceLast, stem - аргументы wordForms(), stem - метод, который вычисляет основу
+ * - forms - все падежи целиком, same - слово не склоняется, decline: false - правило не применяется
+ *
+ * @author Андрей Чайка <bymer3@gmail.com>
+ * @version 0.4.1
+ * @package NameCaseLib
+ */
+export default {
+    man: {
+        1: {
+            description: 'Мужские имена, оканчивающиеся на любой ь и -й, склоняются так же, как обычные существительные мужского рода',
+            when: {last: 1, in: 'ьй'},
+            variants: [
+                {id: 101, description: 'Имя-исключение на -ь, -й, не склоняется (Дель)', when: {names: ['Дель']}, same: true},
+                {id: 102, description: 'Имя на -ь, -й: я, ю, я, ем, е (Игорь, Андрей)', when: {last: [2, 1], notEq: 'и'}, endings: ['я', 'ю', 'я', 'ем', 'е'], replaceLast: 1},
+                {id: 103, description: 'Имя на -ий: я, ю, я, ем, и (Василий)', endings: ['я', 'ю', 'я', 'ем', 'и'], replaceLast: 1},
+            ],
+        },
+        2: {
+            description: 'Мужские имена, оканчивающиеся на любой твердый согласный, склоняются так же, как обычные существительные мужского рода',
+            when: {last: 1, in: '{consonant}'},
+            variants: [
+                {id: 201, description: 'Имя Павел с беглой е: Павла, Павлу, Павлом', when: {names: ['Павел']}, forms: ['Павел', 'Павла', 'Павлу', 'Павла', 'Павлом', 'Павле']},
+                {id: 202, description: 'Имя Лев с беглой е: Льва, Льву, Львом', when: {names: ['Лев']}, forms: ['Лев', 'Льва', 'Льву', 'Льва', 'Львом', 'Льве']},
+                {id: 203, description: 'Частица ван не склоняется', when: {names: ['ван']}, same: true},
+                {id: 204, description: 'Имя на твердый согласный: а, у, а, ом, е (Иван)', endings: ['а', 'у', 'а', 'ом', 'е']},
+            ],
+        },
+        3: {
+            description: 'Мужские и женские имена, оканчивающиеся на -а, -я, склоняются, как и любые существительные с таким же окончанием',
+            variants: [
+                {id: 301, description: 'Имя-исключение на -а, не склоняется (Дега, Андреа)', when: [{last: 1, eq: 'а'}, {names: ['фра', 'Дега', 'Андреа', 'Сера']}], same: true},
+                {id: 302, description: 'Имя на -а: ы, е, у, ой, е (Никита)', when: [{last: 1, eq: 'а'}, {last: [2, 1], notIn: 'кшгх'}], endings: ['ы', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 303, description: 'Имя на -а после к, ш, г, х: и, е, у, ой, е (Лука)', when: {last: 1, eq: 'а'}, endings: ['и', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 303, description: 'Имя на -я: и, е, ю, ей, е (Илья)', when: {last: 1, eq: 'я'}, endings: ['и', 'е', 'ю', 'ей', 'е'], replaceLast: 1},
+            ],
+        },
+        4: {
+            description: 'Мужские фамилии, оканчивающиеся на -ь -й, склоняются так же, как обычные существительные мужского рода',
+            when: {last: 1, in: 'ьй'},
+            variants: [
+                {id: 400, description: 'Фамилия на -бей: ья, ью, ья, ьем, ье (Воробей)', when: {last: 3, eq: 'бей'}, endings: ['ья', 'ью', 'ья', 'ьем', 'ье'], replaceLast: 2},
+                {id: 401, description: 'Фамилия на -ай, -ей, -ль: я, ю, я, ем, е (Гайдай, Гоголь)', when: {any: [{last: [3, 1], eq: 'а'}, {last: [2, 1], in: 'ел'}]}, endings: ['я', 'ю', 'я', 'ем', 'е'], replaceLast: 1},
+                {id: 402, description: 'Фамилия на -ый, -той: ого, ому, ого, ым, ом (Толстой)', when: {any: [{last: [2, 1], eq: 'ы'}, {last: [3, 1], eq: 'т'}]}, endings: ['ого', 'ому', 'ого', 'ым', 'ом'], replaceLast: 2},
+                {id: 403, description: 'Фамилия на -чий: ьего, ьему, ьего, ьим, ьем (Лесничий)', when: {last: 3, eq: 'чий'}, endings: ['ьего', 'ьему', 'ьего', 'ьим', 'ьем'], replaceLast: 2},
+                {id: 404, description: 'Фамилия на -ий, -ой: ого, ому, ого, им, ом (Горький)', when: {any: [{last: [2, 1], notIn: '{vowels}'}, {last: [2, 1], eq: 'и'}]}, endings: ['ого', 'ому', 'ого', 'им', 'ом'], replaceLast: 2},
+                {id: 405, description: 'Фамилия на гласный и -й, -ь, не склоняется', same: true},
+            ],
+        },
+        5: {
+            description: 'Мужские фамилии, оканчивающиеся на -к',
+            when: {last: 1, eq: 'к'},
+            variants: [
+                {id: 501, description: 'Фамилия на -енок с беглой о: ка, ку, ка, ком, ке', when: {last: 4, eq: 'енок'}, endings: ['ка', 'ку', 'ка', 'ком', 'ке'], replaceLast: 2},
+                {id: 502, description: 'Фамилия на -ек с беглой е: ька, ьку, ька, ьком, ьке', when: [{last: [2, 1], eq: 'е'}, {last: [3, 1], notIn: ['р']}], endings: ['ька', 'ьку', 'ька', 'ьком', 'ьке'], replaceLast: 2},
+                {id: 503, description: 'Фамилия на -к: а, у, а, ом, е', endings: ['а', 'у', 'а', 'ом', 'е']},
+            ],
+        },
+        6: {
+            description: 'Мужские фамили на согласный выбираем ем/ом/ым',
+            variants: [
+                {id: 601, description: 'Фамилия на -ч: а, у, а, ем, е', when: {last: 1, eq: 'ч'}, endings: ['а', 'у', 'а', 'ем', 'е']},
+                {id: 604, description: 'Фамилия на -ец с беглой е: ца, цу, ца, цом, це', when: {last: 2, eq: 'ец'}, endings: ['ца', 'цу', 'ца', 'цом', 'це'], replaceLast: 2},
+                {id: 602, description: 'Фамилия на -ц, -с, -р, -ш, -м, -х, -т: а, у, а, ом, е', when: {last: 1, in: 'цсршмхт'}, endings: ['а', 'у', 'а', 'ом', 'е']},
+                {id: 603, description: 'Фамилия на согласный: а, у, а, ым, е (Иванов)', when: {last: 1, in: '{consonant}'}, endings: ['а', 'у', 'а', 'ым', 'е']},
+            ],
+        },
+        7: {
+            description: 'Мужские фамили на -а -я',
+            variants: [
+                {id: 701, description: 'Частица да не склоняется', when: [{last: 1, eq: 'а'}, {names: ['да']}], same: true},
+                {id: 702, description: 'Фамилия на -ша: и, е, у, ей, е', when: [{last: 1, eq: 'а'}, {last: [2, 1], eq: 'ш'}], endings: ['и', 'е', 'у', 'ей', 'е'], replaceLast: 1},
+                {id: 703, description: 'Фамилия на -ха, -ка, -га: и, е, у, ой, е', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: 'хкг'}], endings: ['и', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 704, description: 'Фамилия на -а: ы, е, у, ой, е', when: {last: 1, eq: 'а'}, endings: ['ы', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 705, description: 'Фамилия на -я: ой, ой, ую, ой, ой', when: {last: 1, eq: 'я'}, endings: ['ой', 'ой', 'ую', 'ой', 'ой'], replaceLast: 2},
+            ],
+        },
+        8: {
+            description: 'Не склоняются мужский фамилии',
+            when: {any: [{last: 3, in: '{ovo}'}, {last: 2, in: '{ih}'}]},
+            variants: [
+                {when: {names: ['рерих']}, decline: false},
+                {id: 8, description: 'Несклоняемая фамилия на -ово, -аго, -яго, -ирь, -их, -ых, -ко, -уа', same: true},
+            ],
+        },
+    },
+    woman: {
+        1: {
+            description: 'Мужские и женские имена, оканчивающиеся на -а, склоняются, как и любые существительные с таким же окончанием',
+            when: [{last: 1, eq: 'а'}, {last: [2, 1], notEq: 'и'}],
+            variants: [
+                {id: 101, description: 'Имя на -а: ы, е, у, ой, е (Анна)', when: {last: [2, 1], notIn: 'шхкг'}, endings: ['ы', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 102, description: 'Имя на -ша: и, е, у, ей, е (Маша)', when: {last: [2, 1], eq: 'ш'}, endings: ['и', 'е', 'у', 'ей', 'е'], replaceLast: 1},
+                {id: 103, description: 'Имя на -ха, -ка, -га: и, е, у, ой, е (Ольга)', endings: ['и', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+            ],
+        },
+        2: {
+            description: 'Мужские и женские имена, оканчивающиеся иа -я, -ья, -ия, -ея, независимо от языка, из которого они происходят, склоняются как существительные с соответствующими окончаниями',
+            when: {last: 1, eq: 'я'},
+            variants: [
+                {id: 201, description: 'Имя на -я: и, е, ю, ей, е (Таня)', when: {last: [2, 1], notEq: 'и'}, endings: ['и', 'е', 'ю', 'ей', 'е'], replaceLast: 1},
+                {id: 202, description: 'Имя на -ия: и, и, ю, ей, и (Мария)', endings: ['и', 'и', 'ю', 'ей', 'и'], replaceLast: 1},
+            ],
+        },
+        3: {
+            description: 'Русские женские имена, оканчивающиеся на мягкий согласный, склоняются, как существительные женского рода типа дочь, тень',
+            when: {last: 1, eq: 'ь'},
+            variants: [
+                {id: 3, description: 'Имя на мягкий знак: и, и, ь, ью, и (Любовь)', endings: ['и', 'и', 'ь', 'ью', 'и'], replaceLast: 1},
+            ],
+        },
+        4: {
+            description: 'Женские фамилия, оканчивающиеся на -а -я, склоняются, как и любые существительные с таким же окончанием',
+            variants: [
+                {id: 401, description: 'Фамилия на -га, -ка: и, е, у, ой, е', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: 'гк'}], endings: ['и', 'е', 'у', 'ой', 'е'], replaceLast: 1},
+                {id: 402, description: 'Фамилия на -ша: и, е, у, ей, е', when: [{last: 1, eq: 'а'}, {last: [2, 1], in: 'ш'}], endings: ['и', 'е', 'у', 'ей', 'е'], replaceLast: 1},
+                {id: 403, description: 'Фамилия на -а: ой, ой, у, ой, ой (Иванова)', when: {last: 1, eq: 'а'}, endings: ['ой', 'ой', 'у', 'ой', 'ой'], replaceLast: 1},
+                {id: 404, description: 'Фамилия на -ая, -яя: ой, ой, ую, ой, ой (Толстая)', when: {last: 1, eq: 'я'}, endings: ['ой', 'ой', 'ую', 'ой', 'ой'], replaceLast: 2},
+            ],
+        },
+    },
+};
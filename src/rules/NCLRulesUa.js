@@ -0,0 +1,94 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * <b>Українські правила відмінювання ПІБ</b>
+ *
+ * Формат правил описано в NCLRulesRu. У закінченнях можна використовувати підстановки:
+ * - {2} - друга з кінця літера основи (до відрізання replaceLast літер)
+ * - {2|inverseGKH} - та сама літера після чергування методом inverseGKH()
+ * - {doubleOrApostrof} - результат методу, якому передається основа
+ *
+ * @author Андрей Чайка <bymer3@gmail.com>
+ * @version 0.4.1
+ * @package NameCaseLib
+ */
+export default {
+    man: {
+        1: {
+            description: 'Українські чоловічі та жіночі імена, що в називному відмінку однини закінчуються на -а (-я), відмінються як відповідні іменники І відміни',
+            variants: [
+                {id: 101, description: 'Ім’я на -а, І відміна: и, і, у, ою, і, о (Микола)', when: {last: 1, eq: 'а'}, endings: ['{2}и', '{2|inverseGKH}і', '{2}у', '{2}ою', '{2|inverseGKH}і', '{2}о'], replaceLast: 2},
+                {id: 102, description: 'Ім’я на -ія, І відміна: ї, ї, ю, єю, ї, є (Ілія)', when: [{last: 1, eq: 'я'}, {last: [2, 1], eq: 'і'}], endings: ['ї', 'ї', 'ю', 'єю', 'ї', 'є'], replaceLast: 1},
+                {id: 103, description: 'Ім’я на -я, І відміна: і, і, ю, ею, і, е (Ілля)', when: {last: 1, eq: 'я'}, endings: ['{2}і', '{2|inverseGKH}і', '{2}ю', '{2}ею', '{2|inverseGKH}і', '{2}е'], replaceLast: 2},
+            ],
+        },
+        2: {
+            description: 'Імена, що в називному відмінку закінчуються на -р, у родовому мають закінчення -а: Віктор - Віктора, Макар - Макара, але: Ігор - Ігоря, Лазар - Лазаря',
+            when: {last: 1, eq: 'р'},
+            variants: [
+                {id: 201, description: 'Ігор, Лазар: я, еві, я, ем, еві, е', when: {names: ['Ігор', 'Лазар']}, endings: ['я', 'еві', 'я', 'ем', 'еві', 'е']},
+                {id: 202, description: 'Ім’я на -р: а, ові, а, ом, ові, е (Віктор, Федір)', stem: 'alternateIO', endings: ['а', 'ові', 'а', 'ом', 'ові', 'е']},
+            ],
+        },
+        3: {
+            description: 'Українські чоловічі імена, що в називному відмінку однини закінчуються на приголосний та -о, відмінюються як відповідні іменники ІІ відміни',
+            when: {last: 1, in: '{consonant}оь'},
+            variants: [
+                {id: 301, description: 'Слово на -ок: ка, кові, ка, ком, кові, че', when: [{call: 'detect2Group', eq: 1}, {last: 2, eq: 'ок'}, {last: 3, notEq: 'оок'}], endings: ['ка', 'кові', 'ка', 'ком', 'кові', 'че'], replaceLast: 2},
+                {id: 302, description: 'Російське прізвище на -ов, -ев, -єв: а, у, а, им, у, е (Іванов)', when: [{call: 'detect2Group', eq: 1}, {last: 2, in: ['ов', 'ев', 'єв']}, {not: {names: ['Лев', 'Остромов']}}], stem: 'getAlternatedOsnova', endings: ['{1}а', '{1}у', '{1}а', '{1}им', '{1}у', '{1|inverse2}е'], replaceLast: 1},
+                {id: 303, description: 'Російське прізвище на -ін: а, у, а, ом, у, е', when: [{call: 'detect2Group', eq: 1}, {last: 2, in: ['ін']}], endings: ['а', 'у', 'а', 'ом', 'у', 'е']},
+                {id: 304, description: 'Тверда група ІІ відміни: а, ові, а, ом, ові, е (Тарас, Шевченко)', when: {call: 'detect2Group', eq: 1}, stem: 'getAlternatedOsnova', endings: ['{1}а', '{1}ові', '{1}а', '{1}ом', '{1}ові', '{1|inverse2}е'], replaceLast: 1},
+                {id: 305, description: 'Мішана група ІІ відміни: а, еві, а, ем, еві, е (Гуляш)', when: {call: 'detect2Group', eq: 2}, stem: 'getAlternatedOsnova', endings: ['а', 'еві', 'а', 'ем', 'еві', 'е']},
+                {id: 306, description: 'М’яка група на -ей після губного: ’я, ’єві, ’я, ’єм, ’єві, ’ю (Соловей)', when: [{call: 'detect2Group', eq: 3}, {last: 2, eq: 'ей'}, {last: [3, 1], in: '{gubni}'}], endings: ['’я', '’єві', '’я', '’єм', '’єві', '’ю'], replaceLast: 2},
+                {id: 307, description: 'М’яка група на -й: я, єві, я, єм, єві, ю (Андрій)', when: [{call: 'detect2Group', eq: 3}, {any: [{last: 1, eq: 'й'}, {last: [2, 1], eq: 'і'}]}], endings: ['я', 'єві', 'я', 'єм', 'єві', 'ю'], replaceLast: 1},
+                {id: 308, description: 'Швець: Шевця, Шевцеві, Шевцем', when: [{call: 'detect2Group', eq: 3}, {word: 'швець'}], endings: ['евця', 'евцеві', 'евця', 'евцем', 'евцеві', 'евцю'], replaceLast: 4},
+                {id: 309, description: 'Слово на -ець: ця, цеві, ця, цем, цеві, цю (Кравець)', when: [{call: 'detect2Group', eq: 3}, {last: 3, eq: 'ець'}], endings: ['ця', 'цеві', 'ця', 'цем', 'цеві', 'цю'], replaceLast: 3},
+                {id: 310, description: 'Слово на -єць, -яць: йця, йцеві, йця, йцем, йцеві, йцю (Заяць)', when: [{call: 'detect2Group', eq: 3}, {last: 3, in: ['єць', 'яць']}], endings: ['йця', 'йцеві', 'йця', 'йцем', 'йцеві', 'йцю'], replaceLast: 3},
+                {id: 311, description: 'М’яка група ІІ відміни: я, еві, я, ем, еві, ю (Коваль)', when: {call: 'detect2Group', eq: 3}, stem: 'getAlternatedOsnova', endings: ['я', 'еві', 'я', 'ем', 'еві', 'ю']},
+            ],
+        },
+        4: {
+            description: 'Якщо слово закінчується на і, то відмінюємо як множину',
+            when: {last: 1, eq: 'і'},
+            variants: [
+                {id: 4, description: 'Прізвище на -і відмінюється як множина: их, им, их, ими, их, і', endings: ['их', 'им', 'их', 'ими', 'их', 'і'], replaceLast: 1},
+            ],
+        },
+        5: {
+            description: 'Якщо слово закінчується на ий або ой',
+            when: {last: 2, in: ['ий', 'ой']},
+            variants: [
+                {id: 5, description: 'Прізвище на -ий, -ой: ого, ому, ого, им, ому, ий (Заболотний)', endings: ['ого', 'ому', 'ого', 'им', 'ому', 'ий'], replaceLast: 2},
+            ],
+        },
+    },
+    woman: {
+        1: {
+            description: 'Українські чоловічі та жіночі імена, що в називному відмінку однини закінчуються на -а (-я), відмінються як відповідні іменники І відміни',
+            variants: [
+                {id: 101, description: 'Ім’я на -ніга: ноги, нозі, ногу, ногою, нозі, ного', when: {last: 4, eq: 'ніга'}, endings: ['оги', 'озі', 'огу', 'огою', 'озі', 'ого'], replaceLast: 3},
+                {id: 102, description: 'Ім’я на -а, І відміна: и, і, у, ою, і, о (Ольга)', when: {last: 1, eq: 'а'}, endings: ['{2}и', '{2|inverseGKH}і', '{2}у', '{2}ою', '{2|inverseGKH}і', '{2}о'], replaceLast: 2},
+                {id: 103, description: 'Ім’я на -я після голосного, м’якого знака чи апострофа: ї, ї, ю, єю, ї, є (Марія)', when: [{last: 1, eq: 'я'}, {any: [{last: [2, 1], in: '{vowels}'}, {last: [2, 1], eq: 'ь'}, {call: 'isApostrof', last: [2, 1], eq: true}]}], endings: ['ї', 'ї', 'ю', 'єю', 'ї', 'є'], replaceLast: 1},
+                {id: 104, description: 'Ім’я на -я після приголосного: і, і, ю, ею, і, е (Оля)', when: {last: 1, eq: 'я'}, endings: ['{2}і', '{2|inverseGKH}і', '{2}ю', '{2}ею', '{2|inverseGKH}і', '{2}е'], replaceLast: 2},
+            ],
+        },
+        2: {
+            description: 'Українські жіночі імена, що в називному відмінку однини закінчуються на приголосний, відмінюються як відповідні іменники ІІІ відміни',
+            when: {last: 1, in: '{consonant}ь'},
+            variants: [
+                {id: 201, description: 'Ім’я на -ь, ІІІ відміна: і, і, ь, ю, і, е (Нінель)', when: {last: 1, eq: 'ь'}, stem: 'getOsnova', endings: ['і', 'і', 'ь', '{doubleOrApostrof}ю', 'і', 'е']},
+                {id: 202, description: 'Ім’я на приголосний, ІІІ відміна: і, і, -, ю, і, е (Любов)', stem: 'getOsnova', endings: ['і', 'і', '', '{doubleOrApostrof}ю', 'і', 'е']},
+            ],
+        },
+        3: {
+            description: 'Якщо слово на ськ або це російське прізвище',
+            variants: [
+                {id: 301, description: 'Прізвище на -ая: ої, ій, ую, ою, ій, ая (Донская)', when: {last: 2, eq: 'ая'}, endings: ['ої', 'ій', 'ую', 'ою', 'ій', 'ая'], replaceLast: 2},
+                {id: 302, description: 'Прізвище на -ська, -цька, -на, -ва: ої, ій, у, ою, ій, о (Ковальська)', when: [{last: 1, eq: 'а'}, {any: [{last: [2, 1], in: 'чнв'}, {last: [3, 2], in: ['ьк']}]}], endings: ['{2}ої', '{2}ій', '{2}у', '{2}ою', '{2}ій', '{2}о'], replaceLast: 2},
+            ],
+        },
+    },
+};
@@ -0,0 +1,58 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * <b>Схемы транслитерации русских ФИО</b>
+ *
+ * Формат схемы (используется в NCLTranslit):
+ * - description - описание схемы
+ * - letters - латинская запись каждой буквы; буква, которой нет в таблице, переписывается как есть
+ * - initial - запись буквы в начале слова (и после гласных, ъ и ь, если initialAfterVowel)
+ * - initialAfterVowel - true, если запись из initial используется и после гласных
+ * - pairs - запись сочетаний букв, которая отличается от записи букв по отдельности
+ * - input - чтение латинских сочетаний, которое нельзя получить из таблиц выше:
+ *   [после гласной или в начале слова, после согласной]
+ *
+ * @package NameCaseLib
+ */
+export default {
+    bgn: {
+        description: 'BGN/PCGN без диакритики и апострофов (Ivanov, Sergeyevich, Yelena)',
+        letters: {
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'y',
+            'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f',
+            'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+        },
+        initial: {'е': 'ye', 'ё': 'yo'},
+        initialAfterVowel: true,
+        pairs: {},
+        input: {
+            'y': ['й', 'ы'],
+            'e': ['э', 'е'],
+            'ye': ['е', 'ье'],
+            'yo': ['ё', 'ё'],
+            'x': ['кс', 'кс'],
+            'w': ['в', 'в'],
+        },
+    },
+    icao: {
+        description: 'ICAO Doc 9303, 7-е издание: загранпаспорта РФ с 2014 года (Dmitrii, Iuliia, Semen)',
+        letters: {
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'i',
+            'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f',
+            'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': 'ie', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'iu', 'я': 'ia',
+        },
+        initial: {},
+        initialAfterVowel: false,
+        pairs: {},
+        input: {
+            'ie': ['ие', 'ие'],
+            'ii': ['ий', 'ий'],
+            'iia': ['ия', 'ия'],
+            'x': ['кс', 'кс'],
+            'w': ['в', 'в'],
+        },
+    },
+};
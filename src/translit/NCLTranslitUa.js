@@ -0,0 +1,48 @@
+/**
+ * @license Dual licensed under the MIT or GPL Version 2 licenses.
+ * @package NameCaseLib
+ */
+
+/**
+ * <b>Схеми транслітерації українських ПІБ</b>
+ *
+ * Формат схем описано в NCLTranslitRu.
+ *
+ * @package NameCaseLib
+ */
+export default {
+    bgn: {
+        description: 'BGN/PCGN без діакритики (Shevchenko, Hryhorovych, Yuriy)',
+        letters: {
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'h', 'ґ': 'g', 'д': 'd', 'е': 'e', 'є': 'ye', 'ж': 'zh', 'з': 'z', 'и': 'y',
+            'і': 'i', 'ї': 'yi', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's',
+            'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ь': '', 'ю': 'yu', 'я': 'ya',
+        },
+        initial: {},
+        initialAfterVowel: false,
+        pairs: {},
+        input: {
+            'y': ['й', 'и'],
+            'x': ['кс', 'кс'],
+            'w': ['в', 'в'],
+        },
+    },
+    kmu2010: {
+        description: 'Постанова КМУ № 55 від 27.01.2010: паспорти та офіційні документи (Zghurskyi, Yizhakevych, Andrii)',
+        letters: {
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'h', 'ґ': 'g', 'д': 'd', 'е': 'e', 'є': 'ie', 'ж': 'zh', 'з': 'z', 'и': 'y',
+            'і': 'i', 'ї': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's',
+            'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ь': '', 'ю': 'iu', 'я': 'ia',
+            "'": '',
+        },
+        initial: {'є': 'ye', 'ї': 'yi', 'й': 'y', 'ю': 'yu', 'я': 'ya'},
+        initialAfterVowel: false,
+        pairs: {'зг': 'zgh'},
+        input: {
+            'ii': ['ій', 'ій'],
+            'iia': ['ія', 'ія'],
+            'x': ['кс', 'кс'],
+            'w': ['в', 'в'],
+        },
+    },
+};
@@ -1,5 +1,5 @@
 const assert = require('assert');
-const {NCLNameCaseUa, NCLNameCaseRu, NCL} = require('../build/index.js');
+const {NCLNameCaseUa, NCLNameCaseRu, NCLNameCaseBy, NCLNameCaseAuto, NCL} = require('../build/index.js');
 const fs = require('fs');
 
 const CASES_NAMES = [
@@ -137,6 +137,44 @@ let testSplitFiles = {
             }
         }
     ],
+    'by': [
+        {
+            name: 'ФИО мужские',
+            gender: 'm',
+            files: {
+                f : {
+                    file: 'by/Sirnamesboy.txt',
+                    delim: ',',
+                },
+                i : {
+                    file: 'by/Namesboy.txt',
+                    delim: ',',
+                },
+                o : {
+                    file: 'by/Fatherboy.txt',
+                    delim: ',',
+                }
+            }
+        },
+        {
+            name: 'ФИО женские',
+            gender: 'f',
+            files: {
+                f : {
+                    file: 'by/Sirnamesgirl.txt',
+                    delim: ',',
+                },
+                i : {
+                    file: 'by/Namesgirl.txt',
+                    delim: ',',
+                },
+                o : {
+                    file: 'by/Fathergirl.txt',
+                    delim: ',',
+                }
+            }
+        }
+    ],
 };
 
 for (let lang in testSplitFiles) {
@@ -195,3 +233,1032 @@ for (let lang in testSplitFiles) {
 
 //-----------------------------------------------------------------------------
 
+
+
+describe('Результат склонения объектом', () => {
+    let ncl = new NCLNameCaseRu;
+    let result = ncl.qResult('Иванов Иван Петрович');
+
+    it('все падежи по названиям', () => {
+        assert.strictEqual(result.cases.nominative, 'Иванов Иван Петрович');
+        assert.strictEqual(result.cases.genitive, 'Иванова Ивана Петровича');
+        assert.strictEqual(result.cases.prepositional, 'Иванове Иване Петровиче');
+    });
+    it('пол', () => {
+        assert.strictEqual(result.gender, NCL.MAN);
+    });
+    it('разбор слов', () => {
+        assert.deepStrictEqual(result.words.map(w => w.namePart), ['S', 'N', 'F']);
+        assert.strictEqual(result.words[0].word, 'Иванов');
+        assert.strictEqual(result.words[0].cases.dative, 'Иванову');
+        assert.strictEqual(result.words[1].rule, 204);
+    });
+
+    let ua = new NCLNameCaseUa;
+    let uaResult = ua.qFullNameResult('Шевченко', 'Тарас', 'Григорович');
+    it('qFullNameResult ua', () => {
+        assert.strictEqual(uaResult.cases.vocative, 'Шевченче Тарасе Григоровичу');
+        assert.strictEqual(uaResult.words.length, 3);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Названия падежей', () => {
+    let ru = new NCLNameCaseRu;
+    let ua = new NCLNameCaseUa;
+
+    it('английские названия', () => {
+        assert.strictEqual(ru.q('Иванов Иван', 'genitive'), 'Иванова Ивана');
+        assert.strictEqual(ua.q('Шевченко Тарас', 'vocative'), 'Шевченче Тарасе');
+    });
+    it('родные названия', () => {
+        assert.strictEqual(ru.q('Иванов Иван', 'Дательный'), 'Иванову Ивану');
+        assert.strictEqual(ua.q('Шевченко Тарас', 'родовий'), 'Шевченка Тараса');
+    });
+    it('qFullName и getFormatted', () => {
+        assert.strictEqual(ru.qFullName('Иванов', 'Иван', 'Петрович', 0, 'instrumental'), 'Ивановым Иваном Петровичем');
+        assert.strictEqual(ru.getFormatted('genitive', 'N S'), 'Ивана Иванова');
+    });
+    it('неизвестный падеж', () => {
+        assert.throws(() => ru.q('Иванов Иван', 'vocative'), /Unknown case "vocative"/);
+        assert.throws(() => ru.q('Иванов Иван', 9), /Unknown case "9". Expected a number from 0 to 5/);
+        assert.throws(() => ru.q('Иванов Иван', '9'), /Unknown case "9"/);
+        assert.throws(() => ru.q('Иванов Иван', -1), /Unknown case "-1"/);
+        assert.strictEqual(ua.q('Шевченко Тарас', '6'), 'Шевченче Тарасе');
+    });
+    it('именительный падеж - строка', () => {
+        assert.strictEqual(ru.q('Иванов Иван Петрович', 'nominative'), 'Иванов Иван Петрович');
+        assert.strictEqual(ru.q('Иванов Иван Петрович', 0), 'Иванов Иван Петрович');
+        assert.strictEqual(ru.qFullName('Иванов', 'Иван', 'Петрович', 0, 'именительный'), 'Иванов Иван Петрович');
+        assert.strictEqual(ru.q('Иванов Иван').length, 6);
+        assert.strictEqual(ru.getFormatted().length, 6);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Определение пола', () => {
+    let ru = new NCLNameCaseRu;
+    let ua = new NCLNameCaseUa;
+
+    it('по ФИО', () => {
+        assert.strictEqual(ru.genderDetect('Иванов Иван Петрович'), NCL.MAN);
+        assert.strictEqual(ru.genderDetect('Петрова Анна'), NCL.WOMAN);
+        assert.strictEqual(ua.genderDetect('Косач Лариса Петрівна'), NCL.WOMAN);
+    });
+    it('вероятность', () => {
+        ru.genderDetect('Иванов Иван Петрович');
+        assert.strictEqual(ru.gender_koef, 10);
+    });
+    it('решающее слово', () => {
+        let info = ua.genderDetectInfo('Шевченко Тарас Григорович');
+        assert.strictEqual(info.gender, NCL.MAN);
+        assert.strictEqual(info.word, 'Григорович');
+        assert.strictEqual(info.namePart, 'F');
+        assert.strictEqual(info.score, 'GenderByFatherName');
+        assert.strictEqual(info.words.length, 3);
+    });
+    it('не определено', () => {
+        assert.strictEqual(ru.genderDetect('Гусь'), false);
+        assert.strictEqual(ru.genderDetectInfo('Гусь').gender, 0);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Трассировка правил', () => {
+    let ru = new NCLNameCaseRu;
+    let result = ru.explain('Римский-Корсаков Николай');
+    let surname = result.words[0].trace;
+
+    it('части фамилии через дефис', () => {
+        assert.strictEqual(surname.length, 2);
+        assert.strictEqual(result.cases.genitive, 'Римского-Корсакова Николая');
+    });
+    it('опробованные и сработавшее правило', () => {
+        assert.deepStrictEqual(surname[1].tried, ['manRule8', 'manRule4', 'manRule5', 'manRule6']);
+        assert.strictEqual(surname[1].matched, 'manRule6');
+        assert.strictEqual(surname[1].rule, 603);
+        assert.ok(surname[1].description);
+    });
+    it('окончания', () => {
+        assert.deepStrictEqual(surname[0].endings, ['ого', 'ому', 'ого', 'им', 'ом']);
+        assert.strictEqual(surname[0].replaceLast, 2);
+    });
+    it('без трассировки', () => {
+        ru.q('Иванов Иван');
+        assert.strictEqual(ru.getWordsArray()[0].getTrace(), null);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Словарь исключений', () => {
+    let ru = new NCLNameCaseRu;
+    let before = ru.q('Дюма Александр', 1);
+    NCLNameCaseRu.loadExceptions(__dirname + '/data/exceptions_ru.json');
+    NCLNameCaseUa.addException({word: 'Корсаков', namePart: 'S', indeclinable: true});
+    let indeclinable = ru.q('Дюма Александр', 1);
+    let paradigm = ru.q('ГУСЬ Иван', 4);
+    let woman = ru.q('Гусь Анна', 1);
+    let part = new NCLNameCaseUa().q('Римський-Корсаков Микола', 1);
+    let otherLang = new NCLNameCaseUa().q('Дюма Олександр', 1);
+    NCLNameCaseRu.clearExceptions();
+    NCLNameCaseUa.clearExceptions();
+    let cleared = ru.q('Дюма Александр', 1);
+
+    it('несклоняемое слово', () => {
+        assert.strictEqual(before, 'Дюмы Александра');
+        assert.strictEqual(indeclinable, 'Дюма Александра');
+    });
+    it('полная парадигма с маской регистра', () => {
+        assert.strictEqual(paradigm, 'ГУСЕМ Иваном');
+    });
+    it('исключение только для одного пола', () => {
+        assert.strictEqual(woman, 'Гусь Анны');
+    });
+    it('часть фамилии через дефис', () => {
+        assert.strictEqual(part, 'Римського-Корсаков Миколи');
+    });
+    it('словарь отдельный для каждого языка', () => {
+        assert.strictEqual(otherLang, 'Дюми Олександра');
+    });
+    it('очистка словаря', () => {
+        assert.strictEqual(cleared, 'Дюмы Александра');
+        assert.throws(() => NCLNameCaseRu.addException({word: 'Гусь', cases: ['гусь']}), /6 cases/);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Таблицы правил', () => {
+    class NCLNameCaseRuTest extends NCLNameCaseRu {
+        constructor() {
+            super();
+            this.Rules = Object.assign({}, this.Rules, {
+                man: Object.assign({}, this.Rules.man, {
+                    9: {
+                        when: {names: ['Гусь']},
+                        variants: [{id: 9, description: 'Гусь', endings: ['ся', 'сю', 'ся', 'сем', 'се'], replaceLast: 2}],
+                    },
+                }),
+            });
+        }
+        manSecondName() {
+            return this.RulesChain('man', [9, 8, 4, 5, 6, 7]);
+        }
+    }
+
+    it('фамилия на -ек', () => {
+        assert.strictEqual(new NCLNameCaseRu().q('Гашек Ярослав', 1), 'Гашька Ярослава');
+        assert.strictEqual(new NCLNameCaseRu().qSecondName('Лотрек', 1, NCL.MAN), 'Лотрека');
+    });
+    it('собственное правило', () => {
+        let ru = new NCLNameCaseRuTest;
+        let result = ru.explain('Гусь Иван');
+        assert.strictEqual(result.cases.genitive, 'Гуся Ивана');
+        assert.strictEqual(result.words[0].trace[0].description, 'Гусь');
+    });
+    it('неизвестное правило', () => {
+        let ru = new NCLNameCaseRu;
+        ru.setWorkingWord('Иван');
+        assert.throws(() => ru.RulesChain('man', [42]), /manRule42/);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Беларуская мова', () => {
+    let by = new NCLNameCaseBy;
+
+    it('клас мовы', () => {
+        assert.ok(new (NCL.getConcreteClass('by')) instanceof NCLNameCaseBy);
+    });
+    it('назвы склонаў', () => {
+        let result = by.qResult('Манкевіч Алесь Іванавіч');
+        assert.strictEqual(result.cases.vocative, 'Манкевічу Алесю Іванавічу');
+        assert.strictEqual(by.q('Манкевіч Алесь Іванавіч', 'месны'), 'Манкевічу Алесю Іванавічу');
+    });
+    it('пол', () => {
+        assert.strictEqual(by.genderDetect('Лукашэнка Вольга'), NCL.WOMAN);
+        assert.strictEqual(by.genderDetect('Лукашэнка Мікола'), NCL.MAN);
+        assert.strictEqual(by.genderDetect('Дастаеўская'), NCL.WOMAN);
+    });
+    it('частка ПІБ', () => {
+        assert.strictEqual(by.getFullNameFormat('Сянкевіч Ганна Пятроўна'), 'S N F ');
+        assert.strictEqual(by.getFullNameFormat('Андрэй Міхайлавіч Іваноў'), 'N F S ');
+    });
+    it('нумары правілаў імя па бацьку', () => {
+        assert.deepStrictEqual(by.qResult('Купала Янка Іванавіч').words.map(word => word.rule), [203, 202, 401]);
+        assert.strictEqual(by.qResult('Іванова Ганна Пятроўна').words[2].rule, 401);
+        let trace = by.explain('Сянкевіч Ганна Пятроўна').words[2].trace[0];
+        assert.strictEqual(trace.rule, 401);
+        assert.strictEqual(trace.description, 'Імя па бацьку на -на: ы, е, у, ай, е, а (Пятроўна)');
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+
+
+describe('Склонение без состояния', () => {
+    it('падеж и пол параметрами', () => {
+        assert.strictEqual(NCL.decline('Иванов Иван Иванович', {lang: 'ru', case: 'genitive'}), 'Иванова Ивана Ивановича');
+        assert.strictEqual(NCL.decline('Иванов Иван', {lang: 'ru', case: 0}), 'Иванов Иван');
+        assert.strictEqual(NCLNameCaseRu.decline('Гусь', {case: 1, gender: 'woman'}), 'Гусь');
+        assert.strictEqual(NCL.decline('Шевченко Тарас', {lang: 'ua'}).length, 7);
+    });
+    it('ФИО объектом', () => {
+        let fio = {secondName: 'Шевченко', firstName: 'Тарас', fatherName: 'Григорович'};
+        assert.strictEqual(NCL.decline(fio, {lang: 'ua', case: 'кличний', format: 'N F'}), 'Тарасе Григоровичу');
+        assert.strictEqual(NCL.declineResult(fio, {lang: 'ua'}).cases.genitive, 'Шевченка Тараса Григоровича');
+    });
+    it('результат для объекта как у decline()', () => {
+        let result = NCLNameCaseRu.declineResult({surname: 'Иванов', name: 'Иван', patronymic: 'Петрович'});
+        assert.strictEqual(result.cases.dative, 'Иванову Ивану Петровичу');
+        assert.deepStrictEqual(result.words.map(word => word.word), ['Иван', 'Иванов', 'Петрович']);
+        assert.strictEqual(NCLNameCaseRu.declineResult({surname: 'Гусь', gender: 'woman'}, {format: 'S'}).cases.genitive, 'Гусь');
+        assert.strictEqual(NCLNameCaseRu.declineResult({surname: 'Гусь'}, {gender: 'woman', format: 'S'}).cases.genitive, 'Гусь');
+        let explained = NCLNameCaseRu.declineResult({surname: 'Иванов', name: 'Иван'}, {explain: true});
+        assert.ok(explained.words.every(word => word.trace && word.trace.length));
+        assert.throws(() => NCLNameCaseRu.declineResult(5), /Expected a full name string/);
+    });
+    it('параметры не меняются', () => {
+        let options = Object.freeze({lang: 'ru', case: 2, gender: NCL.MAN});
+        assert.strictEqual(NCL.decline('Петров Петр', options), 'Петрову Петру');
+        assert.strictEqual(NCL.detectGender('Петрова Анна', options), NCL.WOMAN);
+    });
+    it('вложенные и параллельные вызовы', () => {
+        let names = ['Иванов Иван', 'Петрова Анна', 'Толстой Лев'];
+        let nested = names.map(name => NCL.decline(name, {lang: 'ru', case: 1}) + '/' + NCL.decline(names[0], {lang: 'ru', case: 2}));
+        assert.deepStrictEqual(nested, ['Иванова Ивана/Иванову Ивану', 'Петровой Анны/Иванову Ивану', 'Толстого Льва/Иванову Ивану']);
+
+        return Promise.all(names.map(name => Promise.resolve().then(() => NCL.declineResult(name, {lang: 'ru'}))))
+            .then(results => {
+                assert.deepStrictEqual(results.map(r => r.cases.dative), ['Иванову Ивану', 'Петровой Анне', 'Толстому Льву']);
+            });
+    });
+    it('неизвестный язык', () => {
+        assert.throws(() => NCL.decline('Иванов', {lang: 'xx'}), /Unknown language "xx"/);
+        assert.throws(() => NCL.decline('Иванов', {lang: 'ru', gender: 'x'}), /Unknown gender/);
+    });
+});
+
+describe('Восстановление именительного падежа', () => {
+    it('ФИО в косвенном падеже', () => {
+        let found = new NCLNameCaseRu().lemmatize('Иванову Ивану Петровичу');
+        assert.strictEqual(found[0].fullname, 'Иванов Иван Петрович');
+        assert.strictEqual(found[0].gender, NCL.MAN);
+        assert.deepStrictEqual(found[0].cases, [2]);
+        assert.deepStrictEqual(found[0].words.map(word => word.namePart), ['S', 'N', 'F']);
+        assert.strictEqual(NCL.lemmatize('Петровой Анне Сергеевне', {lang: 'ru', case: 'dative'})[0].fullname, 'Петрова Анна Сергеевна');
+        assert.strictEqual(NCL.lemmatize('Манкевічу Алесю Іванавічу', {lang: 'by'})[0].fullname, 'Манкевіч Алесь Іванавіч');
+    });
+    it('чередования и двойные фамилии', () => {
+        assert.strictEqual(NCL.lemmatize('Льва Толстого', {lang: 'ru'})[0].fullname, 'Лев Толстой');
+        assert.ok(NCL.lemmatize('Сидора', {lang: 'ua', gender: 'man'}).some(found => found.fullname == 'Сидір'));
+        assert.strictEqual(NCL.lemmatize('Петрова-Водкина Кузьму', {lang: 'ru', case: 3})[0].fullname, 'Петров-Водкин Кузьма');
+        assert.strictEqual(NCL.lemmatize('ИВАНОВУ', {lang: 'ru', gender: 'man'})[0].fullname, 'ИВАНОВ');
+    });
+    it('каждый кандидат склоняется обратно', () => {
+        let ncl = new NCLNameCaseUa();
+        for (let found of ncl.lemmatize('Шевченкові Тарасові Григоровичу')) {
+            for (let caseNum of found.cases) {
+                assert.strictEqual(ncl.q(found.fullname, caseNum, found.gender), 'Шевченкові Тарасові Григоровичу');
+            }
+        }
+        assert.strictEqual(ncl.lemmatize('Шевченкові Тарасові Григоровичу')[0].fullname, 'Шевченко Тарас Григорович');
+    });
+    it('пример из запроса и альтернативный давальный -у', () => {
+        let ncl = new NCLNameCaseUa();
+        const words = [{word: 'Шевченко', namePart: 'S'}, {word: 'Тарас', namePart: 'N'}];
+        assert.deepStrictEqual(ncl.lemmatize('Шевченку Тарасові'), [{fullname: 'Шевченко Тарас', gender: NCL.MAN, cases: [2, 5], words: words}]);
+        assert.deepStrictEqual(ncl.lemmatize('Шевченку Тарасові', 'dative'), [{fullname: 'Шевченко Тарас', gender: NCL.MAN, cases: [2], words: words}]);
+        assert.deepStrictEqual(ncl.lemmatize('Ігорю Петренку').map(found => found.fullname), ['Ігор Петренко']);
+    });
+    it('полный список кандидатов', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.deepStrictEqual(ncl.lemmatize('Иванову Ивану Петровичу').map(found => found.fullname), ['Иванов Иван Петрович']);
+        assert.deepStrictEqual(ncl.lemmatize('Петровой Анне Сергеевне Ивановой').map(found => [found.fullname, found.gender, found.cases]),
+            [['Петрова Анна Сергеевна Иванова', NCL.WOMAN, [2, 5]]]);
+        assert.deepStrictEqual(ncl.lemmatize('Римского-Корсакова').map(found => [found.fullname, found.cases]), [['Римский-Корсаков', [1, 3]]]);
+    });
+    it('несклоняемые и невозможные формы не выдаются за именительный падеж', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.deepStrictEqual(ncl.lemmatize('12345'), []);
+        assert.deepStrictEqual(ncl.lemmatize('Шевченко', 'dative'), []);
+        assert.deepStrictEqual(ncl.lemmatize('Шевченко').map(found => found.cases), [[0]]);
+        for (let form of ['Ивановяя', 'Ивановая', 'Римскый-Корсаков']) {
+            assert.deepStrictEqual(ncl.lemmatize(form), [], form);
+        }
+        assert.deepStrictEqual(new NCLNameCaseUa().lemmatize('Шевченкові Тарасовя'), []);
+    });
+});
+
+describe('Отчество из имени отца', () => {
+    it('русский', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.makeFatherName('Николай'), 'Николаевич');
+        assert.strictEqual(ncl.makeFatherName('Николай', NCL.WOMAN), 'Николаевна');
+        assert.strictEqual(ncl.makeFatherName('Дмитрий'), 'Дмитриевич');
+        assert.strictEqual(ncl.makeFatherName('Василий', 'woman'), 'Васильевна');
+        assert.strictEqual(ncl.makeFatherName('Никита', 'woman'), 'Никитична');
+        assert.strictEqual(ncl.makeFatherName('Илья', 'woman'), 'Ильинична');
+        assert.strictEqual(ncl.makeFatherName('Лев'), 'Львович');
+        assert.strictEqual(ncl.makeFatherName('ИГОРЬ'), 'ИГОРЕВИЧ');
+    });
+    it('український', () => {
+        let ncl = new NCLNameCaseUa();
+        assert.strictEqual(ncl.makeFatherName('Ілля'), 'Ілліч');
+        assert.strictEqual(ncl.makeFatherName('Ілля', NCL.WOMAN), 'Іллівна');
+        assert.strictEqual(ncl.makeFatherName('Яків'), 'Якович');
+        assert.strictEqual(ncl.makeFatherName('Яків', NCL.WOMAN), 'Яківна');
+        assert.strictEqual(ncl.makeFatherName('Андрій', NCL.WOMAN), 'Андріївна');
+        assert.strictEqual(ncl.makeFatherName('Василь'), 'Васильович');
+        assert.strictEqual(ncl.makeFatherName('Павло', NCL.WOMAN), 'Павлівна');
+        assert.strictEqual(ncl.makeFatherName('Лука'), 'Лукич');
+    });
+    it('имя отца по отчеству', () => {
+        let ru = new NCLNameCaseRu(), ua = new NCLNameCaseUa();
+        assert.strictEqual(ru.firstNameByFatherName('Николаевна'), 'Николай');
+        assert.strictEqual(ru.firstNameByFatherName('Дмитриевич'), 'Дмитрий');
+        assert.strictEqual(ru.firstNameByFatherName('Ильинична'), 'Илья');
+        assert.strictEqual(ua.firstNameByFatherName('Іллівна'), 'Ілля');
+        assert.strictEqual(ua.firstNameByFatherName('Якович'), 'Яків');
+        assert.strictEqual(ua.firstNameByFatherName('Василівна'), 'Василь');
+        assert.strictEqual(ua.firstNameByFatherName('Дмитрівна'), 'Дмитро');
+        assert.strictEqual(ua.firstNameByFatherName('Петренко'), null);
+    });
+    it('отчество склоняется', () => {
+        let ncl = new NCLNameCaseUa();
+        assert.strictEqual(ncl.qFullName('Шевченко', 'Тарас', ncl.makeFatherName('Григорій'), NCL.MAN, 1), 'Шевченка Тараса Григоровича');
+    });
+});
+
+describe('Фамилия другого пола', () => {
+    it('русский', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.convertSecondName('Иванов', NCL.WOMAN).secondName, 'Иванова');
+        assert.strictEqual(ncl.convertSecondName('Иванова', 'man').secondName, 'Иванов');
+        assert.strictEqual(ncl.convertSecondName('Толстой', 'woman').secondName, 'Толстая');
+        assert.strictEqual(ncl.convertSecondName('Петров-Водкин', 'woman').secondName, 'Петрова-Водкина');
+        assert.strictEqual(ncl.convertSecondName('ПУШКИН', 'woman').secondName, 'ПУШКИНА');
+        assert.deepStrictEqual(ncl.convertSecondName('Иванова', 'woman'), {secondName: 'Иванова', candidates: ['Иванова'], invariant: false, ambiguous: false});
+    });
+    it('український', () => {
+        let ncl = new NCLNameCaseUa();
+        assert.strictEqual(ncl.convertSecondName('Ковальський', NCL.WOMAN).secondName, 'Ковальська');
+        assert.strictEqual(ncl.convertSecondName('Ковальська', NCL.MAN).secondName, 'Ковальський');
+        assert.strictEqual(ncl.convertSecondName('Білий', NCL.WOMAN).secondName, 'Біла');
+    });
+    it('не меняется', () => {
+        let shevchenko = new NCLNameCaseUa().convertSecondName('Шевченко', NCL.WOMAN);
+        assert.strictEqual(shevchenko.secondName, 'Шевченко');
+        assert.strictEqual(shevchenko.invariant, true);
+        assert.strictEqual(new NCLNameCaseRu().convertSecondName('Дурново', 'woman').invariant, true);
+    });
+    it('неоднозначно', () => {
+        let tolstaya = new NCLNameCaseRu().convertSecondName('Толстая', 'man');
+        assert.strictEqual(tolstaya.ambiguous, true);
+        assert.deepStrictEqual(tolstaya.candidates, ['Толстой', 'Толстый']);
+        let skovoroda = new NCLNameCaseUa().convertSecondName('Сковорода', 'man');
+        assert.strictEqual(skovoroda.ambiguous, true);
+        assert.strictEqual(skovoroda.secondName, 'Сковорода');
+        assert.throws(() => new NCLNameCaseRu().convertSecondName('Иванов'), /Gender is required/);
+    });
+    it('короткая основа', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.deepStrictEqual(ncl.convertSecondName('Цой', 'woman'), {secondName: 'Цой', candidates: ['Цой', 'Цая'], invariant: false, ambiguous: true});
+        assert.strictEqual(ncl.convertSecondName('Цой', 'man').secondName, 'Цой');
+        assert.strictEqual(ncl.convertSecondName('Злой', 'woman').secondName, 'Злая');
+        assert.strictEqual(ncl.convertSecondName('Зуев', 'woman').secondName, 'Зуева');
+    });
+    it('не строка', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.throws(() => ncl.convertSecondName(null, 'woman'), /Expected a second name string, got null/);
+        assert.throws(() => ncl.convertSecondName(123, 'woman'), /Expected a second name string/);
+    });
+});
+
+describe('Инициалы в формате', () => {
+    it('n и f', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, 'dative', 'S n f'), 'Иванову И. П.');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, null, 'S nf')[4], 'Ивановым И.П.');
+        assert.strictEqual(new NCLNameCaseUa().qFullName('Шевченко', 'Тарас', 'Григорович', 0, 2, 'n f S'), 'Т. Г. Шевченкові');
+    });
+    it('двойное имя и разделитель', () => {
+        let ncl = new NCLNameCaseRu();
+        ncl.q('Руссо Жан-Пьер');
+        assert.strictEqual(ncl.getFormatted(1, 'n S'), 'Ж.-П. Руссо');
+        ncl.setInitialsSeparator('');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, 2, 'nf S'), 'ИП Иванову');
+    });
+});
+
+describe('Шаблоны формата', () => {
+    let ncl = new NCLNameCaseRu();
+    it('подстановки и инициалы', () => {
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, 2, '{S} {N:initial}.{F:initial?}.'), 'Иванову И.П.');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, null, '{S} {N:initial}.')[4], 'Ивановым И.');
+        ncl.q('Руссо Жан-Пьер');
+        assert.strictEqual(ncl.getFormatted(1, '{N:initial}. {S}'), 'Ж.-П. Руссо');
+    });
+    it('падеж подстановки', () => {
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, 'dative', 'Кому: {S}, от: {N:nominative} {F:genitive}'), 'Кому: Иванову, от: Иван Петровича');
+    });
+    it('необязательные части', () => {
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', '', 0, 2, '{S} {N:initial}.{F:initial?}.'), 'Иванову И.');
+        assert.strictEqual(ncl.qFullName('Иванов', '', '', 0, 2, '{S} {N?} {F?}'), 'Иванову');
+        assert.strictEqual(ncl.qFullName('Иванов', '', '', 0, 2, '{N?} {S}'), 'Иванову');
+        assert.strictEqual(ncl.qFullName('Иванов', '', '', 0, 2, '{N?} {F?} {S}'), 'Иванову');
+    });
+    it('текст вокруг необязательной части', () => {
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', '', 0, 2, '<{F?}> {S}'), 'Иванову');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', 'Петрович', 0, 2, '<{F?}> {S}'), '<Петровичу> Иванову');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', '', 0, 2, '{S} ({F?}), {N}'), 'Иванову, Ивану');
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', '', 0, 2, 'Кому: {S} {F?}.'), 'Кому: Иванову.');
+        assert.strictEqual(ncl.qFullName('Иванов', '', '', 0, 2, 'Уважаемый {N?} {S}!'), 'Уважаемый Иванову!');
+    });
+    it('экранирование и ошибки', () => {
+        assert.strictEqual(ncl.qFullName('Иванов', 'Иван', '', 0, 2, '{N} SNF \\{x\\} \\\\'), 'Ивану SNF {x} \\');
+        assert.throws(() => ncl.getFormatted(1, '{X}'), /Invalid placeholder "\{X\}"/);
+        assert.throws(() => ncl.getFormatted(1, '{S'), /Invalid placeholder/);
+        assert.throws(() => ncl.getFormatted(1, 'S}'), /Unexpected "\}"/);
+        assert.throws(() => ncl.getFormatted(1, '{S:bogus}'), /Unknown case "bogus"/);
+    });
+});
+
+describe('Разбор ФИО на слова', () => {
+    let ncl = new NCLNameCaseRu();
+    it('любые пробелы', () => {
+        assert.strictEqual(ncl.q('Иванов  Иван\tПетрович', 1), 'Иванова  Ивана\tПетровича');
+        assert.strictEqual(ncl.q(' Иванов Иван\nПетрович ', 2), 'Иванову Ивану\nПетровичу');
+        assert.strictEqual(ncl.getWordsArray().length, 3);
+    });
+    it('фамилия через запятую', () => {
+        assert.strictEqual(ncl.q('Иванов, Иван Петрович', 1), 'Иванова, Ивана Петровича');
+        assert.strictEqual(ncl.getFullNameFormat('Кузнец, Анна'), 'S N ');
+        assert.strictEqual(ncl.q('Кузнец, Анна', 1), 'Кузнец, Анны');
+    });
+    it('знаки препинания и кавычки', () => {
+        assert.strictEqual(ncl.q('«Иванов Иван»', 1), '«Иванова Ивана»');
+        assert.strictEqual(ncl.q('Иван Петрович Иванов.', 2), 'Ивану Петровичу Иванову.');
+        assert.strictEqual(ncl.q('(Петров-Водкин) Кузьма', 1), '(Петрова-Водкина) Кузьмы');
+        assert.strictEqual(ncl.qResult('Иванов, Иван').cases.dative, 'Иванову, Ивану');
+    });
+    it('слова и разделители', () => {
+        assert.deepStrictEqual(ncl.tokenizeFullName(' "Иванов", И.П.'), {words: ['Иванов', 'И.П.'], separators: [' "', '", ', '']});
+        assert.deepStrictEqual(ncl.tokenizeFullName("Дем'ян - Шевченко").words, ["Дем'ян", 'Шевченко']);
+    });
+});
+
+describe('Частицы и тюркские отчества', () => {
+    let ncl = new NCLNameCaseRu();
+    it('частицы перед фамилией не склоняются', () => {
+        assert.strictEqual(ncl.q('Людвиг ван Бетховен', 1), 'Людвига ван Бетховена');
+        assert.strictEqual(ncl.getFullNameFormat('Людвиг ван Бетховен'), 'N S ');
+        assert.strictEqual(ncl.q('Оноре де Бальзак', 2), 'Оноре де Бальзаку');
+        assert.strictEqual(ncl.q('Урсула фон дер Ляйен', 1), 'Урсулы фон дер Ляйен');
+        assert.strictEqual(ncl.qFullName('ван Бетховен', 'Людвиг', '', 0, 'dative', 'N S'), 'Людвигу ван Бетховену');
+    });
+    it('пол по фамилии с частицей', () => {
+        assert.strictEqual(ncl.q('Ибн Сина', 1), 'Ибн Сины');
+        assert.strictEqual(ncl.q('Ибн Сина', 2), 'Ибн Сине');
+        assert.strictEqual(ncl.genderDetect('Оноре де Бальзак'), NCL.MAN);
+        assert.strictEqual(ncl.genderDetect('Урсула фон дер Ляйен'), NCL.WOMAN);
+        assert.strictEqual(ncl.q('Анна ван Дейк', 1), 'Анны ван Дейк');
+    });
+    it('частицы внутри слова', () => {
+        assert.strictEqual(ncl.q('Шарль д\'Артаньян', 1), 'Шарля д\'Артаньяна');
+        assert.strictEqual(ncl.q('Абу Наср аль-Фараби', 2), 'Абу Насру аль-Фараби');
+        assert.strictEqual(ncl.q('Майкл Мак-Дональд', 1), 'Майкла Мак-Дональда');
+    });
+    it('маркер отчества задает пол', () => {
+        assert.strictEqual(ncl.q('Гейдар Алиев Али оглы', 2), 'Гейдару Алиеву Али оглы');
+        assert.strictEqual(ncl.genderDetect('Лейла Мамед кызы'), NCL.WOMAN);
+        assert.strictEqual(ncl.q('Мамедов Ахмед Мамед-оглы', 1), 'Мамедова Ахмеда Мамед-оглы');
+        let result = ncl.qResult('Алиева Лейла Мамед кызы');
+        assert.strictEqual(result.gender, NCL.WOMAN);
+        assert.deepStrictEqual(result.words.map(word => word.namePart), ['S', 'N', 'F']);
+        assert.strictEqual(result.cases.dative, 'Алиевой Лейле Мамед кызы');
+    });
+    it('украинский язык', () => {
+        let ua = new NCLNameCaseUa();
+        assert.strictEqual(ua.q('Гейдар Алієв Алі огли', 4), 'Гейдаром Алієвим Алі огли');
+        assert.strictEqual(ua.q('Оноре де Бальзак', 1), 'Оноре де Бальзака');
+        assert.strictEqual(ua.q('Ібн Сіна', 1), 'Ібн Сіни');
+    });
+    it('восстановление именительного падежа', () => {
+        assert.strictEqual(ncl.lemmatize('Людвига ван Бетховена')[0].fullname, 'Людвиг ван Бетховен');
+        assert.strictEqual(ncl.lemmatize('Гейдару Алиеву Али оглы')[0].fullname, 'Гейдар Алиев Али оглы');
+    });
+});
+
+describe('Фамилии через дефис', () => {
+    it('первая часть проверяется правилами текущего языка', () => {
+        let ua = new NCLNameCaseUa();
+        assert.strictEqual(ua.qSecondName('Лозина-Лозинський', 1, NCL.MAN), 'Лозина-Лозинського');
+        assert.strictEqual(ua.qSecondName('Римський-Корсаков', 2, NCL.MAN), 'Римському-Корсакову');
+        assert.strictEqual(new NCLNameCaseRu().q('Римский-Корсаков Николай', 2), 'Римскому-Корсакову Николаю');
+    });
+    it('несклоняемые первые части', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.q('Тулуз-Лотрек Анри', 1), 'Тулуз-Лотрека Анри');
+        ncl.setCompoundSecondName('auto', ['Бонч']);
+        assert.strictEqual(ncl.qSecondName('Бонч-Бруевич', 1, NCL.MAN), 'Бонч-Бруевича');
+        assert.strictEqual(ncl.qSecondName('Тулуз-Лотрек', 1, NCL.MAN), 'Тулуза-Лотрека');
+    });
+    it('склонение обеих или только последней части', () => {
+        let ua = new NCLNameCaseUa();
+        assert.strictEqual(ua.qSecondName('Квітка-Основ\'яненко', 1, NCL.MAN), 'Квітка-Основ\'яненка');
+        ua.setCompoundSecondName('both');
+        assert.strictEqual(ua.qSecondName('Квітка-Основ\'яненко', 1, NCL.MAN), 'Квітки-Основ\'яненка');
+        assert.strictEqual(ua.qSecondName('Тулуз-Лотрек', 1, NCL.MAN), 'Тулуз-Лотрека');
+        let ru = new NCLNameCaseRu();
+        ru.setCompoundSecondName('last');
+        assert.strictEqual(ru.qSecondName('Римский-Корсаков', 1, NCL.MAN), 'Римский-Корсакова');
+        assert.throws(() => ru.setCompoundSecondName('first'), /Unknown compound second name policy "first"/);
+    });
+});
+
+describe('Апостроф', () => {
+    it('любой вид апострофа во входных словах', () => {
+        let ua = new NCLNameCaseUa();
+        for (let apostrophe of ["'", '’', 'ʼ', '`']) {
+            assert.strictEqual(ua.q('Мар' + apostrophe + 'яна Петрівна', 1), 'Мар' + apostrophe + 'яни Петрівни');
+            assert.strictEqual(ua.q('Степан Лук' + apostrophe + 'янчук', 2), 'Степанові Лук' + apostrophe + 'янчукові');
+        }
+        assert.strictEqual(ua.isApostrof('ʼ'), true);
+        assert.strictEqual(ua.isApostrof('-'), false);
+        assert.strictEqual(ua.isApostrof('ь'), false);
+        assert.strictEqual(ua.qFirstName('Дарья', 1, NCL.WOMAN), 'Дарьї');
+    });
+    it('апостроф в результате', () => {
+        let ua = new NCLNameCaseUa();
+        assert.strictEqual(ua.q("Любов Солов'яненко", 4, NCL.WOMAN), "Любов’ю Солов'яненко");
+        ua.setApostrophe('ʼ');
+        assert.strictEqual(ua.q("Любов Солов'яненко", 4, NCL.WOMAN), 'Любовʼю Соловʼяненко');
+        assert.strictEqual(ua.qSecondName("Квітка-Основ`яненко", 1, NCL.MAN), 'Квітка-Основʼяненка');
+        assert.strictEqual(ua.qResult('Степан Лук’янчук').words[1].word, 'Лук’янчук');
+        ua.setApostrophe();
+        assert.strictEqual(ua.q('Степан Лук`янчук', 1), 'Степана Лук`янчука');
+        assert.throws(() => ua.setApostrophe('"'), /Unknown apostrophe/);
+    });
+    NCLNameCaseUa.addException({word: "Дем'ян", namePart: 'N', gender: 'man', cases: ["Дем'ян", "Дем'яна", "Дем'янові", "Дем'яна", "Дем'яном", "Дем'янові", "Дем'яне"]});
+    let format = new NCLNameCaseUa().getFullNameFormat('Демʼян');
+    let exception = new NCLNameCaseUa().q('Демʼян Іванович', 1);
+    NCLNameCaseUa.clearExceptions();
+
+    it('исключения не зависят от вида апострофа', () => {
+        assert.strictEqual(format, 'N ');
+        assert.strictEqual(exception, 'Демʼяна Івановича');
+    });
+});
+
+describe('Буква ё', () => {
+    it('ё сохраняется как во входном слове', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.q('Королёв Артём Семёнович', 1), 'Королёва Артёма Семёновича');
+        assert.strictEqual(ncl.q('Королев Артем Семенович', 1), 'Королева Артема Семеновича');
+        assert.strictEqual(ncl.q('Лопатин Пётр', 2), 'Лопатину Петру');
+        assert.strictEqual(ncl.q('Шевелёк Алексей', 1), 'Шевелька Алексея');
+    });
+    it('замена ё на е', () => {
+        let ncl = new NCLNameCaseRu();
+        ncl.setYoMode('normalize');
+        assert.deepStrictEqual(ncl.q('Королёва Алёна'), ['Королева Алена', 'Королевой Алены', 'Королевой Алене', 'Королеву Алену', 'Королевой Аленой', 'Королевой Алене']);
+    });
+    it('восстановление ё в известных словах', () => {
+        let ncl = new NCLNameCaseRu();
+        ncl.setYoMode('restore');
+        assert.strictEqual(ncl.q('Королев Артем Федорович', 1), 'Королёва Артёма Фёдоровича');
+        assert.strictEqual(ncl.q('Королева Алена', 4), 'Королёвой Алёной');
+        assert.strictEqual(ncl.q('Петр Коваленок')[0], 'Пётр Ковалёнок');
+        assert.strictEqual(ncl.q('Петр Коваленок', 1), 'Петра Ковалёнка');
+        assert.strictEqual(ncl.q('Иванов Петр', 1), 'Иванова Петра');
+        assert.throws(() => ncl.setYoMode('yes'), /Unknown yo mode "yes"/);
+    });
+    it('пол определяется без учета ё', () => {
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.genderDetect('Королёва'), NCL.WOMAN);
+        assert.strictEqual(ncl.genderDetect('Королёв'), NCL.MAN);
+        assert.strictEqual(ncl.getFullNameFormat('Королёв Семён'), 'S N ');
+    });
+});
+
+describe('Определение языка', () => {
+    it('по буквам, именам и окончаниям', () => {
+        assert.strictEqual(NCL.detectLanguage('Шевченко Тарас Григорович').lang, 'ua');
+        assert.strictEqual(NCL.detectLanguage("Лук'янчук Ігор").lang, 'ua');
+        assert.strictEqual(NCL.detectLanguage('Быстрова Анна Сергеевна').lang, 'ru');
+        assert.strictEqual(NCL.detectLanguage('Соловьёв Пётр').lang, 'ru');
+        assert.deepStrictEqual(NCL.detectLanguage('Зінченко'), {lang: 'ua', confidence: 0.5, scores: {ru: 0, ua: 3}});
+    });
+    it('обычное русское ФИО', () => {
+        assert.deepStrictEqual(NCL.detectLanguage('Иванов Иван Петрович'), {lang: 'ru', confidence: 0.17, scores: {ru: 1, ua: 0}});
+        assert.strictEqual(NCL.detectLanguage('Кузнецова Мария Ивановна').lang, 'ru');
+        assert.strictEqual(NCL.detectLanguage('Сидоренко Микола').lang, 'ua');
+        assert.strictEqual(new NCLNameCaseAuto().q('Иванов Иван Петрович', 'dative'), 'Иванову Ивану Петровичу');
+    });
+    it('уверенность зависит от количества признаков', () => {
+        assert.deepStrictEqual(NCL.detectLanguage('Шевченко Тарас'), {lang: 'ua', confidence: 0.17, scores: {ru: 0, ua: 1}});
+        assert.strictEqual(NCL.detectLanguage('Быстрова Анна Сергеевна').confidence, 0.67);
+        assert.strictEqual(NCL.detectLanguage("Лук'янчук Ігор").confidence, 1);
+    });
+    it('без признаков язык не определен', () => {
+        assert.deepStrictEqual(NCL.detectLanguage('Смирнов Олег'), {lang: 'unknown', confidence: 0, scores: {ru: 0, ua: 0}});
+        assert.strictEqual(NCL.detectLanguage('Петренко').lang, 'unknown');
+        assert.strictEqual(NCL.detectLanguage('').lang, 'unknown');
+        assert.strictEqual(NCL.detectLanguage('Smith John', ['ua', 'ru']).lang, 'unknown');
+        let ncl = new NCLNameCaseAuto();
+        assert.strictEqual(ncl.q('Смирнов Олег', 'genitive'), 'Смирнова Олега');
+        assert.strictEqual(ncl.getLanguage(), 'ru');
+        assert.strictEqual(ncl.getDetection().lang, 'unknown');
+    });
+    it('класс auto склоняет на определенном языке', () => {
+        let ncl = new (NCL.getConcreteClass('auto'))();
+        assert.strictEqual(ncl.q('Шевченко Тарас Григорович', 'vocative'), 'Шевченче Тарасе Григоровичу');
+        assert.strictEqual(ncl.getLanguage(), 'ua');
+        assert.strictEqual(ncl.q('Быстров Иван Петрович', 'genitive'), 'Быстрова Ивана Петровича');
+        assert.strictEqual(ncl.getLanguage(), 'ru');
+        assert.strictEqual(ncl.getFormatted('dative', 'N S'), 'Ивану Быстрову');
+        assert.strictEqual(ncl.qFullName('Іваненко', 'Ірина', '', 0, 'dative'), 'Іваненко Ірині ');
+        assert.strictEqual(ncl.caseNumber('кличний'), 6);
+        assert.strictEqual(ncl.CaseNames.length, 7);
+    });
+    it('класс auto склоняет слова, заданные по одному', () => {
+        let ncl = new (NCL.getConcreteClass('auto'))();
+        ncl.setFullName('Шевченко', 'Тарас', 'Григорович');
+        assert.strictEqual(ncl.genderAutoDetect(), NCL.MAN);
+        assert.strictEqual(ncl.getFirstNameCase('кличний'), 'Тарасе');
+        assert.strictEqual(ncl.getSecondNameCase(NCL.UaRodovyi), 'Шевченка');
+        assert.strictEqual(ncl.getFatherNameCase(NCL.UaDavalnyi), 'Григоровичу');
+        assert.strictEqual(ncl.getLanguage(), 'ua');
+        ncl.fullReset();
+        ncl.setSecondName('Быстрова');
+        ncl.setFirstName('Анна');
+        ncl.setGender(NCL.WOMAN);
+        assert.strictEqual(ncl.getFormatted('dative', 'N S'), 'Анне Быстровой');
+        assert.strictEqual(ncl.getLanguage(), 'ru');
+        assert.strictEqual(ncl.q('Иванов Иван', 'genitive'), 'Иванова Ивана');
+        assert.strictEqual(ncl.getFirstNameCase(2), 'Ивану');
+    });
+    it('номер падежа проверяется по определенному языку', () => {
+        let ncl = new (NCL.getConcreteClass('auto'))();
+        assert.throws(() => ncl.q('Иванов Иван', 6), /Unknown case "6"\. Expected a number from 0 to 5/);
+        assert.throws(() => ncl.getFormatted('vocative'), /Unknown case "vocative"/);
+        assert.strictEqual(ncl.q('Шевченко Тарас', 6), 'Шевченче Тарасе');
+    });
+    it('настройки применяются ко всем языкам', () => {
+        let ncl = new NCLNameCaseAuto();
+        ncl.setApostrophe('ʼ');
+        ncl.setYoMode('normalize');
+        assert.strictEqual(ncl.q("Солов'яненко Любов", 'орудний', NCL.WOMAN), 'Соловʼяненко Любовʼю');
+        assert.strictEqual(ncl.q('Королёв Пётр', 'genitive'), 'Королева Петра');
+    });
+    it('статические методы', () => {
+        assert.strictEqual(NCL.decline('Шевченко Тарас', {lang: 'auto', case: 'dative'}), 'Шевченкові Тарасові');
+        assert.strictEqual(NCL.decline({secondName: 'Бондарчук', firstName: 'Іван'}, {lang: 'auto', case: 'dative', format: 'N S'}), 'Іванові Бондарчукові');
+        assert.strictEqual(NCL.detectGender('Быстрова Анна', {lang: 'auto'}), NCL.WOMAN);
+    });
+});
+
+describe('Латиница', () => {
+    it('ФИО латиницей склоняется и записывается по той же схеме', () => {
+        let ru = new NCLNameCaseRu();
+        ru.setTranslit('bgn');
+        assert.strictEqual(ru.q('Ivanov Ivan Petrovich', 'genitive'), 'Ivanova Ivana Petrovicha');
+        assert.strictEqual(ru.q('Petrova Anna Sergeyevna', 'instrumental'), 'Petrovoy Annoy Sergeyevnoy');
+        assert.strictEqual(ru.q('Grigoryev Yevgeniy', 'dative'), 'Grigoryevu Yevgeniyu');
+        assert.strictEqual(ru.genderDetect('Petrova Anna'), NCL.WOMAN);
+        let ua = new NCLNameCaseUa();
+        ua.setTranslit();
+        assert.strictEqual(ua.q('Shevchenko Taras Hryhorovych', 'dative'), 'Shevchenkovi Tarasovi Hryhorovychu');
+        assert.strictEqual(ua.q("Luk'yanchuk Ihor", 'genitive'), "Luk'yanchuka Ihorya");
+    });
+    it('регистр букв и частицы', () => {
+        let ru = new NCLNameCaseRu();
+        ru.setTranslit();
+        assert.strictEqual(ru.q('Ludwig van Beethoven', 'genitive'), 'Ludviga van Beethovena');
+        assert.strictEqual(ru.qSecondName('McLaren', 'genitive', NCL.MAN), 'McLarena');
+        assert.strictEqual(ru.q('Иванов Ivan', 'genitive'), 'Иванова Ivana');
+        assert.strictEqual(ru.qResult('Ivanov Ivan').words[0].word, 'Ivanov');
+    });
+    it('без режима латиница не меняется, неизвестная схема - ошибка', () => {
+        assert.strictEqual(new NCLNameCaseRu().q('Ivanov Ivan', 'genitive'), 'Ivanov Ivan');
+        assert.throws(() => new NCLNameCaseRu().setTranslit('iso'), /Unknown transliteration scheme "iso"/);
+        assert.strictEqual(NCL.decline('Ivanov Ivan', {lang: 'ru', case: 'dative', translit: 'bgn'}), 'Ivanovu Ivanu');
+    });
+});
+
+describe('Официальная транслитерация', () => {
+    //Примеры из таблицы постановы КМУ № 55 від 27.01.2010
+    const KMU2010 = {
+        'Алушта': 'Alushta', 'Андрій': 'Andrii', 'Борщагівка': 'Borshchahivka', 'Борисенко': 'Borysenko', 'Вінниця': 'Vinnytsia',
+        'Володимир': 'Volodymyr', 'Гадяч': 'Hadiach', 'Богдан': 'Bohdan', 'Згурський': 'Zghurskyi', 'Ґалаґан': 'Galagan',
+        'Ґорґани': 'Gorgany', 'Донецьк': 'Donetsk', 'Дмитро': 'Dmytro', 'Рівне': 'Rivne', 'Олег': 'Oleh', 'Есмань': 'Esman',
+        'Єнакієве': 'Yenakiieve', 'Гаєвич': 'Haievych', "Короп'є": 'Koropie', 'Житомир': 'Zhytomyr', 'Жанна': 'Zhanna',
+        'Жежелів': 'Zhezheliv', 'Закарпаття': 'Zakarpattia', 'Казимирчук': 'Kazymyrchuk', 'Медвин': 'Medvyn',
+        'Михайленко': 'Mykhailenko', 'Іванків': 'Ivankiv', 'Іващенко': 'Ivashchenko', 'Їжакевич': 'Yizhakevych',
+        'Кадиївка': 'Kadyivka', "Мар'їне": 'Marine', 'Йосипівка': 'Yosypivka', 'Стрий': 'Stryi', 'Олексій': 'Oleksii',
+        'Київ': 'Kyiv', 'Коваленко': 'Kovalenko', 'Лебедин': 'Lebedyn', 'Леонід': 'Leonid', 'Миколаїв': 'Mykolaiv',
+        'Маринич': 'Marynych', 'Ніжин': 'Nizhyn', 'Наталія': 'Nataliia', 'Одеса': 'Odesa', 'Онищенко': 'Onyshchenko',
+        'Полтава': 'Poltava', 'Петро': 'Petro', 'Решетилівка': 'Reshetylivka', 'Рибчинський': 'Rybchynskyi', 'Суми': 'Sumy',
+        'Соломія': 'Solomiia', 'Тернопіль': 'Ternopil', 'Троць': 'Trots', 'Ужгород': 'Uzhhorod', 'Уляна': 'Uliana',
+        'Фастів': 'Fastiv', 'Філіпчук': 'Filipchuk', 'Харків': 'Kharkiv', 'Христина': 'Khrystyna', 'Біла Церква': 'Bila Tserkva',
+        'Стеценко': 'Stetsenko', 'Чернівці': 'Chernivtsi', 'Шевченко': 'Shevchenko', 'Шостка': 'Shostka', 'Кишеньки': 'Kyshenky',
+        'Щербухи': 'Shcherbukhy', 'Гоща': 'Hoshcha', 'Гаращенко': 'Harashchenko', 'Юрій': 'Yurii', 'Корюківка': 'Koriukivka',
+        'Яготин': 'Yahotyn', 'Ярошенко': 'Yaroshenko', 'Костянтин': 'Kostiantyn', "Знам'янка": 'Znamianka', 'Феодосія': 'Feodosiia',
+    };
+    //Примеры написания имен в загранпаспортах по ICAO Doc 9303
+    const ICAO = {
+        'Дмитрий': 'Dmitrii', 'Юрий': 'Iurii', 'Наталья': 'Natalia', 'Александр': 'Aleksandr', 'Семён': 'Semen', 'Пётр': 'Petr',
+        'Илья': 'Ilia', 'Евгений': 'Evgenii', 'Ксения': 'Kseniia', 'Щукин': 'Shchukin', 'Хрущёв': 'Khrushchev', 'Цой': 'Tsoi',
+        'Чайковский': 'Chaikovskii', 'Эдуард': 'Eduard', 'Юлия': 'Iuliia', 'Ярослав': 'Iaroslav', 'Жуков': 'Zhukov', 'Рыбаков': 'Rybakov',
+    };
+
+    it('КМУ 2010', () => {
+        let ua = new NCLNameCaseUa();
+        for (let word in KMU2010) {
+            assert.strictEqual(ua.transliterate(word), KMU2010[word]);
+        }
+    });
+    it('ICAO 9303', () => {
+        let ru = new NCLNameCaseRu();
+        for (let word in ICAO) {
+            assert.strictEqual(ru.transliterate(word, 'icao'), ICAO[word]);
+        }
+    });
+    it('транслитерация падежей', () => {
+        let ua = new NCLNameCaseUa();
+        assert.strictEqual(ua.qTranslit('Згурський Юрій Андрійович', 'dative'), 'Zghurskomu Yuriievi Andriiovychu');
+        assert.strictEqual(ua.transliterate(ua.q('Ярошенко Андрій', 'genitive')), 'Yaroshenka Andriia');
+        let ru = new NCLNameCaseRu();
+        assert.strictEqual(ru.qTranslit('Чайковский Пётр Ильич', 'genitive'), 'Chaikovskogo Petra Ilicha');
+        assert.deepStrictEqual(ru.qTranslit('Иванова Юлия').slice(0, 3), ['Ivanova Iuliia', 'Ivanovoi Iulii', 'Ivanovoi Iulii']);
+        assert.strictEqual(ru.transliterate('ЩУКИН', 'bgn'), 'SHCHUKIN');
+        assert.throws(() => ru.transliterate('Щукин', 'kmu2010'), /Unknown transliteration scheme "kmu2010"/);
+    });
+    it('ФИО латиницей по официальной схеме', () => {
+        let ua = new NCLNameCaseUa();
+        ua.setTranslit('kmu2010');
+        assert.strictEqual(ua.q('Yaroshenko Andrii', 'dative'), 'Yaroshenkovi Andriievi');
+        let ru = new NCLNameCaseRu();
+        ru.setTranslit('icao');
+        assert.strictEqual(ru.q('Ivanova Iuliia', 'dative'), 'Ivanovoi Iulii');
+    });
+});
+
+describe('Склонение массива ФИО', () => {
+    it('результат для каждого элемента в порядке входа', () => {
+        let results = NCL.declineBatch(['Иванов Иван', {surname: 'Петрова', name: 'Анна', patronymic: 'Сергеевна', gender: 'woman'}, 'Сидоров'], {lang: 'ru', case: 'genitive'});
+        assert.deepStrictEqual(results, [
+            {index: 0, ok: true, result: 'Иванова Ивана'},
+            {index: 1, ok: true, result: 'Петровой Анны Сергеевны'},
+            {index: 2, ok: true, result: 'Сидорова'},
+        ]);
+        assert.strictEqual(NCLNameCaseUa.declineBatch([{secondName: 'Шевченко', firstName: 'Тарас'}])[0].result.length, 7);
+    });
+    it('ошибка в элементе не прерывает склонение', () => {
+        let results = NCLNameCaseRu.declineBatch([null, 'Иванов Иван', {surname: 'Ким', gender: 'x'}, 42], {case: 'dative'});
+        assert.deepStrictEqual(results.map(item => item.ok), [false, true, false, false]);
+        assert.strictEqual(results[1].result, 'Иванову Ивану');
+        assert.deepStrictEqual(results[2].error, {name: 'Error', message: 'Unknown gender "x". Expected one of: 1, 2, man, woman'});
+        assert.throws(() => NCLNameCaseRu.declineBatch(['Иванов'], {case: 'zz'}), /Unknown case "zz"/);
+    });
+    it('пустые части ФИО не оставляют пробелов', () => {
+        assert.deepStrictEqual(NCL.declineBatch([{surname: 'Петрова', name: 'Анна'}], {lang: 'ru', case: 'genitive'})[0].result, 'Петровой Анны');
+        assert.strictEqual(NCL.decline({name: 'Анна', patronymic: 'Сергеевна', gender: 'woman'}, {lang: 'ru', case: 'dative'}), 'Анне Сергеевне');
+        assert.strictEqual(NCL.decline({surname: 'Петрова', patronymic: 'Сергеевна'}, {lang: 'ru', case: 'dative', format: 'N F S'}), 'Сергеевне Петровой');
+        assert.strictEqual(NCL.decline({surname: 'Петров', name: 'Иван'}, {lang: 'ru', case: 'dative', format: 'S nf'}), 'Петрову И.');
+        assert.deepStrictEqual(NCL.declineResult({surname: 'Петрова', name: 'Анна'}, {lang: 'ru'}).cases.genitive, 'Петровой Анны');
+        assert.strictEqual(NCL.decline({surname: 'Петрова', name: 'Анна'}, {lang: 'ru', case: 'genitive', format: '{S} {N} {F?}'}), 'Петровой Анны');
+    });
+    it('не массив - TypeError', () => {
+        assert.throws(() => NCL.declineBatch('Иванов Иван', {lang: 'ru'}), err => err instanceof TypeError && err.message == 'Expected an array of full names, got string');
+        assert.throws(() => NCLNameCaseRu.declineBatch({surname: 'Иванов'}), TypeError);
+        assert.throws(() => NCLNameCaseRu.declineBatch(null), /got null/);
+        assert.throws(() => NCL.declineBatch('Шевченко', {lang: 'auto'}), TypeError);
+    });
+    it('пустое ФИО и части не строкой', () => {
+        let results = NCLNameCaseRu.declineBatch([{}, ' \t\u00a0', {surname: ' ', name: null}, {surname: 123}, {surname: 'Иванов', name: ['Иван']}], {case: 'dative'});
+        assert.deepStrictEqual(results.map(item => item.ok), [false, false, false, false, false]);
+        assert.strictEqual(results[0].error.message, 'Expected at least one non-empty name part (surname, name or patronymic)');
+        assert.strictEqual(results[1].error.message, 'Expected a full name, got an empty string');
+        assert.strictEqual(results[2].error.message, results[0].error.message);
+        assert.strictEqual(results[3].error.message, 'Name part "surname" should be a string, got number 123');
+        assert.strictEqual(results[4].error.message, 'Name part "name" should be a string, got object Иван');
+        assert.throws(() => NCL.decline({}, {lang: 'ru'}), /non-empty name part/);
+        assert.throws(() => NCL.declineResult('  ', {lang: 'ru'}), /empty string/);
+    });
+    it('язык каждого элемента определяется отдельно', () => {
+        let results = NCL.declineBatch(['Шевченко Тарас', 'Быстров Иван'], {lang: 'auto', case: 'dative'});
+        assert.deepStrictEqual(results.map(item => item.result), ['Шевченкові Тарасові', 'Быстрову Ивану']);
+    });
+});
+
+describe('Регистр букв', () => {
+    it('слова большими буквами склоняются и остаются большими', () => {
+        assert.strictEqual(new NCLNameCaseRu().q('ИВАНОВ ИВАН', 'genitive'), 'ИВАНОВА ИВАНА');
+        assert.strictEqual(new NCLNameCaseUa().q('ШЕВЧЕНКО ТАРАС', 'dative'), 'ШЕВЧЕНКОВІ ТАРАСОВІ');
+        assert.strictEqual(new NCLNameCaseRu().q('ПЕТРОВА анна', 'dative'), 'ПЕТРОВОЙ анне');
+        assert.strictEqual(new NCLNameCaseRu().q('РИМСКИЙ-корсаков', 'genitive', NCL.MAN), 'РИМСКОГО-корсакова');
+    });
+    it('правила для слов с большой буквы срабатывают', () => {
+        assert.strictEqual(new NCLNameCaseUa().q('Швець Іван Петрович', 'genitive'), 'Шевця Івана Петровича');
+    });
+    it('е выпадает только в словах из списка', () => {
+        let ncl = new NCLNameCaseUa();
+        assert.strictEqual(ncl.q('Іваненко Орест', 'genitive'), 'Іваненка Ореста');
+        assert.strictEqual(ncl.q('Осинцев', 'genitive', NCL.MAN), 'Осинцева');
+        assert.strictEqual(ncl.q('Орел Іван', 'dative'), 'Орлові Іванові');
+        assert.strictEqual(ncl.q('Козел Петро', 'instrumental'), 'Козлом Петром');
+    });
+});
+
+describe('Строковые функции', () => {
+    const NCLStr = require('../build/NCL/NCLStr.js').default;
+    it('позиции и длины в символах Unicode', () => {
+        assert.strictEqual(NCLStr.strlen('Анна😀'), 5);
+        assert.strictEqual(NCLStr.substr('😀Анна', 1, 2), 'Ан');
+        assert.strictEqual(NCLStr.substr('Анна😀', -1, 1), '😀');
+        assert.strictEqual(NCLStr.substr('😀😀Ян', -2), '');
+        assert.strictEqual(NCLStr.strpos('😀Анна', 'н'), 2);
+        assert.strictEqual(NCLStr.strpos('😀Анна', 'н', 3), 3);
+        assert.strictEqual(NCLStr.strrpos('😀Анна', 'н'), 3);
+        assert.strictEqual(NCLStr.strrpos('😀Анна', 'А', 2), false);
+        assert.deepStrictEqual(NCLStr.splitLetters('Я😀'), ['Я', '😀']);
+    });
+    it('без символов вне BMP как раньше', () => {
+        assert.strictEqual(NCLStr.strlen('Шевченко'), 8);
+        assert.strictEqual(NCLStr.substr('Шевченко', -2, 2), 'ко');
+        assert.strictEqual(NCLStr.strpos('Шевченко', 'е', 2), 4);
+        assert.strictEqual(NCLStr.strrpos('Шевченко', 'е'), 4);
+        assert.strictEqual(NCLStr.strpos('Шевченко', 'ы'), false);
+    });
+});
+
+describe('Кеш склонения', () => {
+    afterEach(() => {
+        NCLNameCaseRu.setCacheLimit(10000);
+        NCLNameCaseRu.clearExceptions();
+    });
+    it('повторные слова берутся из кеша с регистром исходного слова', () => {
+        NCLNameCaseRu.clearCache(true);
+        let ncl = new NCLNameCaseRu();
+        assert.strictEqual(ncl.q('Иванов Иван', 'genitive'), 'Иванова Ивана');
+        assert.deepStrictEqual(NCLNameCaseRu.getCacheStats(), {size: 2, limit: 10000, hits: 0, misses: 2});
+        assert.strictEqual(new NCLNameCaseRu().q('ИВАНОВ иван', 'genitive'), 'ИВАНОВА ивана');
+        assert.strictEqual(ncl.q('Римский-Корсаков', 'genitive', NCL.MAN), 'Римского-Корсакова');
+        assert.strictEqual(ncl.q('РИМСКИЙ-корсаков', 'genitive', NCL.MAN), 'РИМСКОГО-корсакова');
+        assert.deepStrictEqual(NCLNameCaseRu.getCacheStats(), {size: 3, limit: 10000, hits: 3, misses: 3});
+    });
+    it('ключ учитывает тип слова, пол и язык', () => {
+        NCLNameCaseRu.clearCache(true);
+        assert.strictEqual(new NCLNameCaseRu().qFirstName('Саша', 'dative', NCL.MAN), 'Саше');
+        assert.strictEqual(new NCLNameCaseRu().qSecondName('Саша', 'dative', NCL.MAN), 'Саше');
+        assert.strictEqual(new NCLNameCaseUa().qFirstName('Саша', 'dative', NCL.MAN), 'Саші');
+        assert.strictEqual(NCLNameCaseRu.getCacheStats().misses, 3);
+        let ncl = new NCLNameCaseRu();
+        ncl.setCompoundSecondName('last');
+        assert.strictEqual(ncl.q('Римский-Корсаков', 'genitive', NCL.MAN), 'Римский-Корсакова');
+        class NCLNameCasePlain extends NCLNameCaseRu {
+            manFirstName () { return false; }
+        }
+        assert.strictEqual(new NCLNameCaseRu().qFirstName('Иван', 'genitive', NCL.MAN), 'Ивана');
+        assert.strictEqual(new NCLNameCasePlain().qFirstName('Иван', 'genitive', NCL.MAN), 'Иван');
+    });
+    it('вытеснение старых слов и очистка при изменении исключений', () => {
+        NCLNameCaseRu.clearCache(true);
+        NCLNameCaseRu.setCacheLimit(2);
+        let ncl = new NCLNameCaseRu();
+        ncl.qFirstName('Иван', 'genitive', NCL.MAN);
+        ncl.qFirstName('Петр', 'genitive', NCL.MAN);
+        ncl.qFirstName('Иван', 'genitive', NCL.MAN);
+        ncl.qFirstName('Олег', 'genitive', NCL.MAN);
+        ncl.qFirstName('Иван', 'genitive', NCL.MAN);
+        ncl.qFirstName('Петр', 'genitive', NCL.MAN);
+        assert.deepStrictEqual(NCLNameCaseRu.getCacheStats(), {size: 2, limit: 2, hits: 2, misses: 4});
+        NCLNameCaseRu.addException({word: 'Иван', namePart: 'N', indeclinable: true});
+        assert.strictEqual(NCLNameCaseRu.getCacheStats().size, 0);
+        assert.strictEqual(ncl.qFirstName('Иван', 'genitive', NCL.MAN), 'Иван');
+    });
+});
+
+describe('Командная строка', () => {
+    const NCLCli = require('../build/NCLCli.js').default;
+    const {PassThrough} = require('stream');
+
+    function run (argv, input) {
+        let stdin = new PassThrough(), stdout = new PassThrough(), stderr = new PassThrough();
+        let out = '', err = '';
+        stdout.on('data', data => out += data);
+        stderr.on('data', data => err += data);
+        return new Promise(resolve => {
+            NCLCli.run(argv, stdin, stdout, stderr, code => resolve({code, out, err}));
+            stdin.end(input);
+        });
+    }
+
+    it('разбор аргументов', () => {
+        let options = NCLCli.parseArgs(['-l', 'ua', '--case=genitive,dative', '-c', '5', '--no-header', 'a.csv']);
+        assert.strictEqual(options.lang, 'ua');
+        assert.deepStrictEqual(options.cases, ['genitive', 'dative', '5']);
+        assert.strictEqual(options.header, false);
+        assert.deepStrictEqual(options.files, ['a.csv']);
+        assert.throws(() => NCLCli.parseArgs(['--bogus']), /Unknown option/);
+    });
+    it('CSV с кавычками', () => {
+        assert.deepStrictEqual(NCLCli.splitRecord('1,"Иванов, Иван","a ""b"""', ','), ['1', 'Иванов, Иван', 'a "b"']);
+        assert.strictEqual(NCLCli.joinRecord(['Иванов, Иван', 'x'], ','), '"Иванов, Иван",x');
+    });
+    it('построчный ввод', () => {
+        return run(['-l', 'ru', '-c', 'genitive,dative'], 'Иванов Иван\n\nПетрова Анна\n').then(result => {
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(result.out, 'Иванова Ивана\tИванову Ивану\n\nПетровой Анны\tПетровой Анне\n');
+        });
+    });
+    it('CSV и JSON lines', () => {
+        return run(['-l', 'ua', '-i', 'csv', '-c', '1', '--column', 'name'], 'id,name\n1,Шевченко Тарас\n').then(result => {
+            assert.strictEqual(result.out, 'id,name,genitive,error\n1,Шевченко Тарас,Шевченка Тараса,\n');
+            return run(['-l', 'ru', '-i', 'jsonl', '-c', '1', '--first-name-column', 'n'], '{"n":"Иван"}\n{bad\n');
+        }).then(result => {
+            assert.strictEqual(result.code, 1);
+            let lines = result.out.trim().split('\n').map(line => JSON.parse(line));
+            assert.strictEqual(lines[0].genitive, 'Ивана');
+            assert.ok(lines[1].error);
+        });
+    });
+    it('ошибка в строке пишется в stderr', () => {
+        let cli = new NCLCli({lang: 'ru', cases: ['genitive']});
+        let err = '';
+        cli.stderr = {write: text => err += text};
+        cli.decline = input => {
+            if (input == 'bad')
+                throw new Error('cannot decline');
+            return ['Иванова'];
+        };
+        cli.lineNumber = 2;
+        assert.strictEqual(cli.processLine('bad'), '');
+        assert.strictEqual(cli.processLine('Иванов'), 'Иванова');
+        assert.strictEqual(err, 'declension-name: stdin:2: cannot decline\n');
+        assert.strictEqual(cli.errors, 1);
+    });
+    it('падежа нет в определенном языке', () => {
+        return run(['-l', 'auto', '-c', 'vocative'], 'Иванов\nШевченко Тарас\n').then(result => {
+            assert.strictEqual(result.code, 1);
+            assert.strictEqual(result.out, '\nШевченче Тарасе\n');
+            assert.strictEqual(result.err, 'declension-name: stdin:1: Case "vocative" is not available for this name\n');
+        });
+    });
+    it('значение JSON не строка', () => {
+        return run(['-l', 'ru', '-i', 'jsonl', '-c', '1', '--column', 'name'], '{"name":5}\n').then(result => {
+            assert.strictEqual(result.code, 1);
+            let record = JSON.parse(result.out);
+            assert.strictEqual(record.genitive, undefined);
+            assert.strictEqual(record.error, 'Key "name" should be a string, got 5');
+        });
+    });
+    it('разделители не меняются', () => {
+        return run(['-l', 'ru', '-c', 'genitive'], 'Иванов  Иван\n').then(result => {
+            assert.strictEqual(result.out, 'Иванова  Ивана\n');
+            return run(['-l', 'ru', '-i', 'jsonl', '-c', '1', '--second-name-column', 's', '--father-name-column', 'f'], '{"s":"Иванов","f":"Петрович"}\n');
+        }).then(result => {
+            assert.strictEqual(JSON.parse(result.out).genitive, 'Иванова Петровича');
+        });
+    });
+    it('ошибки запуска', () => {
+        return run(['-c', 'nope'], '').then(result => {
+            assert.strictEqual(result.code, 2);
+            return run(['-l', 'ru', '-c', '9'], 'Иванов Иван\n');
+        }).then(result => {
+            assert.strictEqual(result.code, 2);
+            assert.strictEqual(result.out, '');
+            assert.ok(/Unknown case "9"/.test(result.err));
+            return run(['-l', 'ru', '-c', 'vocative'], '');
+        }).then(result => {
+            assert.strictEqual(result.code, 2);
+            return run(['no-such-file.txt'], '');
+        }).then(result => {
+            assert.strictEqual(result.code, 2);
+            assert.ok(/no-such-file/.test(result.err));
+        });
+    });
+});
+
+
+//-----------------------------------------------------------------------------